@@ -0,0 +1,27 @@
+// ══════════════════════════════════════════════════════════
+//  env.mjs — Node setup for the shared js/ modules: GeoTIFF.js
+//            and proj4 globals, as worker.js sets them
+// ══════════════════════════════════════════════════════════
+
+// Both come from package.json (`npm install` in the repo root —
+// the page itself loads them from the CDN). Call loadEnv() after
+// the arguments are read, so --help and argument errors work
+// without them; the js/ modules only use the globals when called.
+// Tasks run inline — Node has no module Worker global — and the
+// IndexedDB cache is off.
+
+import { registerCRSs } from '../js/crs.js';
+
+export async function loadEnv() {
+  let GeoTIFF, proj4;
+  try {
+    GeoTIFF = await import('geotiff');
+    proj4   = (await import('proj4')).default;
+  } catch (e) {
+    if (e.code !== 'ERR_MODULE_NOT_FOUND') throw e;
+    throw new Error('geotiff and proj4 are not installed — run `npm install` in the repo root');
+  }
+  globalThis.GeoTIFF = GeoTIFF;
+  globalThis.proj4   = proj4;
+  registerCRSs(proj4);
+}
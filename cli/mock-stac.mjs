@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+// ══════════════════════════════════════════════════════════
+//  mock-stac.mjs — Local STAC API over a folder of item JSON
+//                  files + COGs, for offline batch / app runs
+// ══════════════════════════════════════════════════════════
+
+// node cli/mock-stac.mjs DIR [--port 8787] [--fixtures] [--help]
+//
+// Every *.json in DIR with "type": "Feature" is an item (its
+// `collection` field picks the collection). Relative asset hrefs
+// resolve against the item file and are served from DIR with
+// HTTP Range support, so GeoTIFF.js reads windows as from a COG
+// bucket. --fixtures first writes a small synthetic Landsat-like
+// dataset (three scenes + aois.geojson) into DIR.
+//
+// Endpoints: GET /  ·  POST|GET /search  ·  GET /collections
+//            GET /collections/:id/items/:item  ·  GET|HEAD /files/…
+// Search supports collections, bbox / intersects (by bbox),
+// datetime, the query extension (eq, lt, lte, gt, gte, in), sortby
+// and limit, with POST `next` links carrying a paging token.
+
+import { loadEnv } from './env.mjs';
+import { createServer } from 'node:http';
+import { readFile, writeFile, readdir, stat, mkdir } from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import { join, resolve, relative, dirname, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import { writeGeoTIFF } from '../js/export.js';
+import { gridBounds } from '../js/grid.js';
+import { geometryBBox } from '../js/aoi.js';
+
+const USAGE = `Usage: node cli/mock-stac.mjs DIR [--port 8787] [--fixtures]
+
+  DIR          folder of item JSON files and GeoTIFFs (default: .)
+  --port N     port to listen on (default: 8787)
+  --fixtures   first write a synthetic Landsat-like dataset into DIR`;
+
+let opts, positionals;
+try {
+  ({ values: opts, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      port:     { type: 'string', default: '8787' },
+      fixtures: { type: 'boolean', default: false },
+      help:     { type: 'boolean', default: false },
+    },
+  }));
+  if (!(Number(opts.port) >= 0 && Number(opts.port) < 65536)) throw new Error('--port takes a port number');
+} catch (e) {
+  console.error(`mock-stac: ${e.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+if (opts.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+const ROOT = resolve(positionals[0] || '.');
+const PORT = Number(opts.port);
+
+// ── ITEMS ─────────────────────────────────────────────────
+async function loadItems(base) {
+  const items = [];
+  for (const name of await readdir(ROOT, { recursive: true })) {
+    if (!name.endsWith('.json')) continue;
+    let doc;
+    try { doc = JSON.parse(await readFile(join(ROOT, name), 'utf8')); } catch (_) { continue; }
+    if (doc?.type !== 'Feature' || !doc.assets) continue;
+    const dir = dirname(name);
+    for (const asset of Object.values(doc.assets)) {
+      if (!/^[a-z]+:/i.test(asset.href)) asset.href = `${base}/files/${join(dir, asset.href).split(sep).join('/')}`;
+    }
+    doc.bbox = doc.bbox || geometryBBox(doc.geometry);
+    items.push(doc);
+  }
+  return items;
+}
+
+// ── SEARCH ────────────────────────────────────────────────
+const OPS = {
+  eq:  (v, x) => v === x,          lt:  (v, x) => v < x,
+  lte: (v, x) => v <= x,           gt:  (v, x) => v > x,
+  gte: (v, x) => v >= x,           in:  (v, x) => x.includes(v),
+};
+
+function matches(item, body) {
+  const p = item.properties || {};
+  if (body.collections?.length && !body.collections.includes(item.collection)) return false;
+
+  const area = body.intersects ? geometryBBox(body.intersects) : body.bbox;
+  if (area) {
+    const [w, s, e, n] = area, [fw, fs, fe, fn] = item.bbox;
+    if (fw > e || fe < w || fs > n || fn < s) return false;
+  }
+  if (body.datetime) {
+    const [a, b = a] = body.datetime.split('/');
+    const t = Date.parse(p.datetime);
+    if ((a && a !== '..' && t < Date.parse(a)) || (b && b !== '..' && t > Date.parse(b))) return false;
+  }
+  for (const [field, cond] of Object.entries(body.query || {})) {
+    const v = p[field];
+    if (v === undefined) continue;   // as real APIs with sparse properties
+    for (const [op, x] of Object.entries(cond)) {
+      if (x === undefined) continue;
+      if (!OPS[op]) throw Object.assign(new Error(`Unsupported query operator "${op}"`), { status: 400 });
+      if (!OPS[op](v, x)) return false;
+    }
+  }
+  return true;
+}
+
+function sortItems(items, sortby = []) {
+  const get = (item, field) => field === 'id' ? item.id : item.properties?.[field.replace(/^properties\./, '')];
+  return [...items].sort((a, b) => {
+    for (const { field, direction } of sortby) {
+      const va = get(a, field), vb = get(b, field);
+      if (va === vb) continue;
+      const d = va < vb ? -1 : 1;
+      return direction === 'desc' ? -d : d;
+    }
+    return 0;
+  });
+}
+
+async function search(body, base) {
+  if (body.filter) throw Object.assign(new Error('CQL2 filter not supported'), { status: 400 });
+  const limit  = Math.max(1, Math.min(1000, body.limit || 10));
+  const offset = Number(body.token || 0);
+  const found  = sortItems((await loadItems(base)).filter(f => matches(f, body)), body.sortby);
+  const page   = found.slice(offset, offset + limit);
+  const links  = [{ rel: 'self', href: `${base}/search` }];
+  if (offset + limit < found.length) {
+    links.push({ rel: 'next', href: `${base}/search`, method: 'POST', merge: true, body: { token: String(offset + limit) } });
+  }
+  return {
+    type: 'FeatureCollection', features: page, links,
+    numberMatched: found.length, numberReturned: page.length,
+  };
+}
+
+// GET /search?bbox=…&datetime=…&collections=…&limit=…
+function queryBody(params) {
+  const body = {};
+  if (params.get('collections')) body.collections = params.get('collections').split(',');
+  if (params.get('bbox'))        body.bbox = params.get('bbox').split(',').map(Number);
+  if (params.get('datetime'))    body.datetime = params.get('datetime');
+  if (params.get('limit'))       body.limit = Number(params.get('limit'));
+  if (params.get('token'))       body.token = params.get('token');
+  return body;
+}
+
+// ── FILES ─────────────────────────────────────────────────
+async function sendFile(req, res, rel) {
+  const path = resolve(ROOT, decodeURIComponent(rel));
+  if (relative(ROOT, path).startsWith('..')) return send(res, 403, { error: 'Outside the served folder' });
+  let size;
+  try { size = (await stat(path)).size; } catch (_) { return send(res, 404, { error: 'Not found' }); }
+
+  const headers = {
+    'Content-Type': /\.tiff?$/i.test(path) ? 'image/tiff' : 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+  };
+  const m = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  let start = 0, end = size - 1, status = 200;
+  if (m) {
+    start = m[1] ? +m[1] : Math.max(0, size - +m[2]);
+    end   = m[1] && m[2] ? Math.min(+m[2], size - 1) : size - 1;
+    if (start > end || start >= size) {
+      res.writeHead(416, { ...CORS, 'Content-Range': `bytes */${size}` });
+      return res.end();
+    }
+    status = 206;
+    headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  }
+  res.writeHead(status, { ...CORS, ...headers, 'Content-Length': end - start + 1 });
+  if (req.method === 'HEAD') return res.end();
+  createReadStream(path, { start, end }).pipe(res);
+}
+
+// ── SERVER ────────────────────────────────────────────────
+// Open CORS, so the page can use it as a data source too
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+  'Access-Control-Expose-Headers': 'Content-Range, Content-Length, Accept-Ranges',
+};
+
+function send(res, status, data) {
+  res.writeHead(status, { ...CORS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+async function readBody(req) {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  try { return text ? JSON.parse(text) : {}; }
+  catch (_) { throw Object.assign(new Error('Body is not JSON'), { status: 400 }); }
+}
+
+async function handle(req, res) {
+  const base = `http://${req.headers.host}`;
+  const url  = new URL(req.url, base);
+  const path = url.pathname.replace(/\/+$/, '') || '/';
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS);
+    return res.end();
+  }
+  if (path.startsWith('/files/')) return sendFile(req, res, path.slice('/files/'.length));
+
+  if (path === '/') {
+    return send(res, 200, {
+      type: 'Catalog', id: 'mock-stac', stac_version: '1.0.0', description: 'Local mock STAC API',
+      conformsTo: [
+        'https://api.stacspec.org/v1.0.0/core',
+        'https://api.stacspec.org/v1.0.0/item-search',
+        'https://api.stacspec.org/v1.0.0/item-search#sort',
+        'https://api.stacspec.org/v0.3.0/item-search#query',
+      ],
+      links: [{ rel: 'search', href: `${base}/search`, method: 'POST' }],
+    });
+  }
+  if (path === '/search') {
+    const body = req.method === 'POST' ? await readBody(req) : queryBody(url.searchParams);
+    return send(res, 200, await search(body, base));
+  }
+  if (path === '/collections') {
+    const ids = [...new Set((await loadItems(base)).map(f => f.collection).filter(Boolean))];
+    return send(res, 200, { collections: ids.map(id => ({ id, type: 'Collection', links: [] })), links: [] });
+  }
+  const m = path.match(/^\/collections\/([^/]+)\/items\/([^/]+)$/);
+  if (m) {
+    const [c, id] = [decodeURIComponent(m[1]), decodeURIComponent(m[2])];
+    const item = (await loadItems(base)).find(f => f.collection === c && f.id === id);
+    return item ? send(res, 200, item) : send(res, 404, { error: 'Item not found' });
+  }
+  send(res, 404, { error: `No route for ${req.method} ${path}` });
+}
+
+// ── FIXTURES ──────────────────────────────────────────────
+// Three 6 × 6 km Landsat-like scenes (UTM 33N, 30 m) with red,
+// nir08 and qa_pixel bands as DN: a vegetation gradient west → east,
+// a bare strip, and in the cloudiest scene a flagged cloud block.
+// Plus aois.geojson: two fields on the scenes, one off them.
+const FIX = { epsg: 32633, x0: 500000, y0: 5000000, dx: 30, dy: -30, width: 200, height: 200 };
+const DN  = (refl) => Math.round((refl + 0.2) / 0.0000275);
+const QA_CLEAR = 21824, QA_CLOUD = QA_CLEAR | (1 << 3);
+
+async function writeFixtures() {
+  await mkdir(ROOT, { recursive: true });
+  const { width: W, height: H } = FIX;
+  const scenes = [
+    { id: 'LC09_MOCK_20240612', datetime: '2024-06-12T10:05:00Z', cloud: 4,  platform: 'landsat-9', green: 1.0 },
+    { id: 'LC08_MOCK_20240704', datetime: '2024-07-04T10:05:00Z', cloud: 35, platform: 'landsat-8', green: 1.1, clouds: true },
+    { id: 'LC09_MOCK_20240815', datetime: '2024-08-15T10:05:00Z', cloud: 12, platform: 'landsat-9', green: 0.8 },
+  ];
+  const bounds = gridBounds(FIX);
+
+  for (const s of scenes) {
+    const red = new Float32Array(W * H), nir = new Float32Array(W * H), qa = new Float32Array(W * H);
+    for (let r = 0; r < H; r++) {
+      for (let c = 0; c < W; c++) {
+        const i = r * W + c;
+        const veg  = r > 90 && r < 110 ? 0 : (c / W) * s.green;   // bare strip mid-scene
+        red[i] = DN(0.12 - 0.08 * veg);
+        nir[i] = DN(0.18 + 0.30 * veg);
+        qa[i]  = s.clouds && r < 60 && c < 60 ? QA_CLOUD : QA_CLEAR;
+      }
+    }
+    const assets = {};
+    for (const [key, data] of [['red', red], ['nir08', nir], ['qa_pixel', qa]]) {
+      const file = `${s.id}_${key}.tif`;
+      await writeFile(join(ROOT, file), Buffer.from(writeGeoTIFF({ bands: [data], width: W, height: H, grid: FIX })));
+      assets[key] = { href: file, type: 'image/tiff; application=geotiff', roles: ['data'] };
+    }
+    await writeFile(join(ROOT, `${s.id}.json`), JSON.stringify({
+      type: 'Feature', stac_version: '1.0.0', id: s.id, collection: 'landsat-c2-l2',
+      bbox: bounds, geometry: box(bounds),
+      properties: { datetime: s.datetime, 'eo:cloud_cover': s.cloud, platform: s.platform, 'proj:epsg': FIX.epsg },
+      assets, links: [],
+    }, null, 1));
+  }
+
+  // Fields inset in the scene footprint, plus one far away
+  const [w, s, e, n] = bounds;
+  const at = (fx, fy) => [w + (e - w) * fx, s + (n - s) * fy];
+  const field = (name, geometry) => ({ type: 'Feature', properties: { name }, geometry });
+  await writeFile(join(ROOT, 'aois.geojson'), JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      field('North field', box([...at(0.1, 0.6), ...at(0.45, 0.9)])),
+      field('East field',  box([...at(0.6, 0.1), ...at(0.9, 0.5)])),
+      field('Off the scenes', box([w + 2, s + 2, w + 2.05, s + 2.05])),
+    ],
+  }, null, 1));
+  console.log(`Fixtures written to ${ROOT}`);
+}
+
+function box([w, s, e, n]) {
+  return { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] };
+}
+
+// ── START ─────────────────────────────────────────────────
+await loadEnv().catch((e) => {
+  console.error(`mock-stac: ${e.message}`);
+  process.exit(2);
+});
+if (opts.fixtures) await writeFixtures();
+
+createServer((req, res) => {
+  handle(req, res).catch(e => send(res, e.status || 500, { error: e.message }));
+}).listen(PORT, () => {
+  console.log(`Mock STAC API on http://localhost:${PORT} — serving ${ROOT}`);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// ══════════════════════════════════════════════════════════
+//  ndvi-batch.mjs — Headless batch runs: AOI file + date range
+//                   → per-AOI index GeoTIFF, JSON and a CSV summary
+// ══════════════════════════════════════════════════════════
+
+// node cli/ndvi-batch.mjs --aoi fields.geojson --from 2024-06-01 --to 2024-08-31 [options]
+// Run with --help for the options. Exits with 1 when any AOI failed,
+// so schedulers (cron, CI) can alert on it.
+
+import { loadEnv } from './env.mjs';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { registerProvider, setActiveProvider, BUILTIN_PROVIDERS } from '../js/stac.js';
+import { getIndex } from '../js/indices.js';
+import { QA_CLASSES } from '../js/qa.js';
+import { SENSORS, DEFAULT_SENSOR } from '../js/sensors.js';
+import { SORTS } from '../js/filters.js';
+import { writeGeoTIFF } from '../js/export.js';
+import { batchAOIs, runAOI, runRecord, errorRecord, recordsToCSV } from '../js/batch.js';
+
+const USAGE = `Usage: node cli/ndvi-batch.mjs --aoi FILE --from YYYY-MM-DD --to YYYY-MM-DD [options]
+
+  --aoi FILE         GeoJSON with one or more polygons (one run per Polygon or
+                     MultiPolygon geometry — a MultiPolygon is one AOI)
+  --from, --to       acquisition date range (inclusive)
+  --out DIR          output folder (default: batch-out)
+
+Source (default: Planetary Computer)
+  --stac URL         STAC API root (POST /search)
+  --catalog URL      static catalog.json
+  --provider ID      ${BUILTIN_PROVIDERS.map(p => p.id).join(' | ')}
+  --auth HEADER      "Header-Name: value" sent with every request
+  --collection ID    ${Object.keys(SENSORS).join(' | ')} (default: ${DEFAULT_SENSOR})
+
+Processing
+  --index ID         ndvi | evi | savi | ndwi | ndmi | nbr | custom (default: ndvi)
+  --expr FORMULA     band formula for --index custom
+  --cloud PCT        max scene cloud cover (default: 30)
+  --sort KEY         ${Object.keys(SORTS).join(' | ')} — order scenes are tried in (default: cloud)
+  --mask IDS         QA classes to mask, comma-separated, or "none"
+                     (default: fill,dilated,cirrus,cloud,shadow,snow)
+  --max-size PX      cap on the long side of the grid (default: native)
+  --tries N          scenes to try per AOI before giving up (default: 3)
+  --min-valid PCT    skip scenes leaving less of the AOI valid (default: 0)
+  --verbose          log every step`;
+
+const OPTIONS = {
+  'aoi':       { type: 'string' },
+  'from':      { type: 'string' },
+  'to':        { type: 'string' },
+  'out':       { type: 'string', default: 'batch-out' },
+  'stac':      { type: 'string' },
+  'catalog':   { type: 'string' },
+  'provider':  { type: 'string' },
+  'auth':      { type: 'string' },
+  'collection': { type: 'string', default: DEFAULT_SENSOR },
+  'index':     { type: 'string', default: 'ndvi' },
+  'expr':      { type: 'string', default: '' },
+  'cloud':     { type: 'string', default: '30' },
+  'sort':      { type: 'string', default: 'cloud' },
+  'mask':      { type: 'string', default: 'fill,dilated,cirrus,cloud,shadow,snow' },
+  'max-size':  { type: 'string' },
+  'tries':     { type: 'string', default: '3' },
+  'min-valid': { type: 'string', default: '0' },
+  'verbose':   { type: 'boolean', default: false },
+  'help':      { type: 'boolean', default: false },
+};
+
+// ── ARGUMENTS ─────────────────────────────────────────────
+function readOptions() {
+  const { values: o } = parseArgs({ options: OPTIONS });
+  if (o.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  const date = /^\d{4}-\d{2}-\d{2}$/;
+  if (!o.aoi) throw new Error('--aoi is required');
+  if (!date.test(o.from || '') || !date.test(o.to || '')) throw new Error('--from and --to take YYYY-MM-DD dates');
+  if (o.from > o.to) throw new Error('--from is after --to');
+  if (!SENSORS[o.collection]) throw new Error(`Unknown collection "${o.collection}"`);
+  if (!SORTS[o.sort]) throw new Error(`Unknown sort "${o.sort}"`);
+
+  const mask = o.mask === 'none' ? [] : o.mask.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = mask.filter(id => !QA_CLASSES.some(c => c.id === id));
+  if (unknown.length) throw new Error(`Unknown mask class(es): ${unknown.join(', ')}`);
+
+  const num = (name, min) => {
+    const v = Number(o[name]);
+    if (!isFinite(v) || v < min) throw new Error(`--${name} takes a number ≥ ${min}`);
+    return v;
+  };
+  return {
+    ...o, mask,
+    cloud:    num('cloud', 0),
+    tries:    Math.round(num('tries', 1)),
+    minValid: num('min-valid', 0),
+    maxSize:  o['max-size'] != null ? Math.round(num('max-size', 16)) : null,
+  };
+}
+
+// --stac / --catalog register an ad-hoc provider, as the Data
+// sources panel does for user-added ones
+function selectProvider(o) {
+  if (o.stac || o.catalog) {
+    const p = registerProvider({
+      type: o.stac ? 'stac-api' : 'static', id: 'cli', label: 'Command line',
+      url: o.stac || o.catalog, auth: o.auth || '',
+    });
+    return setActiveProvider(p.id);
+  }
+  const id = o.provider || BUILTIN_PROVIDERS[0].id;
+  const builtin = BUILTIN_PROVIDERS.find(p => p.id === id);
+  if (builtin && o.auth) registerProvider({ ...builtin, auth: o.auth });
+  return setActiveProvider(id);
+}
+
+// ── OUTPUT ────────────────────────────────────────────────
+// AOI names → distinct folder names
+function slugger() {
+  const used = new Map();
+  return (name) => {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'aoi';
+    const n = (used.get(base) || 0) + 1;
+    used.set(base, n);
+    return n > 1 ? `${base}-${n}` : base;
+  };
+}
+
+const json = (data) => JSON.stringify(data, null, 1) + '\n';
+
+// ── MAIN ──────────────────────────────────────────────────
+async function main() {
+  const o = readOptions();
+  await loadEnv();
+  if (!o.verbose) console.info = () => {};
+  const log = (msg) => console.log(msg);
+
+  const provider = selectProvider(o);
+  const index    = getIndex(o.index, o.expr);
+  const aois     = batchAOIs(JSON.parse(await readFile(o.aoi, 'utf8')));
+  const search   = {
+    dateStart: o.from, dateEnd: o.to, cloudCover: o.cloud, collection: o.collection, sort: o.sort,
+  };
+  log(`${aois.length} AOI(s) · ${index.label} · ${o.collection} via ${provider.label} · ${o.from} → ${o.to}`);
+
+  await mkdir(o.out, { recursive: true });
+  const slug    = slugger();
+  const records = [];
+
+  for (const [k, aoi] of aois.entries()) {
+    const dir = join(o.out, slug(aoi.name));
+    const tag = `[${k + 1}/${aois.length}] ${aoi.name}`;
+    let record;
+    try {
+      const run = await runAOI(aoi, {
+        search, index, maskClasses: o.mask, maxSize: o.maxSize, tries: o.tries, minValid: o.minValid,
+        onStep: (txt) => o.verbose && log(`${tag} · ${txt}`),
+      });
+      const { values, width, height, grid } = run.result;
+      const tif = `${run.scene.id}_${index.label}.tif`;
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, tif), Buffer.from(writeGeoTIFF({ bands: [values], width, height, grid, names: [index.label] })));
+      record = runRecord(aoi, index, run, { raster: tif });
+      log(`${tag} · ${run.scene.id} · mean ${record.stats.mean.toFixed(3)} · ${record.stats.validPct.toFixed(1)}% valid`);
+    } catch (e) {
+      record = errorRecord(aoi, e);
+      log(`${tag} · FAILED · ${e.message}`);
+    }
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, 'result.json'), json(record));
+    records.push(record);
+  }
+
+  const failed = records.filter(r => r.status !== 'ok').length;
+  await writeFile(join(o.out, 'summary.json'), json({
+    created: new Date().toISOString(),
+    provider: provider.label, collection: o.collection, index: index.label, expr: index.expr,
+    dateStart: o.from, dateEnd: o.to, cloudCover: o.cloud, maskClasses: o.mask,
+    runs: records,
+  }));
+  await writeFile(join(o.out, 'summary.csv'), recordsToCSV(records));
+  log(`${records.length - failed} ok, ${failed} failed → ${o.out}`);
+  return failed ? 1 : 0;
+}
+
+main().then(code => process.exit(code), (e) => {
+  console.error(`ndvi-batch: ${e.message}`);
+  console.error('Run with --help for usage.');
+  process.exit(2);
+});
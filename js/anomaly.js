@@ -0,0 +1,221 @@
+// ══════════════════════════════════════════════════════════
+//  anomaly.js — One scene against a multi-year same-season
+//               baseline: per-pixel median / std → anomaly map
+// ══════════════════════════════════════════════════════════
+
+import { searchPage } from './stac.js';
+import { processScene } from './pipeline.js';
+import { pixelAreaHa } from './grid.js';
+import { summarize, percentile } from './ndvi.js';
+import { isAbort } from './requests.js';
+import { sceneInfo, parseDate } from './filters.js';
+
+// ── MODES ─────────────────────────────────────────────────
+//   z     (value − baseline median) / baseline std — in σ
+//   diff  value − baseline median — in index units
+export const ANOMALY_MODES = {
+  z:    { label: 'z-score', threshold: 1.5 },
+  diff: { label: 'Difference from median', threshold: 0.1 },
+};
+
+const PER_YEAR  = 3;      // least-cloudy scenes read per baseline year
+const MIN_YEARS = 2;      // years a pixel needs for a baseline
+const MIN_STD   = 0.02;   // std floor — near-constant pixels don't blow up z
+const Z_RANGE   = 3;      // z maps are drawn over −3σ → +3σ
+
+// ── BASELINE WINDOWS ──────────────────────────────────────
+// The scene's date ± `days` days in each of the `years` years
+// before it → [{ year, dateStart, dateEnd }], newest first.
+// Throws when the datetime is missing or malformed.
+export function baselineWindows(datetime, { years = 5, days = 15 } = {}) {
+  const date = parseDate(datetime);
+  if (!date) throw new Error('The scene has no acquisition date');
+  const DAY  = 86400000;
+  return Array.from({ length: years }, (_, k) => {
+    const year = date.getUTCFullYear() - k - 1;
+    const mid  = new Date(date);
+    mid.setUTCFullYear(year);   // 29 Feb → 1 Mar
+    return {
+      year,
+      dateStart: new Date(+mid - days * DAY).toISOString().slice(0, 10),
+      dateEnd:   new Date(+mid + days * DAY).toISOString().slice(0, 10),
+    };
+  });
+}
+
+// ── COMPUTE ───────────────────────────────────────────────
+// feature: the scene to assess — its grid is the target grid,
+//          its collection is searched for the baseline
+// search:  { cloudCover, filters } as for searchScenes (stac.js);
+//          the season filter is dropped, the window replaces it
+// years / days: see baselineWindows
+// threshold: below −threshold (σ or index units, per mode) a
+//          pixel is significantly below normal
+// The least-cloudy scenes of each year's window are processed
+// onto the grid and reduced to that year's per-pixel median, so
+// every year weighs the same however many scenes it has; the
+// baseline is the median and std over those years. Pixels with
+// fewer than MIN_YEARS years stay NaN. Scenes are processed one
+// at a time, like the composite; failing ones are skipped.
+//
+// Returns { values, width, height, grid, range, mode, stats,
+//           baseline: { median, std }, years, scenes, skipped }
+//   range:   symmetric [-L, L] for a diverging legend
+//   years:   [{ year, scenes }] years that contributed
+//   scenes:  baseline scenes used — [{ feature, id, date }]
+//   skipped: [{ id, date, error }] scenes (or years) left out
+export async function computeAnomaly(feature, {
+  index, aoi, maskClasses = [], maxSize = null, search = {}, years = 5, days = 15,
+  mode = 'z', threshold = ANOMALY_MODES[mode]?.threshold, onStep = () => {}, signal = null,
+}) {
+  if (!ANOMALY_MODES[mode]) throw new Error(`Unknown anomaly mode "${mode}"`);
+  if (!parseDate(feature.properties.datetime)) throw new Error('The scene has no acquisition date');
+  if (!feature.collection || feature.collection === 'local') {
+    throw new Error('A baseline is searched by collection — open a catalog scene, or a STAC item with its collection');
+  }
+
+  const current = await processScene(feature, {
+    index, aoi, maskClasses, maxSize, keepInputs: false, signal,
+    onStep: (txt, pct) => onStep(`SCENE · ${txt}`, Math.round(pct * 0.15)),
+  });
+  const { grid, width, height } = current;
+  const size = width * height;
+
+  const windows = baselineWindows(feature.properties.datetime, { years, days });
+  const yearly  = [];   // per-year median arrays
+  const used    = [];
+  const counted = [];
+  const skipped = [];
+  const dateOf  = (f) => sceneInfo(f).date;
+
+  for (const [k, w] of windows.entries()) {
+    const share = (j, n, pct = 0) => Math.round(15 + (k + (j + pct / 100) / Math.max(1, n)) / windows.length * 80);
+    onStep(`${w.year} · SEARCHING ${w.dateStart} → ${w.dateEnd}…`, share(0, 1));
+    const params = {
+      geometry: aoi.geometry, bbox: aoi.bbox, dateStart: w.dateStart, dateEnd: w.dateEnd,
+      cloudCover: search.cloudCover ?? 100, collection: feature.collection,
+      filters: { ...search.filters, doy: null }, sort: 'cloud',
+    };
+    let scenes;
+    try {
+      scenes = (await searchPage(params, null, signal)).features.slice(0, PER_YEAR);
+    } catch (e) {
+      if (isAbort(e)) throw e;
+      skipped.push({ id: `${w.year}`, date: w.dateStart, error: e.message });
+      continue;
+    }
+
+    const stack = [];
+    for (const [j, f] of scenes.entries()) {
+      try {
+        const res = await processScene(f, {
+          index, aoi, maskClasses, grid, keepInputs: false, signal,
+          onStep: (txt, pct) => onStep(`${w.year} · SCENE ${j + 1}/${scenes.length} · ${txt}`, share(j, scenes.length, pct)),
+        });
+        if (!res.stats.count) throw new Error('no valid pixel in the AOI');
+        stack.push(res.values);
+        used.push({ feature: f, id: f.id, date: dateOf(f) });
+      } catch (e) {
+        if (isAbort(e)) throw e;
+        console.warn(`[ANOMALY] ${f.id}: ${e.message}`);
+        skipped.push({ id: f.id, date: dateOf(f), error: e.message });
+      }
+    }
+    if (!stack.length) {
+      if (!scenes.length) skipped.push({ id: `${w.year}`, date: w.dateStart, error: 'no scene in the window' });
+      continue;
+    }
+    yearly.push(pixelStats(stack, size, 1).median);
+    counted.push({ year: w.year, scenes: stack.length });
+  }
+
+  if (counted.length < MIN_YEARS) {
+    throw new Error(`Only ${counted.length} of ${years} baseline year(s) had usable scenes — widen the window, add years or raise the cloud limit`);
+  }
+
+  onStep('COMPUTING ANOMALY…', 96);
+  const baseline = pixelStats(yearly, size, MIN_YEARS);
+  const values   = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    if (current.outside[i]) { values[i] = NaN; continue; }
+    const d = current.values[i] - baseline.median[i];   // NaN if either is missing
+    values[i] = mode === 'z' ? d / Math.max(baseline.std[i], MIN_STD) : d;
+  }
+
+  onStep('ANOMALY READY', 100);
+  return {
+    values, width, height, grid, mode,
+    range: mode === 'z' ? [-Z_RANGE, Z_RANGE] : symmetricRange(values),
+    stats: anomalyStats(values, current.outside, grid, threshold),
+    baseline, years: counted, scenes: used, skipped,
+  };
+}
+
+// ── PER-PIXEL MEDIAN / STD ────────────────────────────────
+// Over the valid (non-NaN) values of the arrays in `stack`;
+// NaN where fewer than `min` are valid. Even counts take the
+// mean of the middle two. The std is the sample std (n − 1): the
+// years are a sample of the climate, and with only two or three
+// of them the population std would understate the spread and
+// inflate z-scores. NaN for a single value.
+function pixelStats(stack, size, min) {
+  const median = new Float32Array(size);
+  const std    = new Float32Array(size);
+  const obs    = new Float32Array(stack.length);
+  for (let i = 0; i < size; i++) {
+    let n = 0, sum = 0;
+    for (const v of stack) {
+      if (!isNaN(v[i])) { obs[n++] = v[i]; sum += v[i]; }
+    }
+    if (n < min) { median[i] = NaN; std[i] = NaN; continue; }
+    const sorted = obs.subarray(0, n).sort();
+    median[i] = n % 2 ? sorted[n >> 1] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    const mean = sum / n;
+    let sq = 0;
+    for (let k = 0; k < n; k++) sq += (sorted[k] - mean) ** 2;
+    std[i] = Math.sqrt(sq / (n - 1));
+  }
+  return { median, std };
+}
+
+// ── STATISTICS ────────────────────────────────────────────
+// As for change maps (see change.js): distribution of the valid
+// pixels, plus the area significantly below / above normal —
+// shares are of the whole AOI, so a patchy baseline does not
+// inflate them (validPct tells how much of it has one). `values`
+// is already NaN outside the AOI.
+function anomalyStats(values, outside, grid, threshold) {
+  let inAOI = 0, n = 0, below = 0, above = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (outside[i]) continue;
+    inAOI++;
+    const v = values[i];
+    if (isNaN(v)) continue;
+    n++;
+    if (v < -threshold) below++;
+    if (v >  threshold) above++;
+  }
+  const ha = pixelAreaHa(grid);
+  const { count, min, mean, max, std, p10, median, p90 } = summarize(values);
+  return {
+    count, min, mean, max, std, p10, p50: median, p90,
+    vegPct:   NaN,
+    validPct: inAOI ? n / inAOI * 100 : 0,
+    threshold,
+    belowHa:  below * ha,
+    aboveHa:  above * ha,
+    belowPct: inAOI ? below / inAOI * 100 : 0,
+    abovePct: inAOI ? above / inAOI * 100 : 0,
+    validHa:  n * ha,
+  };
+}
+
+// [-L, L] with L the 98th percentile of |value|, rounded up to
+// 0.05 (as for change maps)
+function symmetricRange(values) {
+  const abs = new Float32Array(values.length);
+  let n = 0;
+  for (let i = 0; i < values.length; i++) if (!isNaN(values[i])) abs[n++] = Math.abs(values[i]);
+  const L = Math.max(0.1, +(Math.ceil(percentile(abs.subarray(0, n).sort(), 98) / 0.05) * 0.05).toFixed(2) || 0);
+  return [-L, L];
+}
@@ -0,0 +1,125 @@
+// ══════════════════════════════════════════════════════════
+//  aoi.js — AOI geometry: file import (GeoJSON, KML, zipped
+//           Shapefile) + bbox helpers
+// ══════════════════════════════════════════════════════════
+
+// ── READ AOI FILE ─────────────────────────────────────────
+// Accepts .geojson/.json, .kml and .zip (zipped Shapefile).
+// Returns a GeoJSON Polygon or MultiPolygon in WGS84.
+export async function readAOIFile(file) {
+  return toAOIGeometry(await readGeoFile(file));
+}
+
+// Same formats, one Feature per polygon, properties kept — for
+// field boundaries (zonal statistics). MultiPolygon geometries stay
+// whole, bare or in a feature; each KML polygon is a feature of its
+// own, without properties.
+export async function readFeatureFile(file) {
+  const features = toPolygonFeatures(await readGeoFile(file));
+  if (!features.length) throw new Error(`No polygons found in ${file.name}`);
+  return features;
+}
+
+async function readGeoFile(file) {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.geojson') || name.endsWith('.json')) return JSON.parse(await file.text());
+  if (name.endsWith('.kml')) return parseKML(await file.text());
+  // shpjs (global `shp`) unzips and reprojects using the .prj
+  if (name.endsWith('.zip')) return shp(await file.arrayBuffer());
+  throw new Error(`Unsupported file "${file.name}" — use GeoJSON, KML or a zipped Shapefile`);
+}
+
+// ── NORMALISE TO (MULTI)POLYGON ───────────────────────────
+// Flattens Feature / FeatureCollection / GeometryCollection
+// (and shpjs' array-of-layers output) into a single geometry
+export function toAOIGeometry(geojson) {
+  const polygons = [];
+
+  (function collect(g) {
+    if (!g) return;
+    if (Array.isArray(g))                    return g.forEach(collect);
+    if (g.type === 'FeatureCollection')      return g.features.forEach(collect);
+    if (g.type === 'Feature')                return collect(g.geometry);
+    if (g.type === 'GeometryCollection')     return g.geometries.forEach(collect);
+    if (g.type === 'Polygon')                return polygons.push(g.coordinates);
+    if (g.type === 'MultiPolygon')           return polygons.push(...g.coordinates);
+  })(geojson);
+
+  if (!polygons.length) throw new Error('No polygons found in the AOI file');
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+export function toPolygonFeatures(geojson) {
+  const features = [];
+
+  (function collect(g, properties = {}, id = undefined) {
+    if (!g) return;
+    if (Array.isArray(g))                return g.forEach(x => collect(x));
+    if (g.type === 'FeatureCollection')  return g.features.forEach(x => collect(x));
+    if (g.type === 'Feature')            return collect(g.geometry, g.properties || {}, g.id);
+    if (g.type === 'GeometryCollection') return g.geometries.forEach(x => collect(x, properties, id));
+    if (g.type === 'Polygon' || g.type === 'MultiPolygon') {
+      features.push({ type: 'Feature', id, properties, geometry: g });
+    }
+  })(geojson);
+  return features;
+}
+
+// ── KML ───────────────────────────────────────────────────
+// Only <Polygon> placemarks are read; coordinates are "lon,lat[,alt]".
+// Polygons without an outer boundary are skipped, as are holes
+// without coordinates. Returns a FeatureCollection, one Polygon
+// feature per KML polygon (so one field each).
+function parseKML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid KML file');
+
+  const ring = (el) => {
+    const coords = el?.getElementsByTagNameNS('*', 'coordinates')[0];
+    if (!coords) return null;
+    return coords.textContent.trim().split(/\s+/).map(t => t.split(',').slice(0, 2).map(Number));
+  };
+
+  const polygons = [...doc.getElementsByTagNameNS('*', 'Polygon')].flatMap(poly => {
+    const outer = ring(poly.getElementsByTagNameNS('*', 'outerBoundaryIs')[0]);
+    if (!outer) {
+      console.warn('[AOI] KML Polygon without outer boundary — skipped');
+      return [];
+    }
+    const inner = [...poly.getElementsByTagNameNS('*', 'innerBoundaryIs')].map(ring).filter(Boolean);
+    return [[outer, ...inner]];
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features: polygons.map(coordinates => ({ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates } })),
+  };
+}
+
+// ── BBOX HELPERS ──────────────────────────────────────────
+// Outer rings only — holes cannot extend the bbox
+export function geometryBBox(geometry) {
+  const polys = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  for (const poly of polys) {
+    for (const [x, y] of poly[0]) {
+      if (x < w) w = x;
+      if (x > e) e = x;
+      if (y < s) s = y;
+      if (y > n) n = y;
+    }
+  }
+  return [+w.toFixed(6), +s.toFixed(6), +e.toFixed(6), +n.toFixed(6)];
+}
+
+export function bboxToGeometry([w, s, e, n]) {
+  return { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] };
+}
+
+export function countVertices(geometry) {
+  const polys = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polys.reduce((acc, p) => acc + p.reduce((a, r) => a + r.length - 1, 0), 0);
+}
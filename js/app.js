@@ -2,30 +2,201 @@
 //  app.js — Main entry point, wires all modules together
 // ══════════════════════════════════════════════════════════
 
-import { initMap, startDraw, clearMapLayers, setNDVIOverlay } from './map.js';
-import { searchScenes, signUrl, resolveBandKeys }             from './stac.js';
-import { readCOGWindow, computeNDVIArray, renderNDVIToCanvas, applyColormap } from './ndvi.js';
-import { renderScenes, handleSceneSelect }                     from './scenes.js';
 import {
-  setStatus, showLoader, hideLoader, setProgress, toast, updateNDVIStats,
+  initMap, startDraw, clearMapLayers, setNDVIOverlay, showAOIGeometry, showFields, highlightField, clearFields,
+  showPins,
+} from './map.js';
+import {
+  searchPage, fetchScene, registerProvider, removeProvider, setActiveProvider, getActiveProvider, listProviders,
+} from './stac.js';
+import { renderNDVIToCanvas, scaleBand }                       from './ndvi.js';
+import { renderScenes, handleSceneSelect, markSceneCard }      from './scenes.js';
+import { getIndex }                                            from './indices.js';
+import { readAOIFile, readFeatureFile, geometryBBox, countVertices } from './aoi.js';
+import { processScene }                                        from './pipeline.js';
+import { computeTimeSeries, renderTimeSeriesChart, seriesToCSV } from './timeseries.js';
+import { computeChange }                                       from './change.js';
+import { computeComposite, COMPOSITE_RULES }                   from './composite.js';
+import { computeAnomaly, ANOMALY_MODES }                       from './anomaly.js';
+import { writeGeoTIFF, worldFile, prjWKT }                     from './export.js';
+import { getSensor, SENSORS }                                  from './sensors.js';
+import { SEASONS, sortScenes, sceneInfo }                      from './filters.js';
+import { gridBounds }                                          from './grid.js';
+import { exportReport }                                        from './report.js';
+import { encodeState, decodeState }                            from './permalink.js';
+import { registerCRSs }                                        from './crs.js';
+import {
+  defaultClasses, validateClasses, classIndex, classColorizer, classStats, histogram,
+  renderHistogram, renderClassTable, readClassTable,
+} from './classes.js';
+import {
+  fieldsGeometry, zonalStats, sortFields, renderFieldTable, fieldsToCSV, fieldsToGeoJSON,
+} from './zonal.js';
+import { updatePin, renderPinList, pinsToCSV }              from './pins.js';
+import { startCompare, stopCompare, isComparing }            from './compare.js';
+import {
+  saveAOI, recordRun, findEntry, renameEntry, deleteEntry, thumbnail, exportWorkspace, importWorkspace,
+  renderWorkspace,
+} from './workspace.js';
+import {
+  paletteById, savePalette, deletePalette, loadStretch, saveStretch, stretchRange, renderPaletteOptions,
+  renderPaletteEditor, readPaletteEditor, addStop, drawPaletteBar,
+} from './palettes.js';
+import { isLocalImagery, readLocalScenes, renderLocalForm, applyLocalForm } from './local.js';
+import { cacheStats, clearCache, setCacheLimit, DEFAULT_CACHE_LIMIT } from './cache.js';
+import { isAbort, throwIfAborted }                          from './requests.js';
+import {
+  setStatus, showLoader, hideLoader, setProgress, toast, updateNDVIStats, downloadBlob, esc,
 } from './ui.js';
 
+// proj4 comes from the <script> tag; the CRSs (crs.js) are registered
+// before any module reprojects (workers do the same in worker.js)
+registerCRSs(proj4);
+
 // ── APP STATE ─────────────────────────────────────────────
 let bbox     = null;   // [west, south, east, north]
+let geometry = null;   // GeoJSON Polygon / MultiPolygon of the AOI
 let scenes   = [];
+let search   = null;   // last search — { params, next, loading } for paging
 let selected = null;   // currently selected STAC feature
+let series   = null;   // last time series (see timeseries.js)
+let pair     = { before: null, after: null };   // change-detection scenes
+let composite = null;  // last composite (see composite.js) + its index
+let result   = null;   // last rendered raster — { name, label, values, width, height, grid, inputs }
+let defaultCollections = null;   // collection <option>s from index.html
+let restoring = false; // applying a permalink — no history entries meanwhile
+let classMode = false; // map + legend drawn by class instead of the colormap
+let legendBar = null;  // { cmap, range, index, tick, names } of the legend colour bar
+let palette   = null;  // palette in the editor, applied to new results (see palettes.js)
+let fields    = null;  // zonal fields — { file, features, rows, sort, selected }
+let pins      = [];    // pinned inspection points (see pins.js)
+let pinSeq    = 0;
+let pinSel    = null;  // id of the highlighted pin
+let gallery   = [];    // recent results for comparing — [{ id, title, r }], newest first
+let preview   = null;  // preview image of the selected scene — { id, title, url, bbox }
+let job       = null;  // AbortController of the operation behind the loader
+let previewJob = null; // AbortController of the selected scene's preview
 
 // ── INIT ──────────────────────────────────────────────────
-function init() {
-  initMap(onBBoxDrawn);
+async function init() {
+  initMap(onAOIDrawn, onFilesDropped, onRasterClicked);
   setDefaultDates();
+  const sources = loadSources();
+  loadCacheLimit();
 
   // Expose button handlers to HTML onclick attributes
-  window.onClickDraw    = () => startDraw();
+  window.onClickDraw    = () => startDraw('rectangle');
+  window.onClickPolygon = () => startDraw('polygon');
+  window.onPickAOIFile  = (input) => { onFilesDropped(input.files); input.value = ''; };
+  window.onPickLocalFiles = (input) => { openLocalFiles([...input.files]); input.value = ''; };
   window.onClickClear   = () => clearAll();
   window.onClickSearch  = () => doSearch();
   window.onClickNDVI    = () => doNDVI();
   window.onCloseNDVI    = () => closeNDVI();
+  window.onChangeIndex  = () => onIndexChanged();
+  window.onClickSeries  = () => doTimeSeries();
+  window.onExportSeries = () => exportSeries();
+  window.onCloseSeries  = () => closeSeries();
+  window.onClickChange  = () => doChange();
+  window.onClickComposite = () => doComposite();
+  window.onClickAnomaly   = () => doAnomaly();
+  window.onChangeAnomalyMode = () => {
+    document.getElementById('anom-thr').value = ANOMALY_MODES[document.getElementById('anom-mode').value].threshold;
+  };
+  window.onShowComposite  = (layer) => showComposite(layer);
+  window.onExportTIFF   = (what) => exportGeoTIFF(what);
+  window.onExportPNG    = () => exportPNG();
+  window.onExportReport = () => doReport();
+  window.onChangePalette    = () => selectPalette(true);
+  window.onChangeStretch    = () => changeStretch();
+  window.onChangeCollection = () => onCollectionChanged();
+  window.onChangeProvider   = () => onProviderChanged();
+  window.onToggleSourceForm = () => toggleSourceForm();
+  window.onAddSource        = () => addSource();
+  window.onRemoveSource     = () => removeSource();
+  window.onChangeFilters    = () => onFiltersChanged();
+  window.onChangeSort       = () => changeSort();
+  window.onCopyLink         = () => copyLink();
+  window.onOpenSettings     = () => showCacheInfo();
+  window.onChangeCacheLimit = () => changeCacheLimit();
+  window.onClearCache       = () => doClearCache();
+  window.onToggleClassMode  = () => toggleClassMode();
+  window.onOpenHistogram    = () => renderClassPanel();
+  window.onAddClass         = () => addClass();
+  window.onResetClasses     = () => resetClasses();
+  window.onPickFieldsFile   = (input) => { loadFields(input.files[0]); input.value = ''; };
+  window.onClickZonal       = () => doZonal();
+  window.onExportZonal      = (fmt) => exportZonal(fmt);
+  window.onCloseZonal       = () => closeZonal();
+  window.onExportPins       = () => exportPins();
+  window.onClearPins        = () => clearPins();
+  window.onToggleCompare    = () => toggleCompare();
+  window.onChangeCompare    = () => { if (isComparing()) toggleCompare(true); };
+  window.onSaveAOI          = () => saveCurrentAOI();
+  window.onExportWorkspace  = () => downloadBlob(new Blob([exportWorkspace()], { type: 'application/json' }), 'ndvi-workspace.json');
+  window.onImportWorkspace  = (input) => { loadWorkspaceFile(input.files[0]); input.value = ''; };
+  window.onCancelLoader     = () => cancelJob();
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && job) cancelJob();
+  });
+
+  const rows = document.getElementById('class-rows');
+  rows.addEventListener('change', () => editClasses(readClassTable(rows)));
+  rows.addEventListener('click', (e) => {
+    const k = e.target.dataset?.del;
+    if (k != null) removeClass(+k);
+  });
+
+  renderPaletteOptions(document.getElementById('cmap'));
+  loadStretchForm();
+  selectPalette(false);
+  for (const id of ['palette-stops', 'palette-clear', 'pal-reverse', 'pal-steps']) {
+    document.getElementById(id).addEventListener('change', () => editPalette());
+  }
+  document.getElementById('palette-sec').addEventListener('click', (e) => {
+    const act = e.target.dataset?.act;
+    if (act) onPaletteAction(act, +e.target.closest('.pal-row')?.dataset.k);
+  });
+
+  document.getElementById('local-form').addEventListener('change', () => editLocalScene());
+
+  const pinList = document.getElementById('pin-list');
+  pinList.addEventListener('change', (e) => {
+    const card = e.target.closest('.pin-card');
+    if (card && e.target.dataset.f === 'name') renamePin(+card.dataset.id, e.target.value);
+  });
+  pinList.addEventListener('click', (e) => {
+    if (e.target.dataset.del) removePin(+e.target.dataset.del);
+  });
+
+  const wsPanel = document.getElementById('ws-sec');
+  wsPanel.addEventListener('change', (e) => {
+    const item = e.target.closest('.ws-item');
+    if (item && e.target.dataset.f === 'name') renameEntry(item.dataset.kind, item.dataset.id, e.target.value);
+  });
+  wsPanel.addEventListener('click', (e) => {
+    const act  = e.target.dataset?.act;
+    const item = e.target.closest('.ws-item');
+    if (act && item) onWorkspaceAction(act, item.dataset.kind, item.dataset.id);
+  });
+  renderWorkspacePanel();
+
+  // Field table: header sorts, row highlights the field on the map
+  document.getElementById('zonal-table').addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-sort]');
+    if (th) return sortZonal(th.dataset.sort);
+    const tr = e.target.closest('tr[data-k]');
+    if (tr) selectField(+tr.dataset.k, true);
+  });
+
+  // Form edits update the current history entry; back/forward
+  // restores the entry's state
+  document.getElementById('panel').addEventListener('change', () => updateURL(false));
+  window.addEventListener('popstate', () => restoreState(decodeState(location.search)));
+
+  await sources;
+  if (location.search) await restoreState(decodeState(location.search));
 }
 
 // ── DEFAULT DATES ─────────────────────────────────────────
@@ -38,156 +209,1747 @@ function setDefaultDates() {
 }
 
 // ── AOI DRAWN ─────────────────────────────────────────────
-function onBBoxDrawn(newBBox) {
-  bbox = newBBox;
+function onAOIDrawn(aoi) {
+  bbox     = aoi.bbox;
+  geometry = aoi.geometry;
+  // Another AOI replaces the loaded fields
+  if (fields && geometry !== fields.geometry) dropFields();
   const [w, s, e, n] = bbox;
   const el = document.getElementById('bbox-box');
   el.classList.remove('empty');
-  el.textContent = `W: ${w}°  E: ${e}°\nS: ${s}°  N: ${n}°`;
+  el.textContent = `W: ${w}°  E: ${e}°\nS: ${s}°  N: ${n}°\n${geometry.type} · ${countVertices(geometry)} vertices`;
   document.getElementById('btn-search').disabled = false;
-  document.getElementById('hint').classList.add('gone');
+  document.getElementById('btn-ws-save').disabled = false;
+  document.getElementById('hint')?.classList.add('gone');
+  updateURL(true);
+}
+
+// ── AOI FILE IMPORT ───────────────────────────────────────
+// GeoJSON, KML or zipped Shapefile — dropped on the map or picked.
+// GeoTIFFs and STAC items dropped on the map open as local scenes.
+async function onFilesDropped(files) {
+  const file = files[0];
+  if (!file) return;
+  if (await isLocalImagery(files)) return openLocalFiles([...files]);
+  try {
+    const geom = await readAOIFile(file);
+    showAOIGeometry(geom);
+    onAOIDrawn({ bbox: geometryBBox(geom), geometry: geom });
+    toast(`AOI imported from ${file.name}`, 'success');
+  } catch (e) {
+    toast('AOI import error: ' + e.message, 'error');
+    console.error(e);
+  }
 }
 
 // ── CLEAR ALL ─────────────────────────────────────────────
 function clearAll() {
-  bbox = null; scenes = []; selected = null;
+  bbox = null; geometry = null; series = null; composite = null; fields = null;
+  pins = []; pinSel = null; gallery = []; preview = null;
+  endCompare();
+  setResult(null);
+  renderCompareOptions();
+  document.getElementById('cmp-view').style.display = 'none';
+  document.getElementById('cmp-result').textContent = '';
   clearMapLayers();
+  closeSeries();
+  closeZonal();
+  clearScenes();
+  document.getElementById('zonal-file').textContent = 'No fields loaded';
+  document.getElementById('zonal-file').classList.add('empty');
 
-  document.getElementById('bbox-box').textContent = 'Draw a rectangle on the map\nto define your AOI';
+  document.getElementById('bbox-box').textContent = 'Draw a rectangle or polygon on the map,\nor drop a GeoJSON / KML / zipped SHP';
   document.getElementById('bbox-box').classList.add('empty');
   document.getElementById('btn-search').disabled = true;
+  document.getElementById('btn-ws-save').disabled = true;
+  document.getElementById('hint')?.classList.remove('gone');
+  document.getElementById('ndvi-legend').style.display = 'none';
+
+  setStatus('READY', 'ok');
+  updateURL(true);
+}
+
+// Scene list only — the AOI and the rendered result stay
+function clearScenes() {
+  scenes = []; selected = null; search = null;
+  resetPair();
   document.getElementById('btn-ndvi').disabled   = true;
+  document.getElementById('btn-anomaly').disabled = true;
+  document.getElementById('btn-series').disabled = true;
+  document.getElementById('btn-zonal').disabled  = !result;
+  document.getElementById('btn-composite').disabled = true;
+  renderLocalPanel();
   document.getElementById('scount').textContent  = '';
   document.getElementById('scenes-wrap').innerHTML =
     `<div class="empty-msg"><div class="ico">🛰</div>No scenes loaded.<br/>Define AOI and search.</div>`;
-  document.getElementById('hint').classList.remove('gone');
-  document.getElementById('ndvi-legend').style.display = 'none';
+}
 
-  setStatus('READY', 'ok');
+// ── JOBS ──────────────────────────────────────────────────
+// The operation behind the loader runs as a job with its own
+// AbortSignal, passed down to every request it makes (see
+// requests.js). The loader's CANCEL button or Esc aborts it;
+// starting another job aborts the one before, so a stale result
+// never replaces a newer one.
+function startJob() {
+  job?.abort();
+  job = new AbortController();
+  return job.signal;
+}
+
+function cancelJob() {
+  job?.abort();
+}
+
+// Clears the loader — unless a newer job has taken it over
+function endJob(signal) {
+  if (job?.signal !== signal) return;
+  job = null;
+  setTimeout(() => setProgress(0), 600);
+  hideLoader();
+}
+
+// True when `e` ended the job by cancelling it: reported quietly,
+// and only while no newer job is running
+function cancelled(e, signal) {
+  if (!isAbort(e) && !signal.aborted) return false;
+  if (job?.signal === signal) {
+    setStatus('CANCELLED');
+    toast('Cancelled', 'info');
+  }
+  return true;
 }
 
 // ── SEARCH ────────────────────────────────────────────────
+// Resolves false when the search was cancelled
 async function doSearch() {
-  if (!bbox) return;
+  if (!bbox) return false;
 
+  const signal = startJob();
   setStatus('SEARCHING…', 'busy');
-  showLoader('QUERYING PLANETARY COMPUTER STAC…');
+  showLoader(`QUERYING ${getSensor(document.getElementById('collection').value).badge} · ${getActiveProvider().label.toUpperCase()}…`);
 
   try {
-    scenes = await searchScenes({
-      bbox,
-      dateStart:   document.getElementById('d0').value,
-      dateEnd:     document.getElementById('d1').value,
-      cloudCover:  +document.getElementById('cloud').value,
-    });
+    const params = readSearchParams();
+    const page = await searchPage(params, null, signal);
+    throwIfAborted(signal);
+    search = { params, next: page.next, loading: false };
+    scenes = scenes.filter(f => f.local).concat(page.features);   // local scenes stay listed
 
-    renderScenes(scenes, onSceneSelected);
-    setStatus(`${scenes.length} SCENES FOUND`, 'ok');
-    toast(`Found ${scenes.length} scenes`, scenes.length > 0 ? 'success' : 'info');
+    resetPair();
+    showScenes();
+    document.getElementById('btn-series').disabled = scenes.length === 0;
+    document.getElementById('btn-composite').disabled = scenes.length === 0;
+    setStatus(`${scenes.length}${search.next ? '+' : ''} SCENES FOUND`, 'ok');
+    toast(`Found ${scenes.length}${search.next ? '+' : ''} scenes`, scenes.length > 0 ? 'success' : 'info');
+    updateURL(true);
   } catch (e) {
+    if (cancelled(e, signal)) return false;
     setStatus('ERROR', 'error');
     toast(e.message, 'error');
     console.error(e);
   } finally {
-    hideLoader();
+    endJob(signal);
   }
+  return true;
+}
+
+function readSearchParams() {
+  return {
+    bbox,
+    geometry,
+    dateStart:   document.getElementById('d0').value,
+    dateEnd:     document.getElementById('d1').value,
+    cloudCover:  +document.getElementById('cloud').value,
+    collection:  document.getElementById('collection').value,
+    filters:     readFilters(),
+    sort:        document.getElementById('scene-sort').value,
+  };
+}
+
+// Next page via the STAC `next` link — from the "load more" row
+// at the end of the list, or when it scrolls into view. A page
+// arriving after a new search has started is dropped.
+async function loadMoreScenes() {
+  const current = search;
+  if (!current?.next || current.loading) return;
+  current.loading = true;
+  setStatus('LOADING MORE SCENES…', 'busy');
+
+  try {
+    const page = await searchPage(current.params, current.next);
+    if (search !== current) return;
+    const seen = new Set(scenes.map(f => f.id));
+    scenes = scenes.concat(page.features.filter(f => !seen.has(f.id)));
+    search.next = page.next;
+    showScenes();
+    setStatus(`${scenes.length}${search.next ? '+' : ''} SCENES LOADED`, 'ok');
+  } catch (e) {
+    if (search !== current) return;
+    setStatus('ERROR', 'error');
+    toast(e.message, 'error');
+    console.error(e);
+  } finally {
+    current.loading = false;
+  }
+}
+
+// Re-renders the list in the selected order, keeping the selected
+// and BEFORE/AFTER cards highlighted
+function showScenes() {
+  if (!search) return;
+  scenes = sortScenes(scenes, document.getElementById('scene-sort').value);
+  renderScenes(scenes, onSceneSelected, onSceneMarked, {
+    selectedId: selected?.id,
+    marked:     { before: pair.before?.id, after: pair.after?.id },
+    hasMore:    !!search.next,
+    onMore:     loadMoreScenes,
+  });
+}
+
+// Pages still to load would arrive in the old order, so a partly
+// loaded list is searched again (the API sorts by the new `sortby`);
+// a complete one is only re-sorted
+function changeSort() {
+  if (search?.next) doSearch();
+  else showScenes();
+}
+
+// ── FILTERS ───────────────────────────────────────────────
+// Platform / WRS / sun elevation / season — see filters.js
+function readFilters() {
+  const num = (id) => {
+    const v = document.getElementById(id).value;
+    return v === '' ? null : +v;
+  };
+  const wrs    = document.getElementById('wrs-field').style.display !== 'none';
+  const season = document.getElementById('season').value;
+  return {
+    platforms: [...document.querySelectorAll('#platforms input:checked')].map(i => i.value),
+    path:      wrs ? num('wrs-path') : null,
+    row:       wrs ? num('wrs-row')  : null,
+    minSunElevation: +document.getElementById('sun-elev').value,
+    doy: season === 'custom'
+      ? [num('doy-from') || 1, num('doy-to') || 366]
+      : SEASONS[season]?.doy || null,
+  };
+}
+
+function onFiltersChanged() {
+  const f = readFilters();
+  document.getElementById('doy-field').style.display =
+    document.getElementById('season').value === 'custom' ? 'grid' : 'none';
+  const active = [f.platforms.length, f.path != null, f.row != null, f.minSunElevation > 0, !!f.doy]
+    .filter(Boolean).length;
+  document.getElementById('filter-count').textContent = active ? `(${active} active)` : '';
+}
+
+// Platform chips and WRS fields follow the collection's profile;
+// collections without one only get sun elevation and season
+function renderFilterFields(collection) {
+  const profile   = SENSORS[collection];
+  const platforms = profile?.platforms || [];
+  const checked   = new Set(readFilters().platforms);
+
+  document.getElementById('platforms').innerHTML = platforms.map(pl =>
+    `<label class="chip"><input type="checkbox" value="${pl}" ${checked.has(pl) ? 'checked' : ''} />${pl}</label>`
+  ).join('');
+  document.getElementById('platform-field').style.display = platforms.length ? 'block' : 'none';
+  document.getElementById('wrs-field').style.display =
+    profile?.queryables.includes('landsat:wrs_path') ? 'grid' : 'none';
+  onFiltersChanged();
 }
 
 // ── SCENE SELECTED ────────────────────────────────────────
+// Picking another scene cancels the previous scene's preview
+// signing, and a preview that arrives late is dropped
 async function onSceneSelected(feature) {
   selected = feature;
-  document.getElementById('btn-ndvi').disabled = false;
-  await handleSceneSelect(feature);
+  document.getElementById('btn-ndvi').disabled  = false;
+  document.getElementById('btn-anomaly').disabled = false;
+  document.getElementById('btn-zonal').disabled = false;
+  updateURL(true);
+  endCompare();
+  renderLocalPanel();
+  previewJob?.abort();
+  previewJob = new AbortController();
+  const shown = await handleSceneSelect(feature, previewJob.signal);
+  if (selected !== feature) return;
+  const date  = sceneInfo(feature).date;
+  preview = shown && { ...shown, id: `preview|${feature.id}`, title: `Preview · ${date || feature.id}` };
+  renderCompareOptions();
+}
+
+// ── LOCAL IMAGERY ─────────────────────────────────────────
+// GeoTIFFs / STAC item JSON from disk (see local.js) join the top
+// of the scene list and go through the same pipeline. The selected
+// local scene's band assignment and scaling are edited in the
+// "Local Imagery" section. Without an AOI, the files' footprint
+// becomes the AOI.
+async function openLocalFiles(files) {
+  const signal = startJob();
+  setStatus('READING FILES…', 'busy');
+  showLoader('READING LOCAL FILES…');
+  try {
+    const found = await readLocalScenes(files);
+    throwIfAborted(signal);
+    const ids   = new Set(found.map(f => f.id));
+    scenes = found.concat(scenes.filter(f => !ids.has(f.id)));
+    search = search || { params: null, next: null, loading: false };
+
+    if (!bbox) {
+      showAOIGeometry(found[0].geometry);
+      onAOIDrawn({ bbox: found[0].bbox, geometry: found[0].geometry });
+    }
+    showScenes();
+    document.getElementById('btn-series').disabled = false;
+    document.getElementById('btn-composite').disabled = false;
+    await onSceneSelected(found[0]);
+    markSceneCard(found[0].id);
+    document.getElementById('local-sec').open = true;
+
+    const unset = ['red', 'nir08'].filter(b => !found[0].local.bandKeys[b]);
+    setStatus(`${found.length} LOCAL SCENE${found.length > 1 ? 'S' : ''}`, 'ok');
+    toast(unset.length
+      ? `Opened ${found[0].id} — assign the ${unset.join(' and ')} band under "Local Imagery"`
+      : `Opened ${found[0].id} — check the bands under "Local Imagery", then Generate Index`, 'success');
+  } catch (e) {
+    if (cancelled(e, signal)) return;
+    setStatus('ERROR', 'error');
+    toast('Local files: ' + e.message, 'error');
+    console.error(e);
+  } finally {
+    endJob(signal);
+  }
+}
+
+function renderLocalPanel() {
+  const form = document.getElementById('local-form');
+  const note = document.getElementById('local-note');
+  if (selected?.local) {
+    renderLocalForm(form, selected);
+    note.textContent = selected.id;
+    note.classList.remove('empty');
+  } else {
+    form.innerHTML = '';
+    note.textContent = scenes.some(f => f.local) ? 'Select a local scene to edit its bands' : 'No local files opened';
+    note.classList.add('empty');
+  }
+}
+
+function editLocalScene() {
+  if (!selected?.local) return;
+  try {
+    applyLocalForm(document.getElementById('local-form'), selected);
+    showScenes();
+  } catch (e) {
+    toast(e.message, 'error');
+  }
+}
+
+// ── COLLECTION SELECTOR ───────────────────────────────────
+// Topbar badge + native resolution hint; already listed scenes keep
+// their own collection, so they can still be processed
+function onCollectionChanged() {
+  const sensor = getSensor(document.getElementById('collection').value);
+  document.getElementById('badge-sensor').textContent = sensor.badge;
+  document.getElementById('collection-res').textContent = `${sensor.resolution} m`;
+  renderFilterFields(document.getElementById('collection').value);
+}
+
+// ── DATA SOURCES ──────────────────────────────────────────
+// Built-in providers are registered by stac.js; user-added STAC
+// APIs / static catalogs (including their auth header) persist in
+// localStorage
+const SOURCES_KEY       = 'ndvi-explorer.sources';
+const ACTIVE_SOURCE_KEY = 'ndvi-explorer.source';
+
+// Resolves once the active source's collections are listed
+function loadSources() {
+  defaultCollections = document.getElementById('collection').innerHTML;
+  let saved = [];
+  try { saved = JSON.parse(localStorage.getItem(SOURCES_KEY)) || []; } catch (_) { /* corrupt entry */ }
+  for (const config of saved) {
+    try { registerProvider(config); } catch (e) { console.warn('[STAC] Skipping saved source:', e.message); }
+  }
+  renderSourceOptions(localStorage.getItem(ACTIVE_SOURCE_KEY));
+  return onProviderChanged();
+}
+
+// Sources opened from a link (`session`) are not kept
+function saveSources() {
+  const custom = listProviders().filter(p => !p.config.builtin && !p.config.session).map(p => p.config);
+  localStorage.setItem(SOURCES_KEY, JSON.stringify(custom));
+}
+
+function renderSourceOptions(activeId) {
+  const sel = document.getElementById('provider');
+  sel.replaceChildren(...listProviders().map(p => new Option(p.label, p.id)));
+  if (listProviders().some(p => p.id === activeId)) sel.value = activeId;
+}
+
+// Listed scenes carry the previous backend's asset URLs, so they
+// are dropped; the collection list follows the new backend
+async function onProviderChanged() {
+  const provider = setActiveProvider(document.getElementById('provider').value);
+  if (!provider.config.session) localStorage.setItem(ACTIVE_SOURCE_KEY, provider.id);
+  document.getElementById('badge-provider').textContent = provider.label.toUpperCase();
+  document.getElementById('provider-url').textContent   = provider.url || '';
+  document.getElementById('btn-src-remove').disabled    = !!provider.config.builtin;
+  if (scenes.length) clearScenes();
+  await refreshCollections(provider);
+}
+
+// Known sensor profiles first, then anything else the backend
+// advertises (read with the Landsat profile — see sensors.js)
+async function refreshCollections(provider) {
+  const sel     = document.getElementById('collection');
+  const current = sel.value;
+  let ids = null;
+  try {
+    ids = await provider.collections();
+  } catch (e) {
+    console.warn('[STAC] Could not list collections:', e.message);
+  }
+
+  if (!ids?.length) {
+    sel.innerHTML = defaultCollections;
+  } else {
+    const known = Object.keys(SENSORS);
+    const order = [...known.filter(id => ids.includes(id)), ...ids.filter(id => !known.includes(id))];
+    sel.replaceChildren(...order.map(id => new Option(SENSORS[id]?.label || id, id)));
+  }
+  if ([...sel.options].some(o => o.value === current)) sel.value = current;
+  onCollectionChanged();
+}
+
+function toggleSourceForm(show) {
+  const form = document.getElementById('src-form');
+  form.style.display = (show ?? form.style.display === 'none') ? 'block' : 'none';
+  if (form.style.display === 'block') document.getElementById('src-url').focus();
 }
 
-// ── COMPUTE NDVI ──────────────────────────────────────────
+function addSource() {
+  const type = document.getElementById('src-type').value;
+  const url  = document.getElementById('src-url').value.trim();
+  const auth = document.getElementById('src-auth').value.trim();
+  if (!url) { toast('Enter a STAC API root or catalog.json URL', 'error'); return; }
+
+  let host;
+  try { host = new URL(url, location.href).host; } catch (_) {
+    toast('Invalid URL: ' + url, 'error');
+    return;
+  }
+  const label = document.getElementById('src-name').value.trim() || host;
+  const id    = 'src-' + Date.now().toString(36);
+
+  registerProvider({ type, id, label, url, auth });
+  saveSources();
+  renderSourceOptions(id);
+  toggleSourceForm(false);
+  for (const f of ['src-name', 'src-url', 'src-auth']) document.getElementById(f).value = '';
+  onProviderChanged();
+  toast(`Source "${label}" added`, 'success');
+}
+
+function removeSource() {
+  const provider = getActiveProvider();
+  if (provider.config.builtin) return;
+  removeProvider(provider.id);
+  saveSources();
+  renderSourceOptions();
+  onProviderChanged();
+  toast(`Source "${provider.label}" removed`, 'info');
+}
+
+// ── PERMALINK ─────────────────────────────────────────────
+// The query string mirrors the AOI, form and selected scene (see
+// permalink.js). A new AOI, search or scene adds a history entry;
+// other form edits replace the current one.
+function readState() {
+  const provider = getActiveProvider();
+  return {
+    geometry,
+    source:      provider.config.builtin ? provider.id : provider.config.url,
+    collection:  document.getElementById('collection').value,
+    dateStart:   document.getElementById('d0').value,
+    dateEnd:     document.getElementById('d1').value,
+    cloudCover:  +document.getElementById('cloud').value,
+    filters:     { ...readFilters(), season: document.getElementById('season').value },
+    sort:        document.getElementById('scene-sort').value,
+    index:       document.getElementById('index').value,
+    expr:        document.getElementById('custom-expr').value,
+    cmap:        document.getElementById('cmap').value,
+    maskClasses: getMaskClasses(),
+    maxSize:     readMaxSize(),
+    scene:       selected?.local ? null : selected?.id,   // local files cannot be reopened from a link
+  };
+}
+
+function updateURL(push = false) {
+  if (restoring) return;
+  const url = location.pathname + encodeState(readState());
+  if (url === location.pathname + location.search) return;
+  history[push ? 'pushState' : 'replaceState'](null, '', url);
+}
+
+async function copyLink() {
+  updateURL(false);
+  try {
+    await navigator.clipboard.writeText(location.href);
+    toast('Link copied — it reopens this AOI, search, scene and colormap', 'success');
+  } catch (_) {
+    prompt('Copy this link:', location.href);
+  }
+}
+
+// Applies a decoded link: form fields, AOI, then the search, and
+// finally the scene — fetched by id when the search does not list
+// it — with its index recomputed
+async function restoreState(s) {
+  restoring = true;
+  try {
+    if (s.source) await restoreSource(s.source);
+
+    const set = (id, v) => { if (v != null) document.getElementById(id).value = v; };
+    const sel = document.getElementById('collection');
+    if (s.collection && ![...sel.options].some(o => o.value === s.collection)) {
+      sel.add(new Option(SENSORS[s.collection]?.label || s.collection, s.collection));
+    }
+    set('collection', s.collection);
+    onCollectionChanged();
+
+    set('d0', s.dateStart);
+    set('d1', s.dateEnd);
+    set('cloud', s.cloudCover);
+    document.getElementById('cval').textContent = `${document.getElementById('cloud').value}%`;
+
+    const f = s.filters;
+    document.querySelectorAll('#platforms input').forEach(i => { i.checked = f.platforms.includes(i.value); });
+    set('wrs-path', f.path ?? '');
+    set('wrs-row',  f.row ?? '');
+    set('sun-elev', f.minSunElevation);
+    document.getElementById('sval').textContent = `${f.minSunElevation}°`;
+    set('season', f.season);
+    if (f.doy) { set('doy-from', f.doy[0]); set('doy-to', f.doy[1]); }
+    onFiltersChanged();
+
+    set('scene-sort',  s.sort);
+    set('index',       s.index);
+    set('custom-expr', s.expr);
+    set('cmap',        s.cmap);
+    selectPalette(false);
+    document.getElementById('custom-expr-field').style.display =
+      document.getElementById('index').value === 'custom' ? 'block' : 'none';
+    if (s.maskClasses) {
+      document.querySelectorAll('#mask-classes input').forEach(i => { i.checked = s.maskClasses.includes(i.value); });
+    }
+    if ('maxSize' in s) set('resolution', s.maxSize || '');
+
+    if (!s.geometry) {
+      if (bbox) clearAll();
+      return;
+    }
+    showAOIGeometry(s.geometry);
+    onAOIDrawn({ bbox: geometryBBox(s.geometry), geometry: s.geometry });
+
+    // Back/forward between scenes of one search keeps the list
+    if (!search || JSON.stringify(search.params) !== JSON.stringify(readSearchParams())) {
+      if (!(await doSearch())) return;
+    }
+
+    if (!s.scene) return;
+    let feature = scenes.find(f => f.id === s.scene);
+    if (!feature) {
+      feature = await fetchScene(sel.value, s.scene);
+      if (!feature) throw new Error(`scene ${s.scene} not found in ${getActiveProvider().label}`);
+      scenes = [feature, ...scenes];
+      showScenes();
+    }
+    markSceneCard(feature.id);
+    await onSceneSelected(feature);
+    await doNDVI();
+  } catch (e) {
+    toast('Could not restore the link: ' + e.message, 'error');
+    console.error(e);
+  } finally {
+    restoring = false;
+    updateURL(false);
+  }
+}
+
+// source: built-in provider id or a user-added source's URL. A URL
+// not set up here is only used once the user agrees, and only for
+// this session — a link never adds a source for good (nor carries
+// auth: tokens never go into links).
+async function restoreSource(source) {
+  let provider = listProviders().find(p => p.id === source || p.config.url === source);
+  if (!provider) {
+    let host;
+    try { host = new URL(source).host; } catch (_) { host = null; }
+    if (!host || !confirm(`This link reads its scenes from ${source}, which is not one of your data sources.\n\nUse it for this session?`)) {
+      toast(`Data source of the link not used — searching ${getActiveProvider().label}`, 'info');
+      return;
+    }
+    const type = /\.json([?#]|$)/.test(source) ? 'static' : 'stac-api';
+    provider = registerProvider({ type, id: 'src-' + Date.now().toString(36), label: host, url: source, session: true });
+    renderSourceOptions();
+    toast(`Using "${host}" for this session — add it under Data source to keep it`, 'info');
+  }
+  if (provider.id === getActiveProvider().id) return;
+  document.getElementById('provider').value = provider.id;
+  await onProviderChanged();
+}
+
+// ── INDEX SELECTOR ────────────────────────────────────────
+function onIndexChanged() {
+  const custom = document.getElementById('index').value === 'custom';
+  document.getElementById('custom-expr-field').style.display = custom ? 'block' : 'none';
+  if (custom) document.getElementById('custom-expr').focus();
+}
+
+// Compiled index from the selector, or null (with a toast) when
+// the custom formula does not parse
+function readIndex() {
+  try {
+    return getIndex(
+      document.getElementById('index').value,
+      document.getElementById('custom-expr').value,
+    );
+  } catch (e) {
+    toast('Formula error: ' + e.message, 'error');
+    return null;
+  }
+}
+
+// ── COMPUTE INDEX ─────────────────────────────────────────
 async function doNDVI() {
   if (!selected || !bbox) return;
 
+  const index = readIndex();
+  if (!index) return;
+
+  // The user may pick another scene while this one loads; the
+  // result belongs to the scene it was started for
+  const scene = selected;
+
+  const signal = startJob();
   setStatus('LOADING BANDS…', 'busy');
   showLoader('SIGNING ASSET URLS…');
   setProgress(0);
 
   try {
-    const assets = selected.assets;
-    const { redKey, nirKey } = resolveBandKeys(assets);
+    const maskClasses = getMaskClasses();
+    const res = await processScene(scene, {
+      index, maskClasses, signal,
+      aoi: { bbox, geometry },
+      maxSize: readMaxSize(),
+      onStep: (txt, pct) => { showLoader(txt); if (pct) setProgress(pct); },
+    });
+    throwIfAborted(signal);
+    const { values, width, height, stats, usedQA } = res;
 
-    if (!redKey || !nirKey) {
-      throw new Error(
-        `Could not find Red/NIR assets.\nAvailable: ${Object.keys(assets).join(', ')}`
-      );
+    if (maskClasses.length && !usedQA) {
+      toast('No QA band in this scene — computed without cloud mask', 'info');
+    } else if (!(stats.validPct > 0)) {
+      toast('Every pixel in the AOI is masked — try another scene', 'info');
     }
 
-    // Sign band URLs sequentially — parallel requests trigger 429 rate limit
-    showLoader('SIGNING RED BAND URL…');
-    const redUrl = await signUrl(assets[redKey].href);
+    // Warp + overlay on map
+    showRaster({
+      name: scene.id, label: index.label, values, width, height, grid: res.grid,
+      date: sceneInfo(scene).date, scenes: [scene],
+      cmap: palette, domain: [-1, 1], stats, classKey: index.id,
+      inputs: {
+        names: index.bands, bandData: res.bandData,
+        mask: res.mask, outside: res.outside, scaling: res.scaling,
+      },
+    });
+
+    // Update stats panel
+    updateNDVIStats(stats, index.cover?.label);
+    if (!restoring) saveRun(scene, index, result);
+
+    // Build legend
+    buildLegend(result.cmap, index, result.range);
+    document.getElementById('legend-extra').style.display = 'none';
 
-    showLoader('SIGNING NIR BAND URL…');
-    const nirUrl = await signUrl(assets[nirKey].href);
+    setProgress(100);
+    setStatus(`${index.label} READY`, 'ok');
+    toast(`${index.label} generated — hover the image to read values`, 'success');
 
-    console.info('[NDVI] Signed URLs ready — downloading COG windows…');
+  } catch (e) {
+    if (cancelled(e, signal)) return;
+    setStatus('ERROR', 'error');
+    toast(`${index.label} error: ` + e.message, 'error');
+    console.error(e);
+  } finally {
+    endJob(signal);
+  }
+}
 
-    // Download COG windows
-    setProgress(15);
-    showLoader('DOWNLOADING RED BAND (COG)…');
-    const redData = await readCOGWindow(redUrl, bbox);
-    if (!redData) throw new Error('AOI does not intersect the selected scene. Try a different scene or AOI.');
+// ── TIME SERIES ───────────────────────────────────────────
+// Runs the selected index over every scene in the result list
+async function doTimeSeries() {
+  if (!scenes.length || !bbox) return;
 
-    setProgress(50);
-    showLoader('DOWNLOADING NIR BAND (COG)…');
-    const nirData = await readCOGWindow(nirUrl, bbox);
-    if (!nirData) throw new Error('NIR band window read returned empty. Try a different scene or AOI.');
+  const index = readIndex();
+  if (!index) return;
 
-    // Compute
-    setProgress(80);
-    showLoader('COMPUTING NDVI…');
-    const { ndvi, width, height, stats } = computeNDVIArray(redData, nirData);
+  const signal = startJob();
+  setStatus('TIME SERIES…', 'busy');
+  showLoader('PREPARING TIME SERIES…');
+  setProgress(0);
 
-    // Render to canvas (still used for the data URL)
-    const canvas = document.getElementById('ndvi-canvas');
-    const cmap   = document.getElementById('cmap').value;
-    renderNDVIToCanvas(canvas, ndvi, width, height, cmap);
+  try {
+    const res = await computeTimeSeries(scenes, {
+      index, signal,
+      aoi: { bbox, geometry },
+      maskClasses: getMaskClasses(),
+      maxSize: readMaxSize(),
+      onStep: (txt, pct) => { showLoader(txt); setProgress(pct); },
+    });
+    throwIfAborted(signal);
+    series = res;
 
-    // Update stats panel
-    updateNDVIStats(stats);
+    const ok = series.points.filter(p => !isNaN(p.mean)).length;
+    if (!ok) throw new Error('No scene produced valid pixels for this AOI');
 
-    // Overlay on map — pass raw ndvi array so hover can read values
-    const dataUrl = canvas.toDataURL('image/png');
-    setNDVIOverlay(dataUrl, bbox, ndvi, width, height);
+    document.getElementById('ts-title').textContent = `${index.label} TIME SERIES`;
+    document.getElementById('ts-panel').classList.add('on');
+    renderTimeSeriesChart(document.getElementById('ts-chart'), series, onSeriesPointClicked);
 
-    // Build legend
-    buildLegend(cmap);
+    setStatus(`SERIES · ${ok}/${scenes.length} SCENES`, 'ok');
+    toast(`Time series ready — ${ok} of ${scenes.length} scenes had valid pixels`, 'success');
+  } catch (e) {
+    if (cancelled(e, signal)) return;
+    setStatus('ERROR', 'error');
+    toast('Time series error: ' + e.message, 'error');
+    console.error(e);
+  } finally {
+    endJob(signal);
+  }
+}
+
+// Clicking a chart point loads that scene's overlay
+async function onSeriesPointClicked(point) {
+  markSceneCard(point.feature.id);
+  await onSceneSelected(point.feature);
+  await doNDVI();
+}
+
+function exportSeries() {
+  if (!series) return;
+  const csv = seriesToCSV(series);
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), `${series.index.toLowerCase()}_timeseries.csv`);
+}
+
+function closeSeries() {
+  document.getElementById('ts-panel').classList.remove('on');
+}
+
+// ── CHANGE DETECTION ──────────────────────────────────────
+function onSceneMarked(role, feature) {
+  pair[role] = feature;
+  const date = sceneInfo(feature).date;
+  document.getElementById(`chg-${role}`).textContent = `${date} · ${feature.id}`;
+  document.getElementById(`chg-${role}`).classList.remove('empty');
+  document.getElementById('btn-change').disabled = !(pair.before && pair.after);
+}
+
+function resetPair() {
+  pair = { before: null, after: null };
+  for (const role of ['before', 'after']) {
+    const el = document.getElementById(`chg-${role}`);
+    el.textContent = `Mark a scene as ${role.toUpperCase()}`;
+    el.classList.add('empty');
+  }
+  document.getElementById('btn-change').disabled = true;
+  document.getElementById('chg-result').textContent = '';
+}
+
+// Index difference (after − before) on the BEFORE scene's grid,
+// rendered with a diverging colormap and a symmetric legend
+async function doChange() {
+  if (!pair.before || !pair.after || !bbox) return;
+
+  const index = readIndex();
+  if (!index) return;
+  const threshold = Math.abs(+document.getElementById('chg-thr').value) || 0;
+
+  const signal = startJob();
+  setStatus('CHANGE DETECTION…', 'busy');
+  showLoader('BEFORE · SIGNING ASSET URLS…');
+  setProgress(0);
+
+  try {
+    const opts = {
+      index, aoi: { bbox, geometry }, maskClasses: getMaskClasses(),
+      maxSize: readMaxSize(), keepInputs: false, signal,
+    };
+    const before = await processScene(pair.before, {
+      ...opts, onStep: (txt, pct) => { showLoader(`BEFORE · ${txt}`); setProgress(pct / 2); },
+    });
+    const after = await processScene(pair.after, {
+      ...opts, grid: before.grid,
+      onStep: (txt, pct) => { showLoader(`AFTER · ${txt}`); setProgress(50 + pct / 2); },
+    });
+    throwIfAborted(signal);
+
+    const { values, width, height, grid, range, stats } = computeChange(before, after, threshold);
+    if (!(stats.validPct > 0)) toast('No pixel is valid on both dates — try other scenes', 'info');
+
+    const label = `Δ${index.label}`;
+    showRaster({
+      name: `${pair.before.id}_${pair.after.id}`, label, values, width, height, grid,
+      date: [pair.before, pair.after].map(f => sceneInfo(f).date).join(' → '),
+      scenes: [pair.before, pair.after],
+      cmap: 'brbg', domain: range, inputs: null, stats, classKey: 'change', threshold, diverging: true,
+    });
+    updateNDVIStats(stats, null);
+    buildLegend(result.cmap, { id: 'change', label, name: `${index.label} after − before` }, result.range);
+
+    const summary =
+      `GAIN ${stats.gainHa.toFixed(1)} ha (${stats.gainPct.toFixed(1)}%) · ` +
+      `LOSS ${stats.lossHa.toFixed(1)} ha (${stats.lossPct.toFixed(1)}%) · |Δ| > ${threshold}`;
+    const extra = document.getElementById('legend-extra');
+    extra.textContent   = summary;
+    extra.style.display = 'block';
+    document.getElementById('chg-result').textContent = summary;
+
+    setProgress(100);
+    setStatus(`${label} READY`, 'ok');
+    toast(`Change map ready — gain ${stats.gainHa.toFixed(1)} ha, loss ${stats.lossHa.toFixed(1)} ha`, 'success');
+  } catch (e) {
+    if (cancelled(e, signal)) return;
+    setStatus('ERROR', 'error');
+    toast('Change detection error: ' + e.message, 'error');
+    console.error(e);
+  } finally {
+    endJob(signal);
+  }
+}
+
+// ── COMPOSITE ─────────────────────────────────────────────
+// Merges every listed scene on a common UTM grid with the chosen
+// rule — also fills AOIs that cross scene edges or UTM zones
+async function doComposite() {
+  if (!scenes.length || !bbox) return;
+
+  const index = readIndex();
+  if (!index) return;
+  const rule = document.getElementById('cmp-rule').value;
+
+  const signal = startJob();
+  setStatus('COMPOSITE…', 'busy');
+  showLoader('PREPARING COMPOSITE…');
+  setProgress(0);
+
+  try {
+    const res = await computeComposite(scenes, {
+      index, rule, signal,
+      aoi: { bbox, geometry },
+      maskClasses: getMaskClasses(),
+      maxSize: readMaxSize(),
+      onStep: (txt, pct) => { showLoader(txt); setProgress(pct); },
+    });
+    throwIfAborted(signal);
+    composite = { ...res, index, aoi: geometry };
+
+    const { scenes: used, skipped, stats } = composite;
+    document.getElementById('cmp-view').style.display = 'grid';
+    document.getElementById('cmp-result').textContent =
+      `${used.length} scene(s) used · ${skipped.length} skipped · ${stats.validPct.toFixed(1)}% of AOI filled`;
+    showComposite('index');
 
     setProgress(100);
-    setStatus('NDVI READY', 'ok');
-    toast('NDVI generated — hover the image to read values', 'success');
+    setStatus('COMPOSITE READY', 'ok');
+    toast(`${COMPOSITE_RULES[rule].label} composite of ${used.length} scene(s) ready`, 'success');
+  } catch (e) {
+    if (cancelled(e, signal)) return;
+    setStatus('ERROR', 'error');
+    toast('Composite error: ' + e.message, 'error');
+    console.error(e);
+  } finally {
+    endJob(signal);
+  }
+}
+
+// ── ANOMALY ───────────────────────────────────────────────
+// The selected scene against the same season of earlier years
+// (see anomaly.js), on the selected scene's grid
+async function doAnomaly() {
+  if (!selected || !bbox) return;
+
+  const index = readIndex();
+  if (!index) return;
+  const mode      = document.getElementById('anom-mode').value;
+  const years     = Math.max(2, Math.round(+document.getElementById('anom-years').value) || 5);
+  const days      = Math.max(1, Math.round(+document.getElementById('anom-window').value) || 15);
+  const threshold = Math.abs(+document.getElementById('anom-thr').value) || 0;
+  const feature   = selected;
+
+  const signal = startJob();
+  setStatus('ANOMALY…', 'busy');
+  showLoader('SCENE · SIGNING ASSET URLS…');
+  setProgress(0);
+
+  try {
+    const res = await computeAnomaly(feature, {
+      index, mode, years, days, threshold, signal,
+      aoi: { bbox, geometry },
+      maskClasses: getMaskClasses(),
+      maxSize: readMaxSize(),
+      search: { cloudCover: +document.getElementById('cloud').value, filters: readFilters() },
+      onStep: (txt, pct) => { showLoader(txt); setProgress(pct); },
+    });
+    throwIfAborted(signal);
+
+    const { values, width, height, grid, range, stats, scenes: used, skipped } = res;
+    if (!(stats.validPct > 0)) toast('No pixel has both a value and a baseline — try another scene', 'info');
+
+    const date  = sceneInfo(feature).date;
+    const first = res.years[res.years.length - 1].year;
+    const last  = res.years[0].year;
+    const unit  = mode === 'z' ? 'σ' : '';
+    const label = mode === 'z' ? `${index.label} z` : `Δ${index.label}`;
+    showRaster({
+      name: `${feature.id}_anomaly_${mode}`, label, values, width, height, grid, date,
+      scenes: [feature, ...used.map(s => s.feature)],
+      cmap: 'brbg', domain: range, inputs: null, stats, classKey: `anomaly-${mode}`, threshold, diverging: true,
+    });
+    updateNDVIStats(stats, null);
+    buildLegend(result.cmap, {
+      id: 'anomaly', label, name: `${index.label} ${ANOMALY_MODES[mode].label.toLowerCase()} · ${first}–${last} baseline`,
+    }, result.range);
+
+    const summary =
+      `BELOW NORMAL ${stats.belowHa.toFixed(1)} ha (${stats.belowPct.toFixed(1)}% of AOI) · ` +
+      `ABOVE ${stats.aboveHa.toFixed(1)} ha (${stats.abovePct.toFixed(1)}% of AOI) · beyond ±${threshold}${unit} · ` +
+      `baseline ${res.years.length} yr / ${used.length} scenes`;
+    const extra = document.getElementById('legend-extra');
+    extra.textContent   = summary;
+    extra.style.display = 'block';
+    document.getElementById('anom-result').textContent =
+      summary + (skipped.length ? ` · ${skipped.length} skipped` : '');
 
+    setProgress(100);
+    setStatus(`${label} READY`, 'ok');
+    toast(`Anomaly map ready — ${stats.belowPct.toFixed(1)}% of the AOI below normal`, 'success');
   } catch (e) {
+    if (cancelled(e, signal)) return;
     setStatus('ERROR', 'error');
-    toast('NDVI error: ' + e.message, 'error');
+    toast('Anomaly error: ' + e.message, 'error');
     console.error(e);
   } finally {
-    setTimeout(() => setProgress(0), 600);
-    hideLoader();
+    endJob(signal);
+  }
+}
+
+// layer: 'index' — the composited index
+//        'source' — which acquisition each pixel came from
+function showComposite(layer) {
+  const c = composite;
+  if (!c) return;
+  document.querySelectorAll('#cmp-view .btn').forEach(b => b.classList.toggle('on', b.dataset.layer === layer));
+
+  const { width, height, grid } = c;
+  const name = `composite_${c.rule}_${c.scenes[0].date}_${c.scenes[c.scenes.length - 1].date}`;
+  const last = Math.max(1, c.scenes.length - 1);
+  const sceneAt = (v) => c.scenes[Math.round(Math.max(0, Math.min(c.scenes.length - 1, v)))];
+
+  if (layer === 'source') {
+    showRaster({
+      name, label: 'SOURCE', width, height, grid, inputs: null, scenes: c.scenes.map(x => x.feature), aoi: c.aoi,
+      values: Float32Array.from(c.source, k => k < 0 ? NaN : k),
+      cmap: 'viridis', domain: [0, last],
+      format: (v) => `${sceneAt(v).date} · ${sceneAt(v).id}`,
+    });
+    buildLegend('viridis', { id: 'source', label: 'SOURCE DATE', name: 'Acquisition each pixel came from' },
+      [0, last], (v) => sceneAt(v).date.slice(2));
+  } else {
+    const label = `${c.index.label} ${COMPOSITE_RULES[c.rule].label.toUpperCase()}`;
+    showRaster({
+      name, label, values: c.values, width, height, grid, cmap: palette, domain: [-1, 1], inputs: null,
+      date: `${c.scenes[0].date} → ${c.scenes[c.scenes.length - 1].date}`, scenes: c.scenes.map(x => x.feature),
+      stats: c.stats, classKey: c.index.id, aoi: c.aoi,
+    });
+    buildLegend(result.cmap, { ...c.index, label }, result.range);
+  }
+
+  updateNDVIStats(c.stats, c.index.cover?.label);
+  const extra = document.getElementById('legend-extra');
+  extra.textContent   = `${c.scenes.length} scenes · ${c.scenes[0].date} → ${c.scenes[c.scenes.length - 1].date}`;
+  extra.style.display = 'block';
+}
+
+// ── ZONAL STATISTICS ──────────────────────────────────────
+// A field file becomes the AOI (all fields as one MultiPolygon),
+// so the index is computed once over their combined extent; each
+// field's statistics then come from that one raster.
+async function loadFields(file) {
+  if (!file) return;
+  try {
+    const features = await readFeatureFile(file);
+    const geom     = fieldsGeometry(features);
+    fields = { file: file.name, features, geometry: geom, rows: null, sort: { key: 'name', dir: 1 }, selected: null };
+    showAOIGeometry(geom);
+    showFields(features, (k) => selectField(k));
+    onAOIDrawn({ bbox: geometryBBox(geom), geometry: geom });
+    closeZonal();
+
+    const el = document.getElementById('zonal-file');
+    el.textContent = `${file.name} · ${features.length} field${features.length > 1 ? 's' : ''}`;
+    el.classList.remove('empty');
+    toast(`${features.length} fields loaded — search, pick a scene, then compute`, 'success');
+  } catch (e) {
+    toast('Field import error: ' + e.message, 'error');
+    console.error(e);
   }
 }
 
+// Uses the raster on the map when it was computed for the fields'
+// AOI, else generates the index for the selected scene first (the
+// fields are the AOI then) — a raster of an AOI drawn before the
+// fields were loaded would leave fields outside it empty or partial
+async function doZonal() {
+  if (!fields) { toast('Load a field file first', 'info'); return; }
+  if (result?.aoi !== fields.geometry && geometry === fields.geometry && selected) await doNDVI();
+  if (!result) return;
+  if (result.aoi !== fields.geometry) {
+    toast('The layer on the map was computed for another AOI — select a scene, then generate the index for the fields', 'info');
+    return;
+  }
+  if (!result.classKey) { toast('Field statistics need an index layer, not the source-date map', 'info'); return; }
+
+  fields.rows  = zonalStats(result, fields.features, result.classes);
+  fields.label = result.label;
+  document.getElementById('zonal-title').textContent = `${result.label} · ${fields.rows.length} FIELDS`;
+  document.getElementById('zonal-panel').classList.add('on');
+  renderZonal();
+
+  const empty = fields.rows.filter(r => !r.count).length;
+  toast(empty
+    ? `Field statistics ready — ${empty} field${empty > 1 ? 's have' : ' has'} no valid pixels`
+    : 'Field statistics ready — click a row to find the field', empty ? 'info' : 'success');
+}
+
+function renderZonal() {
+  const { rows, sort, selected: sel } = fields;
+  renderFieldTable(document.getElementById('zonal-table'), sortFields(rows, sort.key, sort.dir),
+    { classes: result?.classes, sort, selected: sel });
+}
+
+// Same column again flips the direction
+function sortZonal(key) {
+  const { sort } = fields;
+  fields.sort = { key, dir: sort.key === key ? -sort.dir : key === 'name' ? 1 : -1 };
+  renderZonal();
+}
+
+// From a table row (fit = zoom to the field) or a map click
+function selectField(k, fit = false) {
+  if (!fields) return;
+  fields.selected = k;
+  highlightField(k, fit);
+  if (!fields.rows) return;
+  renderZonal();
+  document.querySelector(`#zonal-table tr[data-k="${k}"]`)?.scrollIntoView({ block: 'nearest' });
+}
+
+function exportZonal(fmt) {
+  if (!fields?.rows) return;
+  const base = `${fileSafe(fields.file.replace(/\.[^.]+$/, ''))}_${fileSafe(fields.label)}`;
+  if (fmt === 'geojson') {
+    const text = fieldsToGeoJSON(fields.rows, fields.label, result?.classes);
+    downloadBlob(new Blob([text], { type: 'application/geo+json' }), `${base}.geojson`);
+  } else {
+    const text = fieldsToCSV(sortFields(fields.rows, fields.sort.key, fields.sort.dir), fields.label, result?.classes);
+    downloadBlob(new Blob([text], { type: 'text/csv' }), `${base}.csv`);
+  }
+}
+
+function dropFields() {
+  closeZonal();
+  fields = null;
+  clearFields();
+  document.getElementById('zonal-file').textContent = 'No fields loaded';
+  document.getElementById('zonal-file').classList.add('empty');
+}
+
+function closeZonal() {
+  document.getElementById('zonal-panel').classList.remove('on');
+  if (fields) {
+    fields.rows = null;
+    fields.selected = null;
+    highlightField(null);
+  }
+}
+
+// ── WORKSPACE ─────────────────────────────────────────────
+// Saved AOIs and the run history live in localStorage (see
+// workspace.js), so they outlast reloads and "Clear"
+function renderWorkspacePanel() {
+  renderWorkspace(document.getElementById('ws-aois'), document.getElementById('ws-runs'));
+}
+
+function saveCurrentAOI() {
+  if (!geometry) return;
+  const input = document.getElementById('ws-aoi-name');
+  const name  = input.value.trim() || `AOI ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
+  try {
+    saveAOI(name, geometry);
+    input.value = '';
+    renderWorkspacePanel();
+    toast(`AOI "${name}" saved`, 'success');
+  } catch (e) {
+    toast(e.message, 'error');
+  }
+}
+
+// After each index computation — scene, index, stats, a thumbnail
+// and the state to reopen it
+function saveRun(scene, index, { values, width, height, stats, cmap, range }) {
+  const date = sceneInfo(scene).date;
+  try {
+    recordRun({
+      name: `${index.label} · ${date}`, scene: scene.id, date,
+      index: index.id, label: index.label, stats,
+      thumb: thumbnail(values, width, height, cmap, range),
+      state: readState(),
+    });
+    renderWorkspacePanel();
+  } catch (e) {
+    console.warn('[WORKSPACE] Run not saved:', e.message);
+  }
+}
+
+async function onWorkspaceAction(act, kind, id) {
+  const entry = findEntry(kind, id);
+  if (!entry) return;
+  if (act === 'del') {
+    deleteEntry(kind, id);
+    renderWorkspacePanel();
+  } else if (kind === 'aois') {
+    showAOIGeometry(entry.geometry);
+    onAOIDrawn({ bbox: geometryBBox(entry.geometry), geometry: entry.geometry });
+    toast(`AOI "${entry.name}" opened — ready to search`, 'success');
+  } else {
+    // Same path as a shared link: search, scene, index (defaults
+    // fill in fields missing from hand-edited workspace files)
+    await restoreState({ ...decodeState(''), ...entry.state });
+  }
+}
+
+async function loadWorkspaceFile(file) {
+  if (!file) return;
+  try {
+    const n = importWorkspace(await file.text());
+    renderWorkspacePanel();
+    toast(`Workspace imported — ${n.aois} AOI(s), ${n.runs} run(s)`, 'success');
+  } catch (e) {
+    toast('Workspace import error: ' + e.message, 'error');
+  }
+}
+
+// ── PINNED POINTS ─────────────────────────────────────────
+// Clicking the index overlay pins a point; every pin is sampled
+// again for each index result shown afterwards, building a
+// per-pin history that can be compared across scenes
+function onRasterClicked({ lat, lng }) {
+  if (!result?.classKey) return;
+  const pin = { id: ++pinSeq, name: `P${pinSeq}`, lon: lng, lat, readings: [] };
+  if (!updatePin(pin, result)) return;
+  pins.push(pin);
+  pinSel = pin.id;
+  document.getElementById('pins-sec').open = true;
+  renderPins();
+}
+
+// Samples the current result at every pin (categorical layers,
+// e.g. the composite source date, are skipped)
+function refreshPins() {
+  if (result?.classKey) pins.forEach(pin => updatePin(pin, result));
+  renderPins();
+}
+
+function renderPins() {
+  renderPinList(document.getElementById('pin-list'), pins, {
+    currentKey: result && `${result.name}|${result.label}`, selected: pinSel,
+  });
+  showPins(pins, selectPin, pinSel);
+  document.getElementById('btn-pins-csv').disabled = !pins.length;
+  document.getElementById('btn-pins-clear').disabled = !pins.length;
+}
+
+// From a marker click — highlights the pin and its card
+function selectPin(id) {
+  pinSel = id;
+  document.getElementById('pins-sec').open = true;
+  renderPins();
+  document.querySelector(`#pin-list .pin-card[data-id="${id}"]`)?.scrollIntoView({ block: 'nearest' });
+}
+
+function renamePin(id, name) {
+  const pin = pins.find(p => p.id === id);
+  if (!pin) return;
+  pin.name = name.trim() || `P${id}`;
+  renderPins();
+}
+
+function removePin(id) {
+  pins = pins.filter(p => p.id !== id);
+  if (pinSel === id) pinSel = null;
+  renderPins();
+}
+
+function clearPins() {
+  pins = []; pinSel = null;
+  renderPins();
+}
+
+function exportPins() {
+  if (!pins.length) return;
+  downloadBlob(new Blob([pinsToCSV(pins)], { type: 'text/csv' }), 'pinned_points.csv');
+}
+
+// ── DISPLAY RESULT ────────────────────────────────────────
+// r: { name, label, values, width, height, grid, cmap, domain, inputs,
+//      date?, stats?, format?, classKey?, threshold? }
+//   cmap:     colormap name or palette (see palettes.js)
+//   domain:   the layer's value range (−1 → 1 for indices); the
+//             stretch picks the displayed `range` within it
+//   date:     acquisition date(s), shown in the pin history
+//   scenes:   STAC items the result was computed from (report)
+//   format:   value → hover text
+//   classKey: index id, 'change' or 'anomaly-<mode>' — picks the class breaks; none
+//             for categorical layers (composite source)
+//   aoi:      AOI geometry the layer was computed for — defaults
+//             to the current one
+//   diverging: differences around 0 (change, anomaly) — keep their
+//             symmetric domain and diverging cmap: the stretch and
+//             palette chosen for index layers do not apply
+// Drawn as map tiles sampled from the source grid (see map.js);
+// hover reads `values` on the source grid by inverse-projecting
+// the cursor.
+function showRaster(r) {
+  endCompare();
+  r.aoi     = r.aoi || geometry;
+  r.range   = r.classKey && !r.diverging ? stretchRange(r.values, readStretch(), r.domain) : r.domain;
+  r.classes = r.classKey ? classesFor(r) : null;
+  drawOverlay(r);
+  setResult(r);
+  remember(r);
+}
+
+// A running comparison is restarted so it picks up the change
+// (e.g. class mode or edited breaks)
+function drawOverlay(r) {
+  const comparing = isComparing();
+  endCompare();
+  setNDVIOverlay(overlayOf(r));
+  if (comparing) toggleCompare();
+}
+
+// Map overlay of a result (see setNDVIOverlay), by class in class mode
+function overlayOf(r) {
+  const classes = classMode ? r.classes : null;
+  const format  = r.format ||
+    (classes ? (v) => `${v.toFixed(4)} · ${classes[classIndex(classes, v)].name}` : undefined);
+  return { values: r.values, grid: r.grid, cmap: r.cmap, range: r.range, label: r.label, format, classes };
+}
+
+// ── COMPARE ───────────────────────────────────────────────
+// The last few results (without their input bands) and the
+// selected scene's preview can be compared two at a time
+const GALLERY_SIZE = 4;
+
+function remember(r) {
+  const id = `${r.name}|${r.label}`;
+  gallery = [
+    { id, title: `${r.label} · ${r.date || r.name}`, r: { ...r, inputs: null } },
+    ...gallery.filter(g => g.id !== id),
+  ].slice(0, GALLERY_SIZE);
+  renderCompareOptions();
+}
+
+function compareLayers() {
+  return [...gallery, preview].filter(Boolean);
+}
+
+// Keeps each side's choice while it is still available; by
+// default A is the newest result and B the one before (or the
+// preview)
+function renderCompareOptions() {
+  const layers = compareLayers();
+  ['vs-a', 'vs-b'].forEach((id, side) => {
+    const sel  = document.getElementById(id);
+    const keep = layers.some(l => l.id === sel.value) ? sel.value : layers[Math.min(side, layers.length - 1)]?.id;
+    sel.innerHTML = layers.map(l => `<option value="${esc(l.id)}">${esc(l.title)}</option>`).join('');
+    if (keep) sel.value = keep;
+  });
+  document.getElementById('btn-vs').disabled = layers.length < 2;
+}
+
+// restart: apply changed selections to the running comparison
+function toggleCompare(restart = false) {
+  if (isComparing() && !restart) { endCompare(); return; }
+
+  const layers = compareLayers();
+  const [a, b] = ['vs-a', 'vs-b'].map(id => layers.find(l => l.id === document.getElementById(id).value));
+  if (!a || !b || a === b) { toast('Pick two different layers to compare', 'info'); return; }
+
+  // Class breaks may have been edited since the result was drawn
+  const layerOf = (l) => l.r
+    ? { id: l.id, title: l.title, raster: overlayOf({ ...l.r, classes: l.r.classKey ? classesFor(l.r) : null }) }
+    : l;
+  startCompare(layerOf(a), layerOf(b), document.getElementById('vs-mode').value);
+  document.getElementById('btn-vs').textContent = '✕ Stop comparing';
+  document.getElementById('btn-vs').classList.add('on');
+}
+
+function endCompare() {
+  if (!isComparing()) return;
+  stopCompare();
+  document.getElementById('btn-vs').textContent = '◧ Compare';
+  document.getElementById('btn-vs').classList.remove('on');
+}
+
+// ── CLASSES & HISTOGRAM ───────────────────────────────────
+// Breaks per index (and for change maps) persist in localStorage;
+// the panel under the legend shows the histogram and each class's
+// pixels, share and hectares for the current result
+const CLASSES_KEY = 'ndvi-explorer.classes';
+
+function savedClasses() {
+  try { return JSON.parse(localStorage.getItem(CLASSES_KEY)) || {}; } catch (_) { return {}; }
+}
+
+function classesFor(r) {
+  return savedClasses()[r.classKey] ||
+    defaultClasses(r.classKey, { range: r.domain, cmap: r.cmap, threshold: r.threshold });
+}
+
+// Histogram + table are only computed while the panel is open
+function renderClassPanel() {
+  const panel = document.getElementById('hist-panel');
+  panel.style.display = result?.classes ? 'block' : 'none';
+  if (!result?.classes || !panel.open) return;
+  const { values, grid, domain, cmap, classes, stats } = result;
+  renderHistogram(document.getElementById('hist-canvas'), histogram(values, domain), { range: domain, cmap, classes, stats });
+  renderClassTable(document.getElementById('class-rows'), classStats(values, grid, classes));
+}
+
+function applyClasses(classes) {
+  result.classes = classes;
+  localStorage.setItem(CLASSES_KEY, JSON.stringify({ ...savedClasses(), [result.classKey]: classes }));
+  if (classMode) drawOverlay(result);
+  drawLegendBar();
+  renderClassPanel();
+  if (fields?.rows && result.aoi === fields.geometry) doZonal();
+}
+
+// From the table — rejected (with the bad input marked) unless
+// the breaks increase
+function editClasses(classes) {
+  if (!result?.classes) return;
+  document.querySelectorAll('#class-rows input.bad').forEach(el => el.classList.remove('bad'));
+  try {
+    validateClasses(classes);
+  } catch (e) {
+    const k = classes.findIndex((c, i) => i < classes.length - 1 && !(c.max > (classes[i - 1]?.max ?? -Infinity)));
+    document.querySelector(`#class-rows tr[data-k="${k}"] [data-f="max"]`)?.classList.add('bad');
+    toast(e.message, 'error');
+    return;
+  }
+  applyClasses(classes);
+}
+
+// New class between the last break and the top of the range
+function addClass() {
+  if (!result?.classes) return;
+  const classes = result.classes.map(c => ({ ...c }));
+  const lo  = classes.length > 1 ? classes[classes.length - 2].max : result.domain[0];
+  const max = +((Math.max(lo, result.domain[0]) + result.domain[1]) / 2).toFixed(3);
+  if (!(max > lo)) { toast('No room for another class below the top of the range', 'info'); return; }
+  classes.splice(classes.length - 1, 0, { name: `Class ${classes.length + 1}`, color: '#9e9e9e', max });
+  applyClasses(classes);
+}
+
+function removeClass(k) {
+  if (!result?.classes || result.classes.length < 2) return;
+  const classes = result.classes.filter((_, i) => i !== k).map(c => ({ ...c }));
+  classes[classes.length - 1].max = null;   // the last class stays open-ended
+  applyClasses(classes);
+}
+
+function resetClasses() {
+  if (!result?.classes) return;
+  const saved = savedClasses();
+  delete saved[result.classKey];
+  localStorage.setItem(CLASSES_KEY, JSON.stringify(saved));
+  result.classes = classesFor(result);
+  applyClasses(result.classes);
+}
+
+function toggleClassMode() {
+  classMode = document.getElementById('class-mode').checked;
+  if (!result) return;
+  drawOverlay(result);
+  drawLegendBar();
+}
+
+// ── EXPORT ────────────────────────────────────────────────
+function setResult(r) {
+  result = r;
+  document.getElementById('btn-exp-index').disabled  = !r;
+  document.getElementById('btn-exp-inputs').disabled = !r?.inputs;
+  document.getElementById('btn-exp-png').disabled    = !r;
+  document.getElementById('btn-report').disabled     = !r;
+  document.getElementById('btn-zonal').disabled      = !r && !selected;
+  renderClassPanel();
+  // Open field statistics and pins follow the raster on the map
+  if (fields?.rows && r?.classKey && r.aoi === fields.geometry) doZonal();
+  refreshPins();
+}
+
+const fileSafe = (s) => s.replace(/Δ/g, 'd').replace(/[^\w.-]+/g, '_');
+
+// what: 'index' — the Float32 index raster
+//       'inputs' — masked surface reflectance of the index bands
+function exportGeoTIFF(what) {
+  if (!result) return;
+  const { width, height, grid } = result;
+  let bands, names;
+
+  if (what === 'inputs') {
+    const { names: bandNames, bandData, mask, outside, scaling } = result.inputs;
+    names = bandNames;
+    bands = bandNames.map(b => scaleBand(bandData[b], mask, outside, scaling));
+  } else {
+    names = [result.label];
+    bands = [result.values];
+  }
+
+  const buf  = writeGeoTIFF({ bands, width, height, grid, names });
+  const file = `${fileSafe(result.name)}_${fileSafe(what === 'inputs' ? names.join('-') : result.label)}.tif`;
+  downloadBlob(new Blob([buf], { type: 'image/tiff' }), file);
+  toast(`GeoTIFF saved — EPSG:${grid.epsg}, ${width}×${height}, nodata NaN`, 'success');
+}
+
+// Coloured rendering + world file (+ .prj when the CRS is known)
+function exportPNG() {
+  if (!result) return;
+  const base = `${fileSafe(result.name)}_${fileSafe(result.label)}`;
+  // Rendered on the source grid so the world file applies
+  const canvas = document.createElement('canvas');
+  const colorOf = classMode && result.classes ? classColorizer(result.classes) : null;
+  renderNDVIToCanvas(canvas, result.values, result.width, result.height, result.cmap, result.range, colorOf);
+  canvas.toBlob((png) => {
+    downloadBlob(png, `${base}.png`);
+    downloadBlob(new Blob([worldFile(result.grid)], { type: 'text/plain' }), `${base}.pgw`);
+    const wkt = prjWKT(result.grid.epsg);
+    if (wkt) downloadBlob(new Blob([wkt], { type: 'text/plain' }), `${base}.prj`);
+  }, 'image/png');
+}
+
+// ── REPORT ────────────────────────────────────────────────
+// Map sheet of the current result: legend and statistics as shown
+// in the legend panel, scene metadata, and — in the PDF — detail
+// tables on the following pages (see report.js)
+async function doReport() {
+  if (!result || !legendBar) return;
+  const $ = (id) => document.getElementById(id);
+  const format = $('rep-format').value;
+  const [page, orientation] = $('rep-page').value.split('-');
+  const r = result;
+
+  const stats = [...document.querySelectorAll('#ndvi-legend .ls')]
+    .map(ls => [ls.querySelector('.lsl').textContent, ls.querySelector('.lsv').textContent]);
+  const extra = $('legend-extra');
+  if (extra.style.display !== 'none' && extra.textContent) stats.push(['Summary', extra.textContent]);
+
+  const classes = classMode && r.classes ? r.classes : null;
+  const scenes  = (r.scenes || []).map(f => {
+    const info = sceneInfo(f);
+    return { id: f.id, date: info.date, cloud: info.cloud, platform: info.platform };
+  });
+  const px = r.grid.epsg === 4326 ? `${Math.abs(r.grid.dx).toPrecision(3)}°` : `${+Math.abs(r.grid.dx).toFixed(2)} m`;
+
+  const details = [
+    { title: 'Statistics', head: ['Statistic', 'Value'], rows: stats },
+    scenes.length && {
+      title: 'Scenes', head: ['Scene ID', 'Date', 'Cloud %', 'Platform'],
+      rows: scenes.map(s => [s.id, s.date, s.cloud != null ? (+s.cloud).toFixed(1) : '—', s.platform || '—']),
+    },
+    r.classes && {
+      title: 'Classes', head: ['Class', 'From', 'To', 'Pixels', '%', 'Hectares'],
+      rows: classStats(r.values, r.grid, r.classes).map(c => [
+        c.name, c.min ?? '—', c.max ?? '—', c.count.toLocaleString(), c.pct.toFixed(1), c.ha.toFixed(2),
+      ]),
+    },
+    {
+      title: 'Processing', head: ['Setting', 'Value'],
+      rows: [
+        ['Layer', r.label],
+        ['Grid', `EPSG:${r.grid.epsg} · ${r.width} × ${r.height} px · ${px}`],
+        ['Masked QA classes', getMaskClasses().join(', ') || 'none'],
+        ['AOI bounds (W, S, E, N)', bbox ? bbox.join(', ') : '—'],
+      ],
+    },
+    pins.length && {
+      title: 'Pinned points', head: ['Pin', 'Latitude', 'Longitude', r.label],
+      rows: pins.map(p => {
+        const v = p.readings.find(x => x.key === `${r.name}|${r.label}`)?.value;
+        return [p.name, p.lat.toFixed(5), p.lon.toFixed(5), v == null || isNaN(v) ? '—' : v.toFixed(4)];
+      }),
+    },
+  ].filter(Boolean);
+
+  // Basemap tiles load as images, outside the request queue — a
+  // cancelled report finishes in the background and is discarded
+  const signal = startJob();
+  setStatus('REPORT…', 'busy');
+  showLoader('COMPOSING REPORT…');
+  setProgress(0);
+  try {
+    const { blob, missingTiles } = await exportReport({
+      title:    $('rep-title').value.trim() || `${r.label} report`,
+      subtitle: [r.label, r.date, r.name].filter(Boolean).join(' · '),
+      page, orientation,
+      overlay:  overlayOf(r),
+      bounds:   gridBounds(r.grid),
+      geometry,
+      legend: {
+        title: $('legend-title').textContent, cmap: legendBar.cmap, range: legendBar.range,
+        ticks: [...document.querySelectorAll('#legend-labels span')].map(s => s.textContent),
+        colorOf: classes && classColorizer(classes), classes,
+      },
+      stats, scenes, details,
+      footer: `Basemap © OpenStreetMap contributors © CARTO · ${r.label} on EPSG:${r.grid.epsg}, ${px} pixels · ` +
+              `generated ${new Date().toISOString().slice(0, 10)} with NDVI Explorer`,
+    }, format, (txt, pct) => { if (!signal.aborted) { showLoader(txt); setProgress(pct); } });
+    throwIfAborted(signal);
+
+    downloadBlob(blob, `${fileSafe(r.name)}_${fileSafe(r.label)}_report.${format}`);
+    setStatus('REPORT SAVED', 'ok');
+    toast(missingTiles
+      ? `Report saved — ${missingTiles} basemap tile(s) could not be loaded`
+      : `Report saved as ${format.toUpperCase()}`, missingTiles ? 'info' : 'success');
+  } catch (e) {
+    if (cancelled(e, signal)) return;
+    setStatus('ERROR', 'error');
+    toast('Report error: ' + e.message, 'error');
+    console.error(e);
+  } finally {
+    endJob(signal);
+  }
+}
+
+// ── CACHE SETTINGS ────────────────────────────────────────
+// Tokens, STAC pages and band windows persist in IndexedDB (see
+// cache.js); the size limit is a per-browser setting
+const CACHE_LIMIT_KEY = 'ndvi-explorer.cache-limit';
+const MB = 1024 * 1024;
+
+function loadCacheLimit() {
+  const mb = +localStorage.getItem(CACHE_LIMIT_KEY) || DEFAULT_CACHE_LIMIT / MB;
+  setCacheLimit(mb * MB);
+  document.getElementById('cache-limit').value = mb;
+}
+
+function changeCacheLimit() {
+  const mb = +document.getElementById('cache-limit').value;
+  localStorage.setItem(CACHE_LIMIT_KEY, mb);
+  setCacheLimit(mb * MB);
+  showCacheInfo();
+}
+
+async function showCacheInfo() {
+  const el    = document.getElementById('cache-info');
+  const stats = await cacheStats().catch(() => null);
+  if (!stats) { el.textContent = 'Not available in this browser'; return; }
+  const mb    = (b) => `${(b / MB).toFixed(1)} MB`;
+  const line  = (name, label) => {
+    const s = stats.stores[name] || { count: 0, bytes: 0 };
+    return `${label.padEnd(8)} ${String(s.count).padStart(5)} · ${mb(s.bytes)}`;
+  };
+  el.textContent = [
+    `TOTAL    ${String(stats.count).padStart(5)} · ${mb(stats.bytes)}`,
+    line('windows', 'WINDOWS'), line('stac', 'STAC'), line('tokens', 'TOKENS'),
+  ].join('\n');
+}
+
+async function doClearCache() {
+  try {
+    await clearCache();
+    toast('Cache cleared', 'success');
+  } catch (e) {
+    toast('Could not clear the cache: ' + e.message, 'error');
+  }
+  showCacheInfo();
+}
+
+// ── RESOLUTION ────────────────────────────────────────────
+// Long-side cap in px for the processing grid; null = native
+function readMaxSize() {
+  return +document.getElementById('resolution').value || null;
+}
+
+// ── QA MASK CLASSES ───────────────────────────────────────
+// Ids of the QA classes ticked in the panel
+function getMaskClasses() {
+  return [...document.querySelectorAll('#mask-classes input:checked')].map(el => el.value);
+}
+
+// ── COLOURS & STRETCH ─────────────────────────────────────
+// The palette editor works on a copy of the selected palette;
+// every edit re-colours the current result from its cached values
+// (no new download). Custom palettes and the stretch persist in
+// localStorage (see palettes.js).
+function readStretch() {
+  const num = (id) => document.getElementById(id).value === '' ? null : +document.getElementById(id).value;
+  return { mode: document.getElementById('stretch').value, min: num('stretch-min'), max: num('stretch-max') };
+}
+
+function loadStretchForm() {
+  const s = loadStretch();
+  document.getElementById('stretch').value     = s.mode;
+  document.getElementById('stretch-min').value = s.min ?? '';
+  document.getElementById('stretch-max').value = s.max ?? '';
+  document.getElementById('stretch-fixed').style.display = s.mode === 'fixed' ? 'block' : 'none';
+}
+
+function changeStretch() {
+  const s = readStretch();
+  saveStretch(s);
+  document.getElementById('stretch-fixed').style.display = s.mode === 'fixed' ? 'block' : 'none';
+  restyle();
+}
+
+// apply: re-colour the current result with it
+function selectPalette(apply) {
+  const sel = document.getElementById('cmap');
+  palette   = paletteById(sel.value);
+  sel.value = palette.id;
+  renderPaletteForm();
+  if (apply) restyle(palette);
+}
+
+function renderPaletteForm() {
+  renderPaletteEditor(document.getElementById('palette-stops'), document.getElementById('palette-clear'), palette);
+  document.getElementById('pal-reverse').checked = palette.reverse;
+  document.getElementById('pal-steps').value     = palette.steps;
+  document.getElementById('pal-name').value      = palette.builtin ? '' : palette.name;
+  document.getElementById('pal-delete').disabled = !!palette.builtin;
+  drawPaletteBar(document.getElementById('palette-bar'), palette, result?.range || [-1, 1]);
+}
+
+function editPalette(next = null) {
+  palette = next || {
+    ...palette,
+    ...readPaletteEditor(document.getElementById('palette-stops'), document.getElementById('palette-clear'), {
+      reverse: document.getElementById('pal-reverse').checked,
+      steps:   +document.getElementById('pal-steps').value,
+    }),
+  };
+  restyle(palette);
+  renderPaletteForm();
+}
+
+// act: add-stop | del-stop | add-clear | del-clear | save | delete;
+// k: the stop / range row
+function onPaletteAction(act, k) {
+  const [lo, hi] = result?.range || [-1, 1];
+  switch (act) {
+    case 'add-stop':
+      return editPalette(addStop(palette));
+    case 'del-stop':
+      return editPalette({ ...palette, stops: palette.stops.filter((_, i) => i !== k) });
+    case 'add-clear':
+      return editPalette({ ...palette, transparent: [...palette.transparent, [+lo.toFixed(2), +(lo + (hi - lo) / 5).toFixed(2)]] });
+    case 'del-clear':
+      return editPalette({ ...palette, transparent: palette.transparent.filter((_, i) => i !== k) });
+    case 'save':
+      try {
+        const saved = savePalette({ ...palette, name: document.getElementById('pal-name').value });
+        renderPaletteOptions(document.getElementById('cmap'));
+        document.getElementById('cmap').value = saved.id;
+        selectPalette(true);
+        updateURL(false);
+        toast(`Palette "${saved.name}" saved`, 'success');
+      } catch (e) {
+        toast(e.message, 'error');
+      }
+      return;
+    case 'delete':
+      if (palette.builtin || !confirm(`Delete the palette "${palette.name}"?`)) return;
+      deletePalette(palette.id);
+      renderPaletteOptions(document.getElementById('cmap'));
+      document.getElementById('cmap').value = 'rdylgn';
+      selectPalette(true);
+      updateURL(false);
+  }
+}
+
+// Categorical layers (composite source) keep their colours, and
+// diverging ones (change, anomaly) their symmetric range too
+function restyle(cmap = result?.cmap) {
+  if (!result?.classKey || result.diverging) return;
+  result.cmap  = cmap;
+  result.range = stretchRange(result.values, readStretch(), result.domain);
+  drawOverlay(result);
+  buildLegend(result.cmap, legendBar.index, result.range, legendBar.tick);
+  remember(result);
+}
+
 // ── LEGEND ────────────────────────────────────────────────
-function buildLegend(cmapName) {
-  const legend = document.getElementById('ndvi-legend');
-  const bar    = document.getElementById('legend-bar');
-  const ctx    = bar.getContext('2d');
-  const W      = bar.width;
+// cmap:  colormap name or palette
+// range: [lo, hi] spanned by the colour bar (default −1 → 1)
+// tick:  value → tick label
+function buildLegend(cmap, index, range = [-1, 1], tick = fmtTick) {
+  const [lo, hi] = range;
+
+  document.getElementById('legend-title').textContent = index.label;
+  document.getElementById('legend-title').title       = index.name;
 
-  // Draw gradient from NDVI -1 → 1
+  // Five tick labels (lo, quarter points, hi) — or the edges of
+  // each colour of a stepped palette
+  const n = cmap?.steps > 1 && cmap.steps <= 6 ? cmap.steps : 4;
+  document.getElementById('legend-labels').innerHTML = Array.from({ length: n + 1 },
+    (_, k) => `<span>${tick(lo + (hi - lo) * k / n)}</span>`).join('');
+
+  // Water/Bare/…/Dense class names only make sense for NDVI over −1 → 1
+  legendBar = { cmap, range, index, tick, names: index.id === 'ndvi' && lo === -1 && hi === 1 };
+  drawLegendBar();
+  document.getElementById('ndvi-legend').style.display = 'flex';
+}
+
+// Gradient from lo → hi, or the class colours in classified mode
+function drawLegendBar() {
+  if (!legendBar) return;
+  const bar = document.getElementById('legend-bar');
+  const ctx = bar.getContext('2d');
+  const W   = bar.width;
+  const { cmap, range: [lo, hi], names } = legendBar;
+  const colorOf = classMode && result?.classes ? classColorizer(result.classes) : null;
+
+  document.getElementById('legend-classes').style.display = names && !colorOf ? 'flex' : 'none';
+  if (!colorOf) {
+    drawPaletteBar(bar, cmap, [lo, hi]);
+    return;
+  }
   for (let x = 0; x < W; x++) {
-    const t = x / (W - 1);              // 0→1
-    const [r, g, b] = applyColormap(t, cmapName);
+    const [r, g, b] = colorOf(lo + (hi - lo) * x / (W - 1));
     ctx.fillStyle = `rgb(${r},${g},${b})`;
     ctx.fillRect(x, 0, 1, bar.height);
   }
+}
 
-  legend.style.display = 'flex';
+// −1, −0.5, 0, +0.5, +1 style labels
+function fmtTick(v) {
+  const r = +v.toFixed(2);
+  if (r === 0) return '0';
+  return (r > 0 ? '+' : '−') + Math.abs(r);
 }
 
 // ── BOOT ──────────────────────────────────────────────────
@@ -0,0 +1,98 @@
+// ══════════════════════════════════════════════════════════
+//  batch.js — Headless runs: each AOI → scene search → best
+//             scene → index raster + statistics (no DOM)
+// ══════════════════════════════════════════════════════════
+
+import { searchPage } from './stac.js';
+import { processScene } from './pipeline.js';
+import { toPolygonFeatures, geometryBBox } from './aoi.js';
+import { fieldName } from './zonal.js';
+import { sceneInfo } from './filters.js';
+import { cell } from './ui.js';
+
+// Used by the Node CLI (cli/ndvi-batch.mjs); everything here also
+// runs in the browser. COG reads need the GeoTIFF / proj4 globals
+// (see cli/env.mjs) and go through the worker pool's inline mode.
+
+// ── AOIS ──────────────────────────────────────────────────
+// One AOI per polygon feature of a GeoJSON document, named from
+// its properties as zonal fields are. A MultiPolygon is one AOI. Returns [{ name, geometry, bbox }]
+export function batchAOIs(geojson) {
+  const features = toPolygonFeatures(geojson);
+  if (!features.length) throw new Error('No polygons found in the AOI file');
+  return features.map((f, k) => ({ name: fieldName(f, k), geometry: f.geometry, bbox: geometryBBox(f.geometry) }));
+}
+
+// ── RUN ONE AOI ───────────────────────────────────────────
+// search: { dateStart, dateEnd, cloudCover, collection, filters, sort }
+//         as for searchScenes (stac.js) — the AOI is added
+// Scenes are tried in search order (least cloudy first by default)
+// until one leaves at least minValid % of the AOI valid, at most
+// `tries` of them. Returns { scene, result, skipped } —
+//   result:  as from processScene (without the input bands)
+//   skipped: [{ id, reason }] scenes tried before it
+// Throws when no scene is usable.
+export async function runAOI(aoi, {
+  search, index, maskClasses = [], maxSize = null, tries = 3, minValid = 0, onStep = () => {},
+}) {
+  onStep('SEARCHING…', 0);
+  const params = { ...search, geometry: aoi.geometry, bbox: aoi.bbox };
+  const scenes = [];
+  let page = await searchPage(params);
+  scenes.push(...page.features);
+  while (scenes.length < tries && page.next) {
+    page = await searchPage(params, page.next);
+    scenes.push(...page.features);
+  }
+  if (!scenes.length) throw new Error(`No ${search.collection} scenes between ${search.dateStart} and ${search.dateEnd}`);
+
+  const skipped = [];
+  for (const scene of scenes.slice(0, tries)) {
+    try {
+      const result = await processScene(scene, {
+        index, maskClasses, maxSize, keepInputs: false,
+        aoi: { bbox: aoi.bbox, geometry: aoi.geometry },
+        onStep: (txt, pct) => onStep(`${scene.id} · ${txt}`, pct),
+      });
+      if (result.stats.validPct >= minValid && result.stats.count > 0) return { scene, result, skipped };
+      skipped.push({ id: scene.id, reason: `${result.stats.validPct.toFixed(1)}% valid` });
+    } catch (e) {
+      skipped.push({ id: scene.id, reason: e.message });
+    }
+  }
+  throw new Error(`No usable scene — ${skipped.map(s => `${s.id}: ${s.reason}`).join('; ')}`);
+}
+
+// ── RECORDS ───────────────────────────────────────────────
+// Plain summary of one AOI's run (JSON-serialisable):
+//   { aoi, status: 'ok', scene, collection, date, cloud, platform,
+//     index, stats, grid, skipped, files }
+// or { aoi, status: 'error', error } — see runAOI
+export function runRecord(aoi, index, run, files = {}) {
+  const info = sceneInfo(run.scene);
+  const { stats, grid, usedQA } = run.result;
+  return {
+    aoi: aoi.name, status: 'ok', bbox: aoi.bbox,
+    scene: run.scene.id, collection: run.scene.collection || null,
+    date: info.date, cloud: info.cloud, platform: info.platform,
+    index: index.label, stats, grid, usedQA,
+    skipped: run.skipped, files,
+  };
+}
+
+export function errorRecord(aoi, error) {
+  return { aoi: aoi.name, status: 'error', bbox: aoi.bbox, error: error.message };
+}
+
+// One row per AOI — statistics as columns
+const STAT_COLUMNS = ['mean', 'min', 'max', 'std', 'p10', 'p50', 'p90', 'vegPct', 'validPct', 'count'];
+
+export function recordsToCSV(records) {
+  const header = ['aoi', 'status', 'scene_id', 'date', 'cloud_cover', 'platform', 'index',
+                  'mean', 'min', 'max', 'std', 'p10', 'p50', 'p90', 'veg_pct', 'valid_pct', 'pixels', 'error'];
+  const rows = records.map(r => [
+    r.aoi, r.status, r.scene, r.date, r.cloud, r.platform, r.index,
+    ...STAT_COLUMNS.map(k => r.stats?.[k]), r.error,
+  ].map(cell).join(','));
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,187 @@
+// ══════════════════════════════════════════════════════════
+//  cache.js — Persistent IndexedDB cache for SAS tokens, STAC
+//             responses and decoded COG windows
+// ══════════════════════════════════════════════════════════
+
+// Entries live in named stores ('tokens', 'stac', 'windows') and
+// are evicted least-recently-used once the total passes the limit.
+// Usable from workers too; where IndexedDB is missing (Node,
+// some private-browsing modes) every call is a harmless no-op.
+//
+// DB layout: 'data' holds the values, 'entries' small records
+//   { id, store, bytes, used, expires } — sizes can be summed and
+//   the LRU order found without loading any value.
+
+const DB_NAME    = 'ndvi-explorer';
+const DB_VERSION = 1;
+const MB         = 1024 * 1024;
+
+export const DEFAULT_CACHE_LIMIT = 500 * MB;
+
+let dbPromise = null;
+let limit     = DEFAULT_CACHE_LIMIT;
+
+function openDB() {
+  if (!globalThis.indexedDB) return Promise.resolve(null);
+  dbPromise = dbPromise || new Promise((resolve) => {
+    const open = indexedDB.open(DB_NAME, DB_VERSION);
+    open.onupgradeneeded = () => {
+      const db = open.result;
+      db.createObjectStore('data');
+      db.createObjectStore('entries', { keyPath: 'id' });
+    };
+    open.onsuccess = () => resolve(open.result);
+    open.onerror   = () => {
+      console.warn('[CACHE] IndexedDB unavailable:', open.error?.message);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror   = () => reject(req.error);
+});
+
+const complete = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror    = () => reject(tx.error);
+  tx.onabort    = () => reject(tx.error);
+});
+
+// ── READ / WRITE ──────────────────────────────────────────
+// Returns { value, expired } or null on a miss. Expired entries
+// are still returned, so callers can fall back to them offline.
+export async function cacheEntry(store, key) {
+  const db = await openDB();
+  if (!db) return null;
+  const id = `${store}:${key}`;
+  try {
+    const tx      = db.transaction(['data', 'entries'], 'readwrite');
+    const entries = tx.objectStore('entries');
+    const meta    = await request(entries.get(id));
+    if (!meta) return null;
+    const value = await request(tx.objectStore('data').get(id));
+    if (value === undefined) return null;
+    entries.put({ ...meta, used: Date.now() });
+    return { value, expired: meta.expires != null && meta.expires < Date.now() };
+  } catch (e) {
+    console.warn('[CACHE] Read failed:', e.message);
+    return null;
+  }
+}
+
+// Value if present and not expired, else null
+export async function cacheGet(store, key) {
+  const hit = await cacheEntry(store, key);
+  return hit && !hit.expired ? hit.value : null;
+}
+
+// ttl: ms until the entry expires (null = never). The value is
+// cloned before this resolves, so its buffers may be transferred
+// afterwards. Failures (e.g. quota) only warn.
+export async function cachePut(store, key, value, { ttl = null } = {}) {
+  const db = await openDB();
+  if (!db) return;
+  const id = `${store}:${key}`;
+  try {
+    const tx = db.transaction(['data', 'entries'], 'readwrite');
+    tx.objectStore('data').put(value, id);
+    tx.objectStore('entries').put({
+      id, store, bytes: sizeOf(value), used: Date.now(), expires: ttl != null ? Date.now() + ttl : null,
+    });
+    await complete(tx);
+  } catch (e) {
+    console.warn('[CACHE] Write failed:', e.message);
+  }
+}
+
+// Fresh cached value, else load() and store it. When load() fails
+// (offline, rate limited…) an expired entry is used instead.
+// ttl may be a function of the loaded value (e.g. a token expiry).
+export async function cached(store, key, load, { ttl = null } = {}) {
+  const hit = await cacheEntry(store, key);
+  if (hit && !hit.expired) return hit.value;
+  try {
+    const value = await load();
+    await cachePut(store, key, value, { ttl: typeof ttl === 'function' ? ttl(value) : ttl });
+    return value;
+  } catch (e) {
+    if (!hit || e.name === 'AbortError') throw e;   // cancelled, not offline
+    console.warn(`[CACHE] ${e.message} — using expired ${store} entry`);
+    return hit.value;
+  }
+}
+
+// ── SIZE / EVICTION ───────────────────────────────────────
+export function setCacheLimit(bytes) {
+  limit = bytes;
+}
+
+export function getCacheLimit() {
+  return limit;
+}
+
+// { count, bytes, stores: { name → { count, bytes } } } or null
+// when there is no IndexedDB
+export async function cacheStats() {
+  const db = await openDB();
+  if (!db) return null;
+  const all    = await request(db.transaction('entries').objectStore('entries').getAll());
+  const stores = {};
+  let bytes = 0;
+  for (const e of all) {
+    const s = stores[e.store] = stores[e.store] || { count: 0, bytes: 0 };
+    s.count++;
+    s.bytes += e.bytes;
+    bytes   += e.bytes;
+  }
+  return { count: all.length, bytes, stores };
+}
+
+// Drops least-recently-used entries until the cache is back
+// under 90 % of the limit
+export async function pruneCache() {
+  const db = await openDB();
+  if (!db) return;
+  try {
+    const all = await request(db.transaction('entries').objectStore('entries').getAll());
+    let total = all.reduce((acc, e) => acc + e.bytes, 0);
+    if (total <= limit) return;
+
+    const tx = db.transaction(['data', 'entries'], 'readwrite');
+    let dropped = 0;
+    for (const e of all.sort((a, b) => a.used - b.used)) {
+      if (total <= limit * 0.9) break;
+      tx.objectStore('data').delete(e.id);
+      tx.objectStore('entries').delete(e.id);
+      total -= e.bytes;
+      dropped++;
+    }
+    await complete(tx);
+    console.info(`[CACHE] Evicted ${dropped} entries — ${(total / MB).toFixed(0)} MB kept`);
+  } catch (e) {
+    console.warn('[CACHE] Eviction failed:', e.message);
+  }
+}
+
+export async function clearCache() {
+  const db = await openDB();
+  if (!db) return;
+  const tx = db.transaction(['data', 'entries'], 'readwrite');
+  tx.objectStore('data').clear();
+  tx.objectStore('entries').clear();
+  await complete(tx);
+}
+
+// Approximate bytes a value occupies
+function sizeOf(v) {
+  if (v == null) return 0;
+  if (ArrayBuffer.isView(v) || v instanceof ArrayBuffer) return v.byteLength;
+  if (typeof v === 'string') return v.length * 2;
+  if (typeof v !== 'object') return 8;
+  let n = 0;
+  for (const k in v) n += k.length * 2 + sizeOf(v[k]);
+  return n;
+}
@@ -0,0 +1,54 @@
+// ══════════════════════════════════════════════════════════
+//  change.js — Two-date change detection (after − before)
+//              on a common pixel grid
+// ══════════════════════════════════════════════════════════
+
+import { pixelAreaHa } from './grid.js';
+import { summarize, percentile } from './ndvi.js';
+
+// ── DIFFERENCE ────────────────────────────────────────────
+// before / after: processScene() results on the same grid
+// threshold:      |Δ| above which a pixel counts as gain / loss
+// Returns { values, width, height, grid, range, stats }
+//   range: symmetric [-L, L] for a diverging legend, where L is
+//          the 98th percentile of |Δ| (so outliers don't wash out
+//          the colours), rounded up to 0.05
+export function computeChange(before, after, threshold) {
+  const { width, height, grid } = after;
+  const size   = width * height;
+  const values = new Float32Array(size);
+  const absVal = new Float32Array(size);
+  let inAOI = 0, n = 0, gain = 0, loss = 0;
+
+  for (let i = 0; i < size; i++) {
+    if (after.outside[i]) { values[i] = NaN; continue; }
+    inAOI++;
+    const d = after.values[i] - before.values[i];   // NaN if either is masked
+    values[i] = d;
+    if (isNaN(d)) continue;
+    absVal[n++] = Math.abs(d);
+    if (d >  threshold) gain++;
+    if (d < -threshold) loss++;
+  }
+
+  const sortedAbs = absVal.subarray(0, n).sort();
+  const L = Math.max(0.1, +(Math.ceil(percentile(sortedAbs, 98) / 0.05) * 0.05).toFixed(2) || 0);
+  const ha = pixelAreaHa(grid);
+  const { count, min, mean, max, std, p10, median, p90 } = summarize(values);
+
+  return {
+    values, width, height, grid,
+    range: [-L, L],
+    stats: {
+      count, min, mean, max, std, p10, p50: median, p90,
+      vegPct:   NaN,
+      validPct: inAOI ? n / inAOI * 100 : 0,
+      threshold,
+      gainHa:   gain * ha,
+      lossHa:   loss * ha,
+      gainPct:  n ? gain / n * 100 : 0,
+      lossPct:  n ? loss / n * 100 : 0,
+      validHa:  n * ha,
+    },
+  };
+}
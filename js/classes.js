@@ -0,0 +1,201 @@
+// ══════════════════════════════════════════════════════════
+//  classes.js — Value classes (editable breaks), per-class
+//               area statistics and the histogram panel
+// ══════════════════════════════════════════════════════════
+
+import { applyColormap } from './ndvi.js';
+import { pixelAreaHa } from './grid.js';
+import { esc } from './ui.js';
+
+// A class list is ordered by value:
+//   [{ name, color: '#rrggbb', max }]
+// class k holds values in [max of k−1, max of k); the first starts
+// at −∞ and the last has max = null (open-ended up to +∞)
+
+// ── DEFAULTS ──────────────────────────────────────────────
+// Vegetation classes used by agronomists for NDVI-like indices
+const VEGETATION = [
+  { name: 'Water / non-veg', color: '#4a7fc1', max: 0 },
+  { name: 'Bare soil',       color: '#c19a6b', max: 0.2 },
+  { name: 'Sparse',          color: '#e3d26f', max: 0.4 },
+  { name: 'Moderate',        color: '#8bc34a', max: 0.6 },
+  { name: 'Dense',           color: '#2e7d32', max: null },
+];
+
+// kind: index id, 'change', or 'anomaly-z' / 'anomaly-diff'
+// Other kinds get five equal-width classes over the display range,
+// coloured from the colormap
+export function defaultClasses(kind, { range = [-1, 1], cmap = 'rdylgn', threshold = null } = {}) {
+  if (['ndvi', 'evi', 'savi'].includes(kind)) return VEGETATION.map(c => ({ ...c }));
+  if (kind === 'change' && threshold > 0) {
+    return [
+      { name: 'Loss',   color: '#a6611a', max: -threshold },
+      { name: 'Stable', color: '#eeeeee', max: threshold },
+      { name: 'Gain',   color: '#018571', max: null },
+    ];
+  }
+  if (kind.startsWith('anomaly-') && threshold > 0) {
+    return [
+      { name: 'Below normal', color: '#a6611a', max: -threshold },
+      { name: 'Normal',       color: '#eeeeee', max: threshold },
+      { name: 'Above normal', color: '#018571', max: null },
+    ];
+  }
+  const [lo, hi] = range;
+  return [0, 1, 2, 3, 4].map(k => ({
+    name:  `Class ${k + 1}`,
+    color: toHex(applyColormap((k + 0.5) / 5, cmap)),
+    max:   k < 4 ? +(lo + (hi - lo) * (k + 1) / 5).toFixed(3) : null,
+  }));
+}
+
+// Throws when the breaks are not strictly increasing
+export function validateClasses(classes) {
+  if (!classes.length) throw new Error('At least one class is needed');
+  for (let k = 0; k < classes.length - 1; k++) {
+    const max = classes[k].max;
+    if (max == null || !isFinite(max)) throw new Error(`"${classes[k].name}" needs an upper bound`);
+    if (k > 0 && !(max > classes[k - 1].max)) {
+      throw new Error(`Upper bound of "${classes[k].name}" must be above ${classes[k - 1].max}`);
+    }
+  }
+}
+
+// ── LOOKUP ────────────────────────────────────────────────
+export function classIndex(classes, v) {
+  let k = 0;
+  while (k < classes.length - 1 && v >= classes[k].max) k++;
+  return k;
+}
+
+// Flat [r, g, b, r, g, b, …] per class, for per-pixel colouring
+export function classColors(classes) {
+  const rgb = new Uint8Array(classes.length * 3);
+  classes.forEach((c, k) => rgb.set(fromHex(c.color), k * 3));
+  return rgb;
+}
+
+// value → [r, g, b] of its class
+export function classColorizer(classes) {
+  const rgb = classes.map(c => fromHex(c.color));
+  return (v) => rgb[classIndex(classes, v)];
+}
+
+// ── STATISTICS ────────────────────────────────────────────
+// Per-class pixel count, share of the valid pixels and area.
+// Area uses the pixel size of the raster's own grid (see
+// pixelAreaHa), so it is exact in the source CRS.
+// Returns [{ name, color, min, max, count, pct, ha }]
+export function classStats(values, grid, classes) {
+  const counts = new Float64Array(classes.length);
+  let valid = 0;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (isNaN(v)) continue;
+    counts[classIndex(classes, v)]++;
+    valid++;
+  }
+  const ha = pixelAreaHa(grid);
+  return classes.map((c, k) => ({
+    name: c.name, color: c.color,
+    min: k > 0 ? classes[k - 1].max : null,
+    max: c.max,
+    count: counts[k],
+    pct:   valid ? counts[k] / valid * 100 : 0,
+    ha:    counts[k] * ha,
+  }));
+}
+
+// Counts of valid values in `bins` equal bins over range; values
+// outside the range go to the first / last bin
+export function histogram(values, range, bins = 60) {
+  const [lo, hi] = range;
+  const counts = new Uint32Array(bins);
+  const scale  = bins / (hi - lo);
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (isNaN(v)) continue;
+    counts[Math.max(0, Math.min(bins - 1, Math.floor((v - lo) * scale)))]++;
+  }
+  return counts;
+}
+
+// ── HISTOGRAM CHART ───────────────────────────────────────
+// Bars coloured by class (or by the colormap when classes is
+// null), class breaks as dashed lines, p10/p50/p90 as ticks
+export function renderHistogram(canvas, counts, { range, cmap, classes = null, stats = null }) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const [lo, hi] = range;
+  const n    = counts.length;
+  const peak = Math.max(1, ...counts);
+  const xOf  = (v) => (v - lo) / (hi - lo) * W;
+  ctx.clearRect(0, 0, W, H);
+
+  for (let b = 0; b < n; b++) {
+    const v = lo + (b + 0.5) / n * (hi - lo);
+    const [r, g, bl] = classes
+      ? fromHex(classes[classIndex(classes, v)].color)
+      : applyColormap((b + 0.5) / n, cmap);
+    // Square-root scale keeps small classes visible next to a peak
+    const h = Math.sqrt(counts[b] / peak) * (H - 10);
+    ctx.fillStyle = `rgb(${r},${g},${bl})`;
+    ctx.fillRect(Math.floor(b / n * W), H - h, Math.ceil(W / n) - 1, h);
+  }
+
+  ctx.strokeStyle = 'rgba(0,0,0,.55)';
+  ctx.setLineDash([3, 2]);
+  for (const c of classes || []) {
+    if (c.max == null || c.max <= lo || c.max >= hi) continue;
+    ctx.beginPath();
+    ctx.moveTo(Math.round(xOf(c.max)) + 0.5, 0);
+    ctx.lineTo(Math.round(xOf(c.max)) + 0.5, H);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  if (stats) {
+    ctx.fillStyle = '#1b1b1b';
+    for (const p of [stats.p10, stats.p50, stats.p90]) {
+      if (isNaN(p) || p < lo || p > hi) continue;
+      ctx.fillRect(Math.round(xOf(p)) - 1, 0, 2, 6);
+    }
+  }
+}
+
+// ── CLASS TABLE ───────────────────────────────────────────
+// Editable rows: colour, name and upper bound (the last class is
+// open-ended); count / % / ha read-only
+export function renderClassTable(tbody, rows) {
+  tbody.innerHTML = rows.map((r, k) => `
+    <tr data-k="${k}">
+      <td><input type="color" data-f="color" value="${r.color}" /></td>
+      <td><input type="text" data-f="name" value="${esc(r.name)}" /></td>
+      <td>${k < rows.length - 1
+        ? `<input type="number" data-f="max" step="0.05" value="${r.max}" />`
+        : '<span class="cls-open">∞</span>'}</td>
+      <td class="num">${r.count.toLocaleString()}</td>
+      <td class="num">${r.pct.toFixed(1)}</td>
+      <td class="num">${r.ha.toFixed(r.ha < 100 ? 2 : 0)}</td>
+      <td><button class="cls-del" data-del="${k}" title="Remove class" ${rows.length < 2 ? 'disabled' : ''}>✕</button></td>
+    </tr>`).join('');
+}
+
+// Class list back from the edited table
+export function readClassTable(tbody) {
+  const rows = [...tbody.querySelectorAll('tr')];
+  return rows.map((tr, k) => ({
+    name:  tr.querySelector('[data-f="name"]').value.trim() || `Class ${k + 1}`,
+    color: tr.querySelector('[data-f="color"]').value,
+    max:   k < rows.length - 1 ? parseFloat(tr.querySelector('[data-f="max"]').value) : null,
+  }));
+}
+
+function toHex([r, g, b]) {
+  return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
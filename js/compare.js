@@ -0,0 +1,169 @@
+// ══════════════════════════════════════════════════════════
+//  compare.js — Swipe and synchronised side-by-side views of
+//               two layers (index results or scene previews)
+// ══════════════════════════════════════════════════════════
+
+import {
+  getMap, basemap, indexTileLayer, rasterSampler, previewImageLayer, setOverlaysVisible,
+} from './map.js';
+import { esc } from './ui.js';
+
+// A comparable layer:
+//   { id, title, raster }    raster as for setNDVIOverlay —
+//                            { values, grid, cmap, range, classes, label, format }
+//   { id, title, preview }   true-colour preview — { url, bbox }
+//
+// Layer A goes in the 'vsA' pane and B in 'vsB', just under the
+// overlay pane (so AOI and field outlines stay on top). Swipe clips
+// the two panes either side of the divider; the dual view shows B
+// in a second map that follows every pan and zoom of the first.
+// The index / preview overlays are hidden meanwhile.
+
+const THUMB = 28;   // swipe handle width (px), see #swipe-range
+
+let view = null;    // { mode, a, b, layers: [[map, layer]], off: [undo listener] }
+let map2 = null;    // right-hand map of the dual view, created once
+
+export function isComparing() {
+  return !!view;
+}
+
+// mode: 'swipe' | 'dual'
+export function startCompare(a, b, mode = 'swipe') {
+  stopCompare();
+  const map  = getMap();
+  const wrap = document.getElementById('mapwrap');
+  view = { mode, a, b, layers: [], off: [] };
+  setOverlaysVisible(false);
+
+  if (mode === 'dual') {
+    wrap.classList.add('dual');
+    map.invalidateSize();
+    const right = dualMap();
+    right.invalidateSize();
+    right.setView(map.getCenter(), map.getZoom(), { animate: false });
+    addLayer(map, a, 'vsA');
+    addLayer(right, b, 'vsB');
+    syncMaps(map, right);
+    readout(map, right);
+    readout(right, map);
+  } else {
+    wrap.classList.add('swipe');
+    addLayer(map, a, 'vsA');
+    addLayer(map, b, 'vsB');
+    const range = document.getElementById('swipe-range');
+    const clip  = () => clipSwipe(map, +range.value);
+    listen(range, 'input', clip);
+    listen(map, 'move', clip);
+    listen(map, 'resize', clip);
+    clip();
+    readout(map, null);
+  }
+
+  document.getElementById('vs-labels').innerHTML =
+    `<span><b>A</b> ${esc(a.title)}</span><span><b>B</b> ${esc(b.title)}</span>`;
+}
+
+export function stopCompare() {
+  if (!view) return;
+  const map = getMap();
+  view.off.forEach(undo => undo());
+  view.layers.forEach(([m, layer]) => m.removeLayer(layer));
+  for (const name of ['vsA', 'vsB']) {
+    const pane = map.getPane(name);
+    if (pane) pane.style.clip = '';
+  }
+  document.getElementById('mapwrap').classList.remove('swipe', 'dual');
+  document.getElementById('vs-readout').style.display = 'none';
+  map.invalidateSize();
+  setOverlaysVisible(true);
+  view = null;
+}
+
+// ── LAYERS ────────────────────────────────────────────────
+function addLayer(m, layer, pane) {
+  if (!m.getPane(pane)) m.createPane(pane).style.zIndex = pane === 'vsA' ? 390 : 391;
+  const l = layer.raster
+    ? indexTileLayer(layer.raster, { pane })
+    : previewImageLayer(layer.preview.url, layer.preview.bbox, { pane, opacity: 1 });
+  l.addTo(m);
+  view.layers.push([m, l]);
+}
+
+function dualMap() {
+  if (!map2) {
+    map2 = L.map('map2', { zoomControl: false, attributionControl: false });
+    basemap().addTo(map2);
+  }
+  return map2;
+}
+
+// Leaflet objects (.on/.off) or DOM elements; undone on stop
+function listen(target, type, fn) {
+  if (target.on) {
+    target.on(type, fn);
+    view.off.push(() => target.off(type, fn));
+  } else {
+    target.addEventListener(type, fn);
+    view.off.push(() => target.removeEventListener(type, fn));
+  }
+}
+
+// ── SWIPE ─────────────────────────────────────────────────
+// Panes sit in layer-point space, so the clip rectangle is the
+// visible map area converted with containerPointToLayerPoint
+function clipSwipe(map, pct) {
+  const size = map.getSize();
+  const x    = THUMB / 2 + (size.x - THUMB) * pct / 100;   // under the handle centre
+  const nw   = map.containerPointToLayerPoint([0, 0]);
+  const se   = map.containerPointToLayerPoint(size);
+  const cx   = nw.x + x;
+  map.getPane('vsA').style.clip = `rect(${nw.y}px, ${cx}px, ${se.y}px, ${nw.x}px)`;
+  map.getPane('vsB').style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${cx}px)`;
+  document.getElementById('swipe-line').style.left = `${x}px`;
+}
+
+// ── DUAL VIEW ─────────────────────────────────────────────
+function syncMaps(a, b) {
+  let busy = false;
+  const follow = (from, to) => () => {
+    if (busy) return;
+    busy = true;
+    to.setView(from.getCenter(), from.getZoom(), { animate: false });
+    busy = false;
+  };
+  listen(a, 'move', follow(a, b));
+  listen(b, 'move', follow(b, a));
+}
+
+// ── HOVER READOUT ─────────────────────────────────────────
+// Both layers' values under the cursor; in the dual view a ring
+// marks the same spot on the other map
+function readout(m, other) {
+  const tip  = document.getElementById('vs-readout');
+  const wrap = document.getElementById('mapwrap');
+  const layers   = [view.a, view.b];
+  const samplers = layers.map(l => l.raster && rasterSampler(l.raster));
+  const ghost    = other && L.circleMarker([0, 0], { radius: 7, color: '#ffeb3b', weight: 2, fill: false, interactive: false });
+
+  const describe = (l, sample, latlng) => {
+    if (!sample) return `${l.title} — preview`;
+    const v   = sample(latlng);
+    const fmt = l.raster.format || ((x) => x.toFixed(4));
+    return `${l.raster.label}: ${isNaN(v) ? '—' : fmt(v)}`;
+  };
+
+  listen(m, 'mousemove', (e) => {
+    tip.textContent = layers.map((l, k) => `${'AB'[k]}  ${describe(l, samplers[k], e.latlng)}`).join('\n');
+    const box = wrap.getBoundingClientRect();
+    tip.style.left    = (e.originalEvent.clientX - box.left + 14) + 'px';
+    tip.style.top     = (e.originalEvent.clientY - box.top - 40) + 'px';
+    tip.style.display = 'block';
+    if (ghost) ghost.setLatLng(e.latlng).addTo(other);
+  });
+  listen(m, 'mouseout', () => {
+    tip.style.display = 'none';
+    ghost?.remove();
+  });
+  if (ghost) view.off.push(() => ghost.remove());
+}
@@ -0,0 +1,163 @@
+// ══════════════════════════════════════════════════════════
+//  composite.js — Multi-scene mosaics / temporal composites
+//                 on a common grid + per-pixel source layer
+// ══════════════════════════════════════════════════════════
+
+import { processScene } from './pipeline.js';
+import { utmGrid, polygonMask } from './grid.js';
+import { indexStats } from './ndvi.js';
+import { getSensor } from './sensors.js';
+import { isAbort } from './requests.js';
+import { sceneInfo, parseDate } from './filters.js';
+
+// ── RULES ─────────────────────────────────────────────────
+//   max           highest index value (e.g. max-NDVI compositing)
+//   median        per-pixel median of the valid observations —
+//                 the lower middle one, so it is a real acquisition
+//   least-cloudy  first valid observation, scenes taken in order
+//                 of increasing scene cloud cover
+export const COMPOSITE_RULES = {
+  'max':          { label: 'Max index' },
+  'median':       { label: 'Median' },
+  'least-cloudy': { label: 'Least cloudy' },
+};
+
+const MEDIAN_MAX = 64e6;   // AOI pixels × scenes kept for a median (4 bytes each)
+
+// ── COMPUTE ───────────────────────────────────────────────
+// Every scene is processed onto one UTM grid covering the whole
+// AOI (see grid.js utmGrid), so scene edges and zone boundaries
+// are filled from neighbouring acquisitions. Scenes are processed
+// one at a time, like the time series, to keep signing sequential.
+// Scenes that do not cover the AOI are listed with their error;
+// an aborted `signal` stops the composite (AbortError). A median
+// holds every scene's AOI pixels until the end, so it is refused
+// up front beyond MEDIAN_MAX of them.
+//
+// Returns { rule, values, source, width, height, grid, outside,
+//           stats, scenes, skipped }
+//   source: Int16Array — per pixel, the position in `scenes` of
+//           the acquisition it came from (−1 = none)
+//   scenes: contributing scenes, oldest first —
+//           [{ feature, id, date, cloud, pixels }]
+//   skipped: scenes left out — [{ id, date, error }]
+export async function computeComposite(scenes, {
+  index, aoi, maskClasses = [], rule = 'max', maxSize = null, onStep = () => {}, signal = null,
+}) {
+  if (!COMPOSITE_RULES[rule]) throw new Error(`Unknown composite rule "${rule}"`);
+  const cloud   = (f) => f.properties['eo:cloud_cover'] ?? 100;
+  // STAC allows a null datetime (start/end instead); malformed counts as none
+  const date    = (f) => parseDate(f.properties.datetime)?.toISOString() || '';
+  const byDate  = (a, b) => date(a).localeCompare(date(b));
+  const ordered = [...scenes].sort(rule === 'least-cloudy' ? (a, b) => cloud(a) - cloud(b) : byDate);
+
+  const grid    = utmGrid(aoi.bbox, getSensor(ordered[0].collection).resolution, maxSize);
+  const size    = grid.width * grid.height;
+  const outside = polygonMask(aoi.geometry, grid);
+  const inAOI   = size - outside.reduce((n, v) => n + v, 0);
+  if (rule === 'median' && inAOI * ordered.length > MEDIAN_MAX) {
+    throw new Error(`A median of ${ordered.length} scenes over ${inAOI} AOI pixels needs too much memory — pick fewer scenes, a preview resolution or a smaller AOI.`);
+  }
+
+  const values = new Float32Array(size).fill(NaN);
+  const pick   = new Int16Array(size).fill(-1);   // position in `ordered`
+  // Median: the AOI pixels of every scene, scene k at k × inAOI
+  const stack  = rule === 'median' ? new Float32Array(inAOI * ordered.length).fill(NaN) : null;
+  const skipped = [];
+  let filled = 0;
+
+  console.info(`[COMPOSITE] ${rule} of ${ordered.length} scene(s) on EPSG:${grid.epsg} ${grid.width}×${grid.height}`);
+
+  for (const [k, feature] of ordered.entries()) {
+    const date = sceneInfo(feature).date;
+    let res;
+    try {
+      res = await processScene(feature, {
+        index, aoi, maskClasses, grid, keepInputs: false, signal,
+        onStep: (txt, pct) => onStep(`SCENE ${k + 1}/${ordered.length} · ${txt}`,
+          Math.round((k + pct / 100) / ordered.length * 95)),
+      });
+    } catch (e) {
+      if (isAbort(e)) throw e;
+      console.warn(`[COMPOSITE] ${feature.id}: ${e.message}`);
+      skipped.push({ id: feature.id, date, error: e.message });
+      continue;
+    }
+
+    const v = res.values;
+    if (rule === 'median') {
+      for (let i = 0, j = k * inAOI; i < size; i++) if (!outside[i]) stack[j++] = v[i];
+      continue;
+    }
+
+    for (let i = 0; i < size; i++) {
+      if (isNaN(v[i])) continue;
+      if (isNaN(values[i])) filled++;
+      else if (rule === 'least-cloudy' || v[i] <= values[i]) continue;
+      values[i] = v[i];
+      pick[i]   = k;
+    }
+
+    // Least cloudy: done once every AOI pixel has an observation
+    if (rule === 'least-cloudy' && filled >= inAOI) {
+      ordered.slice(k + 1).forEach(f => skipped.push({
+        id: f.id, date: sceneInfo(f).date, error: 'not needed — AOI already filled',
+      }));
+      break;
+    }
+  }
+
+  if (rule === 'median') medianOf(stack, ordered.length, inAOI, outside, values, pick);
+
+  // Source positions → contributing scenes, oldest first
+  const counts = new Map();
+  for (let i = 0; i < size; i++) {
+    if (pick[i] >= 0) counts.set(pick[i], (counts.get(pick[i]) || 0) + 1);
+  }
+  if (!counts.size) throw new Error('None of the scenes has a valid pixel in the AOI. Try other scenes or mask classes.');
+
+  const used = [...counts.keys()]
+    .map(k => ordered[k])
+    .sort(byDate);
+  const position = new Map(used.map((f, j) => [ordered.indexOf(f), j]));
+  const source = new Int16Array(size);
+  for (let i = 0; i < size; i++) source[i] = pick[i] >= 0 ? position.get(pick[i]) : -1;
+
+  onStep('COMPOSITE READY', 100);
+  return {
+    rule, values, source, grid, outside,
+    width: grid.width, height: grid.height,
+    stats: indexStats(values, outside, index),
+    scenes: used.map((f, j) => ({
+      feature: f, id: f.id,
+      date:    sceneInfo(f).date,
+      cloud:   f.properties['eo:cloud_cover'],
+      pixels:  counts.get(ordered.indexOf(f)),
+    })),
+    skipped,
+  };
+}
+
+// Lower median of the valid observations per AOI pixel. The
+// observations are insertion-sorted into two reused buffers —
+// value and scene position — as there are only a few per pixel.
+function medianOf(stack, scenes, inAOI, outside, values, pick) {
+  const obs = new Float32Array(scenes);
+  const src = new Int16Array(scenes);
+  for (let i = 0, j = 0; i < values.length; i++) {
+    if (outside[i]) continue;
+    let n = 0;
+    for (let k = 0; k < scenes; k++) {
+      const v = stack[k * inAOI + j];
+      if (isNaN(v)) continue;
+      let m = n++;
+      for (; m > 0 && obs[m - 1] > v; m--) { obs[m] = obs[m - 1]; src[m] = src[m - 1]; }
+      obs[m] = v;
+      src[m] = k;
+    }
+    j++;
+    if (!n) continue;
+    values[i] = obs[(n - 1) >> 1];
+    pick[i]   = src[(n - 1) >> 1];
+  }
+}
@@ -0,0 +1,132 @@
+// ══════════════════════════════════════════════════════════
+//  crs.js — proj4 definitions shared by the page and the
+//           worker threads, and the CRS of a GeoTIFF
+// ══════════════════════════════════════════════════════════
+
+// A grid's CRS (grid.epsg, see grid.js) is an EPSG code, or — for a
+// file with a user-defined projection or a non-WGS84 geographic CRS
+// — its proj4 string, which proj4 takes as is and which travels to
+// the workers with the grid.
+
+// Pre-register all 60 UTM North + South zones so proj4 can reproject
+// Landsat scenes (which are stored in UTM per path/row), plus the
+// regional CRSs local GeoTIFFs commonly come in
+export function registerCRSs(proj4) {
+  for (let z = 1; z <= 60; z++) {
+    proj4.defs(`EPSG:${32600 + z}`,
+      `+proj=utm +zone=${z} +datum=WGS84 +units=m +no_defs`);
+    proj4.defs(`EPSG:${32700 + z}`,
+      `+proj=utm +zone=${z} +south +datum=WGS84 +units=m +no_defs`);
+  }
+  proj4.defs('EPSG:4326', '+proj=longlat +datum=WGS84 +no_defs');
+
+  const ETRS89 = '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0';
+  for (let z = 28; z <= 38; z++) proj4.defs(`EPSG:${25800 + z}`, `+proj=utm +zone=${z} ${ETRS89} +units=m +no_defs`);
+  for (let z = 1; z <= 23; z++)  proj4.defs(`EPSG:${26900 + z}`, `+proj=utm +zone=${z} +datum=NAD83 +units=m +no_defs`);
+  proj4.defs('EPSG:4258', `+proj=longlat ${ETRS89} +no_defs`);
+  proj4.defs('EPSG:3035', `+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 ${ETRS89} +units=m +no_defs`);
+  proj4.defs('EPSG:3034', `+proj=lcc +lat_0=52 +lon_0=10 +lat_1=35 +lat_2=65 +x_0=4000000 +y_0=2800000 ${ETRS89} +units=m +no_defs`);
+  proj4.defs('EPSG:5070', '+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs');
+  proj4.defs('EPSG:3577', `+proj=aea +lat_0=0 +lon_0=132 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 ${ETRS89} +units=m +no_defs`);
+}
+
+// proj4 name of a grid CRS
+export const crsName = (epsg) => typeof epsg === 'number' ? `EPSG:${epsg}` : epsg;
+
+// ── CRS FROM GEOKEYS ──────────────────────────────────────
+// keys: GeoTIFF.js image.getGeoKeys() (null without a GeoKey
+// directory). Returns the EPSG code when the file names one proj4
+// knows, else a proj4 string built from the projection parameters.
+// Geographic CRSs other than WGS84 (NAD83, ETRS89, …) also come back
+// as a +proj=longlat string: grids in degrees are only handled as
+// EPSG:4326 (areas, exports), so these files are read onto UTM.
+// Throws when the file has no CRS or one that cannot be expressed
+// — guessing would put the image in the wrong place.
+const USER_DEFINED = 32767;
+
+export function crsFromGeoKeys(keys) {
+  const k = keys || {};
+  const pcs = k.ProjectedCSTypeGeoKey;
+  const gcs = k.GeographicTypeGeoKey;
+  const projected = k.GTModelTypeGeoKey === 1 || (pcs > 0 && k.GTModelTypeGeoKey !== 2);
+
+  if (projected) {
+    if (pcs > 0 && pcs !== USER_DEFINED && proj4.defs(`EPSG:${pcs}`)) return pcs;
+    if (k.ProjCoordTransGeoKey || utmZone(k.ProjectionGeoKey)) return projectedDef(k);
+    if (pcs > 0 && pcs !== USER_DEFINED) throw new Error(`EPSG:${pcs} is not supported — reproject the file to WGS84 / UTM`);
+  } else if (k.GTModelTypeGeoKey === 2 || gcs > 0) {
+    if (gcs === 4326) return gcs;
+    return `+proj=longlat ${datumDef(k)} +no_defs`;
+  }
+  throw new Error('no coordinate reference system (GeoKeys) in the file — assign one, e.g. with gdal_translate -a_srs');
+}
+
+// ProjCoordTransGeoKey codes (GeoTIFF spec) → proj4 parameters.
+// p(...names) reads the first GeoKey given (Proj…GeoKey).
+const TRANSFORMS = {
+  1:  (p) => `+proj=tmerc +lat_0=${p('NatOriginLat')} +lon_0=${p('NatOriginLong')} +k=${p('ScaleAtNatOrigin') ?? 1}`,
+  7:  (p) => `+proj=merc +lon_0=${p('NatOriginLong')} ` +
+             (p('StdParallel1') != null ? `+lat_ts=${p('StdParallel1')}` : `+k=${p('ScaleAtNatOrigin') ?? 1}`),
+  8:  (p) => `+proj=lcc +lat_1=${p('StdParallel1')} +lat_2=${p('StdParallel2')} ` +
+             `+lat_0=${p('FalseOriginLat', 'NatOriginLat')} +lon_0=${p('FalseOriginLong', 'NatOriginLong')}`,
+  9:  (p) => `+proj=lcc +lat_1=${p('NatOriginLat')} +lat_0=${p('NatOriginLat')} +lon_0=${p('NatOriginLong')} +k_0=${p('ScaleAtNatOrigin') ?? 1}`,
+  10: (p) => `+proj=laea +lat_0=${p('CenterLat', 'NatOriginLat')} +lon_0=${p('CenterLong', 'NatOriginLong')}`,
+  11: (p) => `+proj=aea +lat_1=${p('StdParallel1')} +lat_2=${p('StdParallel2')} ` +
+             `+lat_0=${p('NatOriginLat', 'FalseOriginLat', 'CenterLat')} +lon_0=${p('NatOriginLong', 'FalseOriginLong', 'CenterLong')}`,
+  15: (p) => `+proj=stere +lat_0=${p('NatOriginLat') < 0 ? -90 : 90} +lat_ts=${p('NatOriginLat')} ` +
+             `+lon_0=${p('StraightVertPoleLong', 'NatOriginLong')} +k_0=${p('ScaleAtNatOrigin') ?? 1}`,
+  16: (p) => `+proj=sterea +lat_0=${p('NatOriginLat')} +lon_0=${p('NatOriginLong')} +k=${p('ScaleAtNatOrigin') ?? 1}`,
+  17: (p) => `+proj=eqc +lat_ts=${p('StdParallel1') ?? 0} +lon_0=${p('NatOriginLong')}`,
+};
+
+// Metres per ProjLinearUnitsGeoKey unit
+const LINEAR_UNITS = { 9001: 1, 9002: 0.3048, 9003: 1200 / 3937 };
+
+function projectedDef(k) {
+  const zone = utmZone(k.ProjectionGeoKey);
+  if (zone) return `+proj=utm +zone=${zone.zone}${zone.south ? ' +south' : ''} ${datumDef(k)} +units=m +no_defs`;
+
+  const transform = TRANSFORMS[k.ProjCoordTransGeoKey];
+  if (!transform) throw new Error(`projection method ${k.ProjCoordTransGeoKey} (GeoTIFF code) is not supported — reproject the file to WGS84 / UTM`);
+  const unit = k.ProjLinearUnitSizeGeoKey || LINEAR_UNITS[k.ProjLinearUnitsGeoKey ?? 9001];
+  if (!unit) throw new Error(`linear unit ${k.ProjLinearUnitsGeoKey} (EPSG code) is not supported`);
+  if (k.GeogAngularUnitsGeoKey && k.GeogAngularUnitsGeoKey !== 9102) throw new Error('only projection parameters in degrees are supported');
+
+  const p = (...names) => names.map(n => k[`Proj${n}GeoKey`]).find(v => v != null);
+  const falseE = p('FalseEasting', 'FalseOriginEasting', 'CenterEasting') || 0;
+  const falseN = p('FalseNorthing', 'FalseOriginNorthing', 'CenterNorthing') || 0;
+  const def = transform(p);
+  if (def.includes('undefined')) throw new Error('projection parameters missing from the GeoKeys');
+  return `${def} +x_0=${falseE * unit} +y_0=${falseN * unit} ${datumDef(k)} +to_meter=${unit} +no_defs`;
+}
+
+// ProjectionGeoKey 16001–16060 / 16101–16160: WGS84-style UTM
+// zones north / south on the file's datum
+function utmZone(code) {
+  if (code > 16000 && code <= 16060) return { zone: code - 16000, south: false };
+  if (code > 16100 && code <= 16160) return { zone: code - 16100, south: true };
+  return null;
+}
+
+// Datum / ellipsoid parameters, by geographic CRS, datum or
+// ellipsoid code, else the axes in the file
+const GEOGRAPHIC = {
+  4326: '+datum=WGS84', 4269: '+datum=NAD83', 4267: '+datum=NAD27',
+  4258: '+ellps=GRS80 +towgs84=0,0,0', 4283: '+ellps=GRS80 +towgs84=0,0,0', 4019: '+ellps=GRS80',
+};
+const DATUMS = {
+  6326: '+datum=WGS84', 6269: '+datum=NAD83', 6267: '+datum=NAD27',
+  6258: '+ellps=GRS80 +towgs84=0,0,0', 6283: '+ellps=GRS80 +towgs84=0,0,0',
+};
+const ELLIPSOIDS = { 7030: '+ellps=WGS84', 7019: '+ellps=GRS80', 7008: '+ellps=clrk66', 7022: '+ellps=intl', 7004: '+ellps=bessel' };
+
+function datumDef(k) {
+  const def = GEOGRAPHIC[k.GeographicTypeGeoKey] || DATUMS[k.GeogGeodeticDatumGeoKey] || ELLIPSOIDS[k.GeogEllipsoidGeoKey];
+  if (def) return def;
+  const a = k.GeogSemiMajorAxisGeoKey;
+  if (a && k.GeogSemiMinorAxisGeoKey) return `+a=${a} +b=${k.GeogSemiMinorAxisGeoKey}`;
+  if (a && k.GeogInvFlatteningGeoKey) return `+a=${a} +rf=${k.GeogInvFlatteningGeoKey}`;
+  const code = k.GeographicTypeGeoKey || k.GeogGeodeticDatumGeoKey || k.GeogEllipsoidGeoKey;
+  throw new Error(code ? `datum EPSG:${code} is not supported — reproject the file to WGS84 / UTM`
+                       : 'no datum or ellipsoid in the GeoKeys');
+}
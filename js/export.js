@@ -0,0 +1,158 @@
+// ══════════════════════════════════════════════════════════
+//  export.js — Georeferenced downloads: Float32 GeoTIFF
+//              writer + PNG world file / .prj
+// ══════════════════════════════════════════════════════════
+
+// ── GEOTIFF WRITER ────────────────────────────────────────
+// Minimal baseline GeoTIFF: little-endian, uncompressed strips,
+// pixel-interleaved Float32 samples. Georeferencing uses
+// ModelPixelScale + ModelTiepoint + GeoKeyDirectory, and
+// GDAL_NODATA marks NaN as nodata so QGIS/GDAL mask it.
+//
+// bands:  array of Float32Array (all width × height)
+// grid:   { epsg, x0, y0, dx, dy } — see grid.js
+// names:  optional band descriptions (GDAL_METADATA)
+// Returns an ArrayBuffer
+export function writeGeoTIFF({ bands, width, height, grid, names = [] }) {
+  const nb          = bands.length;
+  const rowBytes    = width * nb * 4;
+  const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(65536 / rowBytes)));
+  const nStrips     = Math.ceil(height / rowsPerStrip);
+  const geographic  = grid.epsg === 4326;
+
+  const geoKeys = [
+    1, 1, 0, 3,                               // version, revision, key count
+    1024, 0, 1, geographic ? 2 : 1,           // GTModelType: projected / geographic
+    1025, 0, 1, 1,                            // GTRasterType: PixelIsArea
+    geographic ? 2048 : 3072, 0, 1, grid.epsg, // Geographic / ProjectedCSType
+  ];
+
+  const gdalMeta = names.length
+    ? '<GDALMetadata>' + names.map((n, i) =>
+        `<Item name="DESCRIPTION" sample="${i}" role="description">${escapeXML(n)}</Item>`).join('') +
+      '</GDALMetadata>'
+    : null;
+
+  // [tag, type, values] — type 2 ASCII, 3 SHORT, 4 LONG, 12 DOUBLE
+  const stripOffsets = new Array(nStrips).fill(0);
+  const stripCounts  = Array.from({ length: nStrips }, (_, s) =>
+    Math.min(rowsPerStrip, height - s * rowsPerStrip) * rowBytes);
+
+  const tags = [
+    [256, 4, [width]],
+    [257, 4, [height]],
+    [258, 3, new Array(nb).fill(32)],
+    [259, 3, [1]],                            // no compression
+    [262, 3, [1]],                            // BlackIsZero
+    [273, 4, stripOffsets],
+    [277, 3, [nb]],
+    [278, 4, [rowsPerStrip]],
+    [279, 4, stripCounts],
+    [284, 3, [1]],                            // pixel interleaved
+    ...(nb > 1 ? [[338, 3, new Array(nb - 1).fill(0)]] : []),
+    [339, 3, new Array(nb).fill(3)],          // IEEE float
+    [33550, 12, [grid.dx, -grid.dy, 0]],
+    [33922, 12, [0, 0, 0, grid.x0, grid.y0, 0]],
+    [34735, 3, geoKeys],
+    ...(gdalMeta ? [[42112, 2, gdalMeta]] : []),
+    [42113, 2, 'nan'],
+  ];
+
+  const TYPE_SIZE = { 2: 1, 3: 2, 4: 4, 12: 8 };
+  const count  = (type, v) => type === 2 ? v.length + 1 : v.length;
+  const ifdLen = 2 + tags.length * 12 + 4;
+
+  // Out-of-line values follow the IFD (word aligned), then pixels
+  let extra = 8 + ifdLen;
+  const extraAt = tags.map(([, type, v]) => {
+    const bytes = count(type, v) * TYPE_SIZE[type];
+    if (bytes <= 4) return null;
+    const at = extra;
+    extra += bytes + (bytes % 2);
+    return at;
+  });
+  const dataStart = extra + (extra % 4 ? 4 - extra % 4 : 0);
+  for (let s = 0; s < nStrips; s++) stripOffsets[s] = dataStart + s * rowsPerStrip * rowBytes;
+
+  const buf  = new ArrayBuffer(dataStart + height * rowBytes);
+  const view = new DataView(buf);
+
+  // Header: "II", 42, first IFD at byte 8
+  view.setUint16(0, 0x4949, true);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+
+  const writeValues = (at, type, v) => {
+    if (type === 2) {
+      for (let i = 0; i < v.length; i++) view.setUint8(at + i, v.charCodeAt(i) & 0x7f);
+      view.setUint8(at + v.length, 0);
+      return;
+    }
+    v.forEach((x, i) => {
+      if (type === 3)  view.setUint16(at + i * 2, x, true);
+      if (type === 4)  view.setUint32(at + i * 4, x, true);
+      if (type === 12) view.setFloat64(at + i * 8, x, true);
+    });
+  };
+
+  view.setUint16(8, tags.length, true);
+  tags.forEach(([tag, type, v], i) => {
+    const e = 10 + i * 12;
+    view.setUint16(e,     tag,  true);
+    view.setUint16(e + 2, type, true);
+    view.setUint32(e + 4, count(type, v), true);
+    if (extraAt[i] === null) writeValues(e + 8, type, v);
+    else {
+      view.setUint32(e + 8, extraAt[i], true);
+      writeValues(extraAt[i], type, v);
+    }
+  });
+  view.setUint32(10 + tags.length * 12, 0, true);   // no next IFD
+
+  // Pixels — interleave bands row by row
+  let off = dataStart;
+  for (let i = 0; i < width * height; i++) {
+    for (let b = 0; b < nb; b++) {
+      view.setFloat32(off, bands[b][i], true);
+      off += 4;
+    }
+  }
+
+  return buf;
+}
+
+function escapeXML(s) {
+  return String(s).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+}
+
+// ── WORLD FILE ────────────────────────────────────────────
+// Six lines: x pixel size, rotation ×2, y pixel size, then the
+// CENTRE of the top-left pixel (not its corner)
+export function worldFile(grid) {
+  return [
+    grid.dx, 0, 0, grid.dy,
+    grid.x0 + grid.dx / 2,
+    grid.y0 + grid.dy / 2,
+  ].map(v => String(+v.toFixed(10))).join('\n') + '\n';
+}
+
+// ── .PRJ (ESRI WKT) ───────────────────────────────────────
+// Covers the CRSs the Landsat catalog uses — WGS84 geographic and
+// WGS84 UTM zones (EPSG:326xx north / 327xx south). Returns null
+// for anything else; the world file is still usable on its own.
+export function prjWKT(epsg) {
+  const GEOGCS = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+                 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+  if (epsg === 4326) return GEOGCS;
+
+  const north = epsg > 32600 && epsg <= 32660;
+  const south = epsg > 32700 && epsg <= 32760;
+  if (!north && !south) return null;
+
+  const zone = epsg % 100;
+  return `PROJCS["WGS_1984_UTM_Zone_${zone}${north ? 'N' : 'S'}",${GEOGCS},` +
+    'PROJECTION["Transverse_Mercator"],' +
+    `PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",${north ? '0.0' : '10000000.0'}],` +
+    `PARAMETER["Central_Meridian",${-183 + zone * 6}.0],PARAMETER["Scale_Factor",0.9996],` +
+    'PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+}
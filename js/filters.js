@@ -0,0 +1,132 @@
+// ══════════════════════════════════════════════════════════
+//  filters.js — Scene properties, search filters (CQL2 /
+//               query extension / client-side) and sorting
+// ══════════════════════════════════════════════════════════
+
+// filters (all optional — empty means "any"):
+//   platforms        ['landsat-8', 'landsat-9', …]
+//   path, row        WRS-2 path / row numbers (Landsat)
+//   minSunElevation  degrees
+//   doy              [from, to] day of year, wraps over new year
+//                    when from > to (e.g. [335, 59] = Dec–Feb)
+
+// ── SEASONS ───────────────────────────────────────────────
+// Meteorological seasons (northern hemisphere) as DOY ranges
+// of a non-leap year
+export const SEASONS = {
+  djf: { label: 'Dec–Feb', doy: [335, 59]  },
+  mam: { label: 'Mar–May', doy: [60, 151]  },
+  jja: { label: 'Jun–Aug', doy: [152, 243] },
+  son: { label: 'Sep–Nov', doy: [244, 334] },
+};
+
+// ── SCENE PROPERTIES ──────────────────────────────────────
+// Normalised view of the STAC properties the list and filters
+// use; missing values are null. A datetime that does not parse
+// counts as missing — the item is undated.
+export function sceneInfo(feature) {
+  const p  = feature.properties || {};
+  const dt = parseDate(p.datetime);
+  const zenith = p['s2:mean_solar_zenith'];
+  return {
+    date:     dt ? dt.toISOString().slice(0, 10) : '',
+    doy:      dt ? dayOfYear(dt) : null,
+    cloud:    p['eo:cloud_cover'] ?? null,
+    platform: p.platform || '',
+    path:     p['landsat:wrs_path'] != null ? +p['landsat:wrs_path'] : null,
+    row:      p['landsat:wrs_row']  != null ? +p['landsat:wrs_row']  : null,
+    sunElevation: p['view:sun_elevation'] ?? (zenith != null ? 90 - zenith : null),
+  };
+}
+
+// Date, or null for a missing or malformed value
+export function parseDate(value) {
+  const dt = value ? new Date(value) : null;
+  return dt && !isNaN(dt) ? dt : null;
+}
+
+function dayOfYear(dt) {
+  return Math.floor((dt - Date.UTC(dt.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+}
+
+// ── CLIENT-SIDE MATCH ─────────────────────────────────────
+// Applied to every page, whatever the server already filtered
+// (re-checking is harmless). Items lacking a property pass.
+export function matchesFilters(feature, { cloudCover, filters = {} }) {
+  const s = sceneInfo(feature);
+  const { platforms = [], path, row, minSunElevation, doy } = filters;
+
+  if (cloudCover != null && s.cloud != null && s.cloud >= cloudCover) return false;
+  if (platforms.length && s.platform &&
+      !platforms.some(pl => pl.toLowerCase() === s.platform.toLowerCase())) return false;
+  if (path != null && s.path != null && s.path !== path) return false;
+  if (row  != null && s.row  != null && s.row  !== row)  return false;
+  if (minSunElevation && s.sunElevation != null && s.sunElevation < minSunElevation) return false;
+  if (doy && s.doy != null) {
+    const [a, b] = doy;
+    const inside = a <= b ? s.doy >= a && s.doy <= b : s.doy >= a || s.doy <= b;
+    if (!inside) return false;
+  }
+  return true;
+}
+
+// ── SERVER-SIDE FILTERS ───────────────────────────────────
+// queryables: STAC properties the collection can be filtered on
+// (sensor profile, see sensors.js). Day of year has no CQL2 form,
+// so it is always client-side.
+export function cql2Filter({ cloudCover, filters = {} }, queryables = []) {
+  const q    = (name) => queryables.includes(name);
+  const prop = (name) => ({ property: name });
+  const args = [{ op: '<', args: [prop('eo:cloud_cover'), cloudCover] }];
+  const { platforms = [], path, row, minSunElevation } = filters;
+
+  if (platforms.length && q('platform')) {
+    args.push({ op: 'in', args: [prop('platform'), platforms] });
+  }
+  if (path != null && q('landsat:wrs_path')) {
+    args.push({ op: '=', args: [prop('landsat:wrs_path'), String(path).padStart(3, '0')] });
+  }
+  if (row != null && q('landsat:wrs_row')) {
+    args.push({ op: '=', args: [prop('landsat:wrs_row'), String(row).padStart(3, '0')] });
+  }
+  if (minSunElevation && q('view:sun_elevation')) {
+    args.push({ op: '>=', args: [prop('view:sun_elevation'), minSunElevation] });
+  }
+  return { op: 'and', args };
+}
+
+// Same filters for APIs with only the older query extension
+export function queryExtension({ cloudCover, filters = {} }, queryables = []) {
+  const q     = (name) => queryables.includes(name);
+  const query = { 'eo:cloud_cover': { lt: cloudCover } };
+  const { platforms = [], path, row, minSunElevation } = filters;
+
+  if (platforms.length && q('platform')) query.platform = { in: platforms };
+  if (path != null && q('landsat:wrs_path')) query['landsat:wrs_path'] = { eq: String(path).padStart(3, '0') };
+  if (row  != null && q('landsat:wrs_row'))  query['landsat:wrs_row']  = { eq: String(row).padStart(3, '0') };
+  if (minSunElevation && q('view:sun_elevation')) query['view:sun_elevation'] = { gte: minSunElevation };
+  return query;
+}
+
+// ── SORTING ───────────────────────────────────────────────
+export const SORTS = {
+  'cloud':     { label: 'Cloud cover',    sortby: [{ field: 'eo:cloud_cover', direction: 'asc' }] },
+  'date-desc': { label: 'Newest first',   sortby: [{ field: 'datetime', direction: 'desc' }] },
+  'date-asc':  { label: 'Oldest first',   sortby: [{ field: 'datetime', direction: 'asc' }] },
+  'platform':  { label: 'Platform',       sortby: [{ field: 'platform', direction: 'asc' },
+                                                   { field: 'datetime', direction: 'desc' }] },
+};
+
+// Returns a sorted copy — same order the API is asked for
+export function sortScenes(features, sort = 'cloud') {
+  const by = {
+    'cloud':     (a, b) => (a.cloud ?? 0) - (b.cloud ?? 0),
+    'date-desc': (a, b) => b.date.localeCompare(a.date),
+    'date-asc':  (a, b) => a.date.localeCompare(b.date),
+    'platform':  (a, b) => a.platform.localeCompare(b.platform) || b.date.localeCompare(a.date),
+  }[sort] || (() => 0);
+  return features
+    .map(f => [sceneInfo(f), f])
+    .sort(([a], [b]) => by(a, b))
+    .map(([, f]) => f);
+}
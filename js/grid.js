@@ -0,0 +1,221 @@
+// ══════════════════════════════════════════════════════════
+//  grid.js — Raster grids (geotransform + CRS), resampling
+//            between grids and polygon rasterisation
+// ══════════════════════════════════════════════════════════
+
+import { crsName } from './crs.js';
+
+// A grid describes where a raster array sits on the ground:
+//   { epsg, x0, y0, dx, dy, width, height }
+//   epsg: EPSG code, or a proj4 string (see crs.js)
+//   X_geo = x0 + col * dx
+//   Y_geo = y0 + row * dy   (dy is negative — top-down)
+// (x0, y0) is the outer corner of the top-left pixel.
+
+// ── WGS84 → GRID CRS ──────────────────────────────────────
+export function projectorTo(epsg) {
+  if (epsg === 4326) return (p) => p;
+  const conv = proj4('EPSG:4326', crsName(epsg));
+  return (p) => conv.forward(p);
+}
+
+// ── GRID COMPARISON ───────────────────────────────────────
+export function sameGrid(a, b) {
+  const eq = (u, v) => Math.abs(u - v) < 1e-6 * Math.max(1, Math.abs(u));
+  return a.epsg === b.epsg && a.width === b.width && a.height === b.height &&
+    eq(a.x0, b.x0) && eq(a.y0, b.y0) && eq(a.dx, b.dx) && eq(a.dy, b.dy);
+}
+
+// ── PIXEL AREA ────────────────────────────────────────────
+// Hectares covered by one pixel. Projected grids are in metres;
+// geographic (EPSG:4326) grids use the length of a degree at the
+// grid's centre latitude.
+export function pixelAreaHa(grid) {
+  if (grid.epsg !== 4326) return Math.abs(grid.dx * grid.dy) / 10000;
+  const lat = (grid.y0 + grid.dy * grid.height / 2) * Math.PI / 180;
+  const mx  = Math.abs(grid.dx) * 111320 * Math.cos(lat);
+  const my  = Math.abs(grid.dy) * 110540;
+  return mx * my / 10000;
+}
+
+// ── WARP ──────────────────────────────────────────────────
+// Nearest-neighbour resample of `src` (array on srcGrid) onto
+// dstGrid, reprojecting pixel centres with proj4 when the CRSs
+// differ. Returns { data, missing } — `missing` flags (1) the
+// destination pixels that fall outside the source raster.
+export function warpToGrid(src, srcGrid, dstGrid) {
+  const { width, height } = dstGrid;
+  const data    = new src.constructor(width * height);
+  const missing = new Uint8Array(width * height);
+  const conv    = srcGrid.epsg === dstGrid.epsg ? null
+    : proj4(crsName(dstGrid.epsg), crsName(srcGrid.epsg));
+  const pt = [0, 0];
+
+  for (let row = 0; row < height; row++) {
+    const y = dstGrid.y0 + (row + 0.5) * dstGrid.dy;
+    for (let col = 0; col < width; col++) {
+      const i = row * width + col;
+      pt[0] = dstGrid.x0 + (col + 0.5) * dstGrid.dx;
+      pt[1] = y;
+      const [sx, sy] = conv ? conv.forward(pt) : pt;
+      const sc = Math.floor((sx - srcGrid.x0) / srcGrid.dx);
+      const sr = Math.floor((sy - srcGrid.y0) / srcGrid.dy);
+      if (sc < 0 || sr < 0 || sc >= srcGrid.width || sr >= srcGrid.height || !isFinite(sc + sr)) {
+        data[i] = isFloat(data) ? NaN : 0;
+        missing[i] = 1;
+      } else {
+        data[i] = src[sr * srcGrid.width + sc];
+      }
+    }
+  }
+
+  return { data, missing };
+}
+
+// ── FOOTPRINT ─────────────────────────────────────────────
+// [west, south, east, north] in WGS84 around a grid — edges are
+// densified, since UTM edges curve in geographic coordinates
+export function gridBounds(grid) {
+  const conv = grid.epsg === 4326 ? null : proj4(crsName(grid.epsg), 'EPSG:4326');
+  const { width: W, height: H } = grid;
+
+  let west = Infinity, south = Infinity, east = -Infinity, north = -Infinity;
+  const STEPS = 16;
+  for (let k = 0; k <= STEPS; k++) {
+    const f = k / STEPS;
+    for (const [c, r] of [[f * W, 0], [f * W, H], [0, f * H], [W, f * H]]) {
+      const p = [grid.x0 + c * grid.dx, grid.y0 + r * grid.dy];
+      const [x, y] = conv ? conv.forward(p) : p;
+      if (x < west)  west  = x;
+      if (x > east)  east  = x;
+      if (y < south) south = y;
+      if (y > north) north = y;
+    }
+  }
+  return [west, south, east, north];
+}
+
+// ── AOI GRID ──────────────────────────────────────────────
+// North-up grid over a WGS84 bbox in the UTM zone of its centre,
+// snapped to whole pixels of `resolution` metres and coarsened so
+// the long side stays ≤ maxSize. Scenes from any image or zone
+// can be warped onto it, so it spans scene edges.
+export function utmGrid(bbox, resolution, maxSize = null) {
+  const [w, s, e, n] = bbox;
+  const zone = Math.min(60, Math.floor(((w + e) / 2 + 180) / 6) + 1);
+  const epsg = ((s + n) / 2 >= 0 ? 32600 : 32700) + zone;
+  const toUTM = projectorTo(epsg);
+
+  let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+  const STEPS = 16;
+  for (let k = 0; k <= STEPS; k++) {
+    const lon = w + (e - w) * k / STEPS;
+    const lat = s + (n - s) * k / STEPS;
+    for (const p of [[lon, s], [lon, n], [w, lat], [e, lat]]) {
+      const [x, y] = toUTM(p);
+      if (x < xmin) xmin = x;
+      if (x > xmax) xmax = x;
+      if (y < ymin) ymin = y;
+      if (y > ymax) ymax = y;
+    }
+  }
+
+  const long = Math.max(xmax - xmin, ymax - ymin);
+  const res  = maxSize && long / resolution > maxSize ? long / maxSize : resolution;
+  const x0   = Math.floor(xmin / res) * res;
+  const y0   = Math.ceil(ymax / res) * res;
+  return {
+    epsg, x0, y0, dx: res, dy: -res,
+    width:  Math.max(1, Math.ceil((xmax - x0) / res)),
+    height: Math.max(1, Math.ceil((y0 - ymin) / res)),
+  };
+}
+
+// ── TILES ─────────────────────────────────────────────────
+// Splits a grid into blocks of at most size × size pixels.
+// Returns [{ col, row, grid }] — col/row: offset of the block's
+// top-left pixel in the parent grid
+export function splitGrid(grid, size = 512) {
+  const tiles = [];
+  for (let row = 0; row < grid.height; row += size) {
+    for (let col = 0; col < grid.width; col += size) {
+      tiles.push({
+        col, row,
+        grid: {
+          epsg: grid.epsg,
+          x0: grid.x0 + col * grid.dx,
+          y0: grid.y0 + row * grid.dy,
+          dx: grid.dx, dy: grid.dy,
+          width:  Math.min(size, grid.width - col),
+          height: Math.min(size, grid.height - row),
+        },
+      });
+    }
+  }
+  return tiles;
+}
+
+const isFloat  = (arr) => arr instanceof Float32Array || arr instanceof Float64Array;
+
+// ── POLYGON MASK ──────────────────────────────────────────
+// Rasterises a WGS84 Polygon/MultiPolygon onto `grid` and
+// returns a Uint8Array where 1 = OUTSIDE the polygon (masked),
+// matching the buildQAMask convention.
+// Scanline fill with the even-odd rule, sampled at pixel
+// centres, so holes in the polygon stay masked too.
+export function polygonMask(geometry, grid) {
+  const { width, height, x0, y0, dx, dy } = grid;
+  const toCRS = projectorTo(grid.epsg);
+  const polys = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+  // Every ring, in fractional pixel coordinates
+  const rings = [];
+  for (const poly of polys) {
+    for (const ring of poly) {
+      rings.push(ring.map(pt => {
+        const [x, y] = toCRS(pt);
+        return [(x - x0) / dx, (y - y0) / dy];
+      }));
+    }
+  }
+
+  const mask = new Uint8Array(width * height).fill(1);
+  const xs   = [];
+
+  for (let row = 0; row < height; row++) {
+    const yc = row + 0.5;
+    xs.length = 0;
+
+    for (const ring of rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > yc) !== (yj > yc)) {
+          xs.push(xi + (yc - yi) / (yj - yi) * (xj - xi));
+        }
+      }
+    }
+    xs.sort((a, b) => a - b);
+
+    // Pixels whose centre (col + 0.5) lies between pairs of crossings
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const c0 = Math.max(0, Math.ceil(xs[k] - 0.5));
+      const c1 = Math.min(width - 1, Math.ceil(xs[k + 1] - 0.5) - 1);
+      for (let c = c0; c <= c1; c++) mask[row * width + c] = 0;
+    }
+  }
+
+  return mask;
+}
+
+// ── MERGE MASKS ───────────────────────────────────────────
+// Pixel is masked when any of the (non-null) masks flags it
+export function mergeMasks(...masks) {
+  const list = masks.filter(Boolean);
+  if (list.length < 2) return list[0] || null;
+  const out = new Uint8Array(list[0].length);
+  for (const m of list) {
+    for (let i = 0; i < out.length; i++) out[i] |= m[i];
+  }
+  return out;
+}
@@ -0,0 +1,194 @@
+// ══════════════════════════════════════════════════════════
+//  indices.js — Spectral index catalog + safe band-math
+//               expression parser (no eval)
+// ══════════════════════════════════════════════════════════
+
+// ── BAND VOCABULARY ───────────────────────────────────────
+// STAC eo:common_name style keys; stac.js maps them to assets
+export const BANDS = ['blue', 'green', 'red', 'nir08', 'swir16', 'swir22'];
+
+// ── INDEX CATALOG ─────────────────────────────────────────
+// Every index is just an expression over surface reflectance,
+// compiled by the same parser used for user-written formulas.
+// cover: threshold + label for the "% above" legend stat
+export const INDICES = {
+  ndvi: {
+    label: 'NDVI', name: 'Normalized Difference Vegetation Index',
+    expr:  '(nir08 - red) / (nir08 + red)',
+    cover: { threshold: 0.3, label: 'VEG' },
+  },
+  evi: {
+    label: 'EVI', name: 'Enhanced Vegetation Index',
+    expr:  '2.5 * (nir08 - red) / (nir08 + 6 * red - 7.5 * blue + 1)',
+    cover: { threshold: 0.3, label: 'VEG' },
+  },
+  savi: {
+    label: 'SAVI', name: 'Soil-Adjusted Vegetation Index (L = 0.5)',
+    expr:  '1.5 * (nir08 - red) / (nir08 + red + 0.5)',
+    cover: { threshold: 0.3, label: 'VEG' },
+  },
+  ndwi: {
+    label: 'NDWI', name: 'Normalized Difference Water Index (McFeeters)',
+    expr:  '(green - nir08) / (green + nir08)',
+    cover: { threshold: 0, label: 'WATER' },
+  },
+  ndmi: {
+    label: 'NDMI', name: 'Normalized Difference Moisture Index',
+    expr:  '(nir08 - swir16) / (nir08 + swir16)',
+  },
+  nbr: {
+    label: 'NBR', name: 'Normalized Burn Ratio',
+    expr:  '(nir08 - swir22) / (nir08 + swir22)',
+  },
+};
+
+// ── RESOLVE INDEX ─────────────────────────────────────────
+// id: key of INDICES, or 'custom' together with an expression
+// Returns { id, label, expr, bands, evaluate, cover }
+export function getIndex(id, customExpr = '') {
+  if (id === 'custom') {
+    const expr = customExpr.trim();
+    if (!expr) throw new Error('Enter a band formula, e.g. (nir08 - swir16) / (nir08 + swir16)');
+    return { id, label: 'CUSTOM', name: expr, expr, ...compileExpression(expr) };
+  }
+  const def = Object.hasOwn(INDICES, id) ? INDICES[id] : null;
+  if (!def) throw new Error(`Unknown index "${id}"`);
+  return { id, ...def, ...compileExpression(def.expr) };
+}
+
+// ── EXPRESSION COMPILER ───────────────────────────────────
+// Grammar (standard precedence, ^ is right-associative):
+//   expr    := term (('+' | '-') term)*
+//   term    := unary (('*' | '/') unary)*
+//   unary   := '-' unary | power
+//   power   := primary ('^' unary)?
+//   primary := number | band | func '(' expr (',' expr)* ')' | '(' expr ')'
+// Only the band names in BANDS and the functions below are
+// accepted, so user input can never reach arbitrary JS.
+const FUNCS = {
+  abs:  [1, Math.abs],
+  sqrt: [1, Math.sqrt],
+  log:  [1, Math.log],
+  exp:  [1, Math.exp],
+  min:  [2, Math.min],
+  max:  [2, Math.max],
+};
+
+// Returns { bands, evaluate } — evaluate(values) takes an array
+// of reflectances ordered like `bands`
+export function compileExpression(src) {
+  const tokens = tokenize(src);
+  const bands  = [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const fail = (msg, tok = peek()) => {
+    throw new Error(`${msg} at position ${tok ? tok.at + 1 : src.length + 1}`);
+  };
+  const expect = (v) => {
+    if (peek()?.v !== v) fail(`Expected "${v}"`);
+    pos++;
+  };
+
+  function expr() {
+    let node = term();
+    while (peek()?.v === '+' || peek()?.v === '-') {
+      const op = tokens[pos++].v;
+      const a = node, b = term();
+      node = op === '+' ? (x) => a(x) + b(x) : (x) => a(x) - b(x);
+    }
+    return node;
+  }
+
+  function term() {
+    let node = unary();
+    while (peek()?.v === '*' || peek()?.v === '/') {
+      const op = tokens[pos++].v;
+      const a = node, b = unary();
+      node = op === '*' ? (x) => a(x) * b(x) : (x) => a(x) / b(x);
+    }
+    return node;
+  }
+
+  function unary() {
+    if (peek()?.v === '-') {
+      pos++;
+      const a = unary();
+      return (x) => -a(x);
+    }
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    if (peek()?.v !== '^') return base;
+    pos++;
+    const exp = unary();
+    return (x) => Math.pow(base(x), exp(x));
+  }
+
+  function primary() {
+    const tok = peek();
+    if (!tok) fail('Unexpected end of formula');
+    pos++;
+
+    if (tok.t === 'num') {
+      const c = tok.v;
+      return () => c;
+    }
+
+    if (tok.v === '(') {
+      const node = expr();
+      expect(')');
+      return node;
+    }
+
+    if (tok.t === 'id') {
+      if (Object.hasOwn(FUNCS, tok.v)) {
+        const [arity, fn] = FUNCS[tok.v];
+        expect('(');
+        const args = [expr()];
+        while (peek()?.v === ',') { pos++; args.push(expr()); }
+        expect(')');
+        if (args.length !== arity) fail(`${tok.v}() takes ${arity} argument(s)`, tok);
+        const [a, b] = args;
+        return arity === 1 ? (x) => fn(a(x)) : (x) => fn(a(x), b(x));
+      }
+      if (peek()?.v === '(') fail(`Unknown function "${tok.v}" (use ${Object.keys(FUNCS).join(', ')})`, tok);
+      if (!BANDS.includes(tok.v)) {
+        fail(`Unknown band "${tok.v}" (use ${BANDS.join(', ')})`, tok);
+      }
+      let idx = bands.indexOf(tok.v);
+      if (idx < 0) idx = bands.push(tok.v) - 1;
+      return (x) => x[idx];
+    }
+
+    fail(`Unexpected "${tok.v}"`, tok);
+  }
+
+  const root = expr();
+  if (pos < tokens.length) fail(`Unexpected "${peek().v}"`);
+  if (!bands.length) throw new Error('Formula must reference at least one band');
+
+  return { bands, evaluate: root };
+}
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/^(),]))/y;
+  let m;
+  re.lastIndex = 0;
+  while (re.lastIndex < src.length) {
+    const at = re.lastIndex;
+    if (!(m = re.exec(src))) {
+      if (!src.slice(at).trim()) break;
+      const bad = src.slice(at).trim()[0];
+      throw new Error(`Invalid character "${bad}" at position ${src.indexOf(bad, at) + 1}`);
+    }
+    const start = at + m[0].length - (m[1] || m[2] || m[3]).length;
+    if (m[1])      tokens.push({ t: 'num', v: parseFloat(m[1]), at: start });
+    else if (m[2]) tokens.push({ t: 'id',  v: m[2], at: start });
+    else           tokens.push({ t: 'op',  v: m[3], at: start });
+  }
+  return tokens;
+}
@@ -0,0 +1,230 @@
+// ══════════════════════════════════════════════════════════
+//  local.js — Imagery opened from disk: GeoTIFF files and STAC
+//             item JSON become scenes, no catalog needed
+// ══════════════════════════════════════════════════════════
+
+import { imageInfo, C2L2_SCALING } from './ndvi.js';
+import { BANDS } from './indices.js';
+import { resolveBandKeys } from './stac.js';
+import { scalingFor } from './sensors.js';
+import { gridBounds } from './grid.js';
+import { bboxToGeometry } from './aoi.js';
+import { sceneInfo } from './filters.js';
+import { esc } from './ui.js';
+
+// A local scene is a STAC item like the searched ones, plus
+//   assets[key].file    File the asset is read from (GeoTIFF.fromBlob
+//                       — see ndvi.js); .sample its band in the file
+//   local: { bandKeys: { band → asset key }, scaling: { scale,
+//            offset, nodata } }
+//                       set by the user; replaces the sensor profile's
+//                       asset lookup and scaling (stac.js, sensors.js)
+// Assets with an absolute URL (e.g. a downloaded Planetary Computer
+// item on its own) are still read over the network.
+
+const TIFF = /\.tiff?$/i;
+
+// Aliases per common band name, matched against the tokens of a
+// file name or band description (…_B04_10m, …_SR_B4, "NIR", …).
+// Landsat 8/9 numbering — B4 is red there, NIR on Landsat 4–7.
+const ALIASES = {
+  blue:   ['blue', 'b2', 'b02'],
+  green:  ['green', 'b3', 'b03'],
+  red:    ['red', 'b4', 'b04'],
+  nir08:  ['nir', 'nir08', 'b5', 'b8', 'b08', 'b8a'],
+  swir16: ['swir1', 'swir16', 'b6', 'b11'],
+  swir22: ['swir2', 'swir22', 'b7', 'b12'],
+};
+
+// ── DETECT ────────────────────────────────────────────────
+// True when a drop holds GeoTIFFs or STAC items (rather than AOI
+// polygons, which are also JSON)
+export async function isLocalImagery(files) {
+  for (const file of files) {
+    if (TIFF.test(file.name)) return true;
+    if (/\.json$/i.test(file.name) && stacItems(await readJSON(file)).length) return true;
+  }
+  return false;
+}
+
+async function readJSON(file) {
+  try { return JSON.parse(await file.text()); } catch (_) { return null; }
+}
+
+// Item, or ItemCollection / FeatureCollection of items
+function stacItems(doc) {
+  const list = doc?.type === 'FeatureCollection' ? doc.features || [] : [doc];
+  return list.filter(f => f?.type === 'Feature' && f.assets && typeof f.assets === 'object');
+}
+
+// ── READ ──────────────────────────────────────────────────
+// One scene per STAC item (its assets matched to the dropped files
+// by name), and one more from the GeoTIFFs no item refers to.
+// Returns the scenes; throws when none can be made.
+export async function readLocalScenes(files) {
+  const tiffs = files.filter(f => TIFF.test(f.name));
+  const byName = new Map(tiffs.map(f => [f.name.toLowerCase(), f]));
+  const used = new Set();
+  const scenes = [];
+
+  for (const file of files.filter(f => /\.json$/i.test(f.name))) {
+    for (const item of stacItems(await readJSON(file))) scenes.push(itemScene(item, byName, used));
+  }
+  const rest = tiffs.filter(f => !used.has(f));
+  if (rest.length) scenes.push(await tiffScene(rest));
+  if (!scenes.length) throw new Error('Drop GeoTIFF files (.tif) or a STAC item JSON');
+  return scenes;
+}
+
+// File handle key: the same file dropped again reuses its open
+// GeoTIFF (ndvi.js keeps them per key)
+const fileKey = (file) => `local:${file.name}|${file.size}|${file.lastModified}`;
+
+function itemScene(item, byName, used) {
+  const assets = {};
+  const absent = [];
+  for (const [key, asset] of Object.entries(item.assets)) {
+    const href = asset.href || '';
+    const file = byName.get(href.split(/[?#]/)[0].split('/').pop().toLowerCase());
+    if (file) {
+      used.add(file);
+      assets[key] = { ...asset, href: fileKey(file), file, sample: 0 };
+    } else if (/^https?:\/\//i.test(href)) {
+      assets[key] = asset;
+    } else if (TIFF.test(href)) {
+      absent.push(key);
+    }
+  }
+  if (absent.length) console.warn(`[LOCAL] ${item.id}: no file dropped for ${absent.join(', ')}`);
+
+  const { keys } = resolveBandKeys(assets, BANDS, item.collection);
+  const band = assets[keys.red || keys.nir08]?.['raster:bands']?.[0];
+  const base = scalingFor(item);
+  return {
+    ...item, assets,
+    local: {
+      bandKeys: keys,
+      scaling: {
+        scale:  band?.scale  ?? base.scale,
+        offset: band?.offset ?? base.offset,
+        nodata: band?.nodata ?? base.nodata,
+      },
+    },
+  };
+}
+
+async function tiffScene(files) {
+  const assets = {};
+  const infos  = [];
+  for (const file of files) {
+    let info;
+    try {
+      info = await imageInfo({ file, key: fileKey(file), sample: 0 });
+    } catch (e) {
+      throw new Error(`${file.name}: ${e.message}`);
+    }
+    infos.push(info);
+    for (let k = 0; k < info.samples; k++) {
+      const key = info.samples > 1 ? `${file.name} #${k + 1}` : file.name;
+      assets[key] = {
+        href: fileKey(file), file, sample: k, type: 'image/tiff; application=geotiff',
+        title: info.names[k] || (info.samples > 1 ? `Band ${k + 1}` : file.name),
+      };
+    }
+  }
+
+  // Footprint of all files
+  const boxes = infos.map(i => gridBounds(i.grid));
+  const bbox  = [0, 1, 2, 3].map(j => (j < 2 ? Math.min : Math.max)(...boxes.map(b => b[j])));
+
+  const bandKeys = {};
+  for (const [key, asset] of Object.entries(assets)) {
+    const band = guessBand(asset.title) || guessBand(key.replace(TIFF, ''));
+    if (band && !bandKeys[band]) bandKeys[band] = key;
+  }
+
+  const landsat = Object.keys(assets).some(k => /sr_b\d/i.test(k));
+  const nodata  = infos[0].nodata;
+  return {
+    type: 'Feature', stac_version: '1.0.0',
+    id: sceneName(files), collection: 'local',
+    bbox, geometry: bboxToGeometry(bbox),
+    properties: { datetime: infos.find(i => i.datetime)?.datetime || null, platform: 'local' },   // TIFF DateTime tag
+    assets, links: [],
+    local: {
+      bandKeys,
+      scaling: landsat ? { ...C2L2_SCALING } : {
+        scale: infos[0].float ? 1 : 0.0001, offset: 0,
+        nodata: Number.isFinite(nodata) ? nodata : null,
+      },
+    },
+  };
+}
+
+function guessBand(label) {
+  const tokens = label.toLowerCase().split(/[^a-z0-9]+/);
+  if (tokens.includes('edge')) return null;   // red edge is not red
+  return BANDS.find(b => ALIASES[b].some(a => tokens.includes(a))) || null;
+}
+
+// Shared start of the file names (e.g. "LC09_L2SP_…_20240612_SR"
+// for …_SR_B4 and …_SR_B5), else the first name
+function sceneName(files) {
+  const names = files.map(f => f.name.replace(TIFF, ''));
+  let prefix = names[0];
+  for (const n of names) while (!n.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  if (names.some(n => n !== prefix)) prefix = prefix.replace(/[_\-. ][^_\-. ]*$/, '');   // whole tokens only
+  return prefix.length >= 4 ? prefix : names[0];
+}
+
+// ── FORM ──────────────────────────────────────────────────
+// Date, a band → asset select per common band name and the
+// scaling of the DN; inputs carry data-f, selects data-band
+export function renderLocalForm(el, scene) {
+  const { bandKeys, scaling } = scene.local;
+  const keys = Object.keys(scene.assets).filter(k => scene.assets[k].file || TIFF.test(scene.assets[k].href.split('?')[0]));
+  const label = (k) => {
+    const a = scene.assets[k];
+    return `${a.file ? '' : '☁ '}${k}${a.title && a.title !== k ? ` — ${a.title}` : ''}`;
+  };
+  const options = (band) => '<option value="">—</option>' + keys.map(k =>
+    `<option value="${esc(k)}" ${bandKeys[band] === k ? 'selected' : ''}>${esc(label(k))}</option>`).join('');
+  const num = (v) => v == null || Number.isNaN(v) ? '' : v;
+
+  el.innerHTML = `
+    <div class="field">
+      <label>DATE <span class="hint">for lists, series and composites</span></label>
+      <input type="date" data-f="date" value="${sceneInfo(scene).date}" />
+    </div>
+    <div class="field">
+      <label>BANDS <span class="hint">file · band</span></label>
+      ${BANDS.map(b => `
+        <div class="local-band">
+          <span>${b}</span>
+          <select data-band="${b}">${options(b)}</select>
+        </div>`).join('')}
+    </div>
+    <div class="local-scale">
+      <div class="field"><label>SCALE</label><input type="number" data-f="scale" step="any" value="${num(scaling.scale)}" /></div>
+      <div class="field"><label>OFFSET</label><input type="number" data-f="offset" step="any" value="${num(scaling.offset)}" /></div>
+      <div class="field"><label>NODATA</label><input type="number" data-f="nodata" step="any" placeholder="none" value="${num(scaling.nodata)}" /></div>
+    </div>`;
+}
+
+// Applies the form to the scene in place. Reflectance is
+// DN × scale + offset.
+export function applyLocalForm(el, scene) {
+  const val = (f) => el.querySelector(`[data-f="${f}"]`).value.trim();
+  const scale  = parseFloat(val('scale'));
+  const offset = parseFloat(val('offset') || '0');
+  if (!Number.isFinite(scale) || scale === 0) throw new Error('Scale must be a non-zero number');
+  if (!Number.isFinite(offset)) throw new Error('Offset must be a number');
+
+  const nodata = val('nodata') === '' ? null : parseFloat(val('nodata'));
+  scene.local = {
+    bandKeys: Object.fromEntries([...el.querySelectorAll('[data-band]')].map(s => [s.dataset.band, s.value || null])),
+    scaling: { scale, offset, nodata: Number.isFinite(nodata) ? nodata : null },
+  };
+  const date = val('date');
+  scene.properties = { ...scene.properties, datetime: date ? `${date}T00:00:00Z` : null };
+}
@@ -3,49 +3,81 @@
 // ══════════════════════════════════════════════════════════
 
 import { toast } from './ui.js';
+import { geometryBBox } from './aoi.js';
+import { projectorTo, gridBounds } from './grid.js';
+import { crsName } from './crs.js';
+import { colorLUT, isTransparent } from './ndvi.js';
+import { classColors } from './classes.js';
+
+const AOI_STYLE = { color: '#1a6faf', weight: 2, opacity: .9, fillOpacity: .06, dashArray: '6 4' };
+const FIELD_STYLE     = { color: '#ffffff', weight: 1.5, opacity: .9, fillOpacity: 0 };
+const FIELD_SEL_STYLE = { color: '#ffeb3b', weight: 3,   opacity: 1,  fillOpacity: .12 };
+
+// Shared with the printed report (report.js)
+export const BASEMAP = {
+  url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+  subdomains: 'abcd',
+  attribution: '© OpenStreetMap © CARTO',
+};
+export const AOI_COLOR = AOI_STYLE.color;
 
 let map, drawControl, drawnItems;
 let previewLayer  = null;
-let ndviLayer     = null;   // custom canvas overlay
+let ndviLayer     = null;   // tiled index layer (IndexTiles)
 let ndviTooltip   = null;   // hover tooltip div
+let fieldsLayer   = null;   // zonal-statistics field outlines
+let fieldLayers   = [];     // per field, by index in the loaded file
+let pinsLayer     = null;   // pinned inspection points
+let onRasterClick = null;
 
 // ── INIT ──────────────────────────────────────────────────
-export function initMap(onBBoxDrawn) {
+// onAOIDrawn({ bbox, geometry }) — geometry is a GeoJSON Polygon
+// onFilesDropped(FileList) — files dragged onto the map
+// onRasterClicked(latlng) — click on the index overlay
+export function initMap(onAOIDrawn, onFilesDropped, onRasterClicked = () => {}) {
   map = L.map('map', { center: [20, 0], zoom: 3 });
+  onRasterClick = onRasterClicked;
+  pinsLayer = L.layerGroup().addTo(map);
 
-  L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
-    attribution: '© OpenStreetMap © CARTO',
-    subdomains: 'abcd',
-    maxZoom: 19,
-  }).addTo(map);
+  basemap().addTo(map);
 
   drawnItems = new L.FeatureGroup().addTo(map);
 
   drawControl = new L.Control.Draw({
     draw: {
-      rectangle: {
-        shapeOptions: { color: '#1a6faf', weight: 2, opacity: .9, fillOpacity: .06, dashArray: '6 4' },
-      },
-      polyline: false, polygon: false, circle: false, circlemarker: false, marker: false,
+      rectangle: { shapeOptions: AOI_STYLE },
+      polygon:   { shapeOptions: AOI_STYLE, allowIntersection: false, showArea: true },
+      polyline: false, circle: false, circlemarker: false, marker: false,
     },
     edit: { featureGroup: drawnItems, remove: true },
   });
   map.addControl(drawControl);
 
-  // Forward drawn rectangle to callback
+  // Forward drawn rectangle / polygon to callback
   map.on(L.Draw.Event.CREATED, (e) => {
     drawnItems.clearLayers();
     drawnItems.addLayer(e.layer);
-    const b = e.layer.getBounds();
-    const bbox = [
-      +b.getWest().toFixed(6), +b.getSouth().toFixed(6),
-      +b.getEast().toFixed(6), +b.getNorth().toFixed(6),
-    ];
+    const geometry = e.layer.toGeoJSON().geometry;
     map.fitBounds(e.layer.getBounds(), { padding: [40, 40] });
-    onBBoxDrawn(bbox);
+    onAOIDrawn({ bbox: geometryBBox(geometry), geometry });
     toast('AOI defined — ready to search', 'success');
   });
 
+  // Drag & drop files (AOI polygons) onto the map
+  const wrap = document.getElementById('mapwrap');
+  wrap.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    wrap.classList.add('dragging');
+  });
+  wrap.addEventListener('dragleave', (e) => {
+    if (!wrap.contains(e.relatedTarget)) wrap.classList.remove('dragging');
+  });
+  wrap.addEventListener('drop', (e) => {
+    e.preventDefault();
+    wrap.classList.remove('dragging');
+    if (e.dataTransfer.files.length) onFilesDropped(e.dataTransfer.files);
+  });
+
   // Coordinate HUD
   map.on('mousemove', (e) => {
     const { lat, lng } = e.latlng;
@@ -60,10 +92,82 @@ export function initMap(onBBoxDrawn) {
   document.getElementById('mapwrap').appendChild(ndviTooltip);
 }
 
+// The Leaflet map, for modules that add their own layers
+export function getMap() {
+  return map;
+}
+
+export function basemap() {
+  return L.tileLayer(BASEMAP.url, { attribution: BASEMAP.attribution, subdomains: BASEMAP.subdomains, maxZoom: 19 });
+}
+
 // ── DRAW TRIGGER ──────────────────────────────────────────
-export function startDraw() {
-  new L.Draw.Rectangle(map, drawControl.options.draw.rectangle).enable();
-  toast('Drag a rectangle on the map', 'info');
+// shape: 'rectangle' | 'polygon'
+export function startDraw(shape = 'rectangle') {
+  if (shape === 'polygon') {
+    new L.Draw.Polygon(map, drawControl.options.draw.polygon).enable();
+    toast('Click to add vertices — click the first point to finish', 'info');
+  } else {
+    new L.Draw.Rectangle(map, drawControl.options.draw.rectangle).enable();
+    toast('Drag a rectangle on the map', 'info');
+  }
+}
+
+// ── IMPORTED AOI ──────────────────────────────────────────
+// Shows an AOI geometry that did not come from the draw tool
+export function showAOIGeometry(geometry) {
+  drawnItems.clearLayers();
+  L.geoJSON(geometry, { style: AOI_STYLE }).eachLayer(l => drawnItems.addLayer(l));
+  map.fitBounds(drawnItems.getBounds(), { padding: [40, 40] });
+}
+
+// ── FIELDS ────────────────────────────────────────────────
+// Outlines of the zonal-statistics fields, drawn above the index
+// overlay. onClick(k) receives the field's index in `features`.
+export function showFields(features, onClick) {
+  clearFields();
+  fieldsLayer = L.featureGroup().addTo(map);
+  fieldLayers = features.map((f, k) => {
+    const layer = L.geoJSON(f, { style: FIELD_STYLE }).addTo(fieldsLayer);
+    layer.on('click', (e) => { L.DomEvent.stopPropagation(e); onClick(k); });
+    // Keep the index hover tooltip working over the fields
+    layer.on('mousemove', (e) => ndviLayer?._hitLayer?.fire('mousemove', e));
+    layer.on('mouseout',  () => { if (ndviTooltip) ndviTooltip.style.display = 'none'; });
+    return layer;
+  });
+  map.fitBounds(fieldsLayer.getBounds(), { padding: [40, 40] });
+}
+
+// k: field index, or null to clear; fit pans / zooms to the field
+export function highlightField(k, fit = false) {
+  fieldLayers.forEach((l, i) => l.setStyle(i === k ? FIELD_SEL_STYLE : FIELD_STYLE));
+  const layer = fieldLayers[k];
+  if (!layer) return;
+  layer.bringToFront();
+  if (fit) map.fitBounds(layer.getBounds(), { padding: [60, 60], maxZoom: 17 });
+}
+
+export function clearFields() {
+  if (fieldsLayer) map.removeLayer(fieldsLayer);
+  fieldsLayer = null;
+  fieldLayers = [];
+}
+
+// ── PINS ──────────────────────────────────────────────────
+// Markers (in the marker pane, so above the overlay's hit layer)
+// labelled with the pin name; onClick(id)
+export function showPins(pins, onClick, selected = null) {
+  pinsLayer.clearLayers();
+  for (const pin of pins) {
+    const icon = L.divIcon({
+      className: `pin-marker${pin.id === selected ? ' sel' : ''}`,
+      html: '<i></i>', iconSize: [14, 14], iconAnchor: [7, 7],
+    });
+    L.marker([pin.lat, pin.lon], { icon, title: pin.name })
+      .bindTooltip(pin.name, { permanent: true, direction: 'right', offset: [8, 0], className: 'pin-label' })
+      .on('click', () => onClick(pin.id))
+      .addTo(pinsLayer);
+  }
 }
 
 // ── SCENE OUTLINE ─────────────────────────────────────────
@@ -78,59 +182,58 @@ export function highlightSceneBBox(bbox) {
 // ── PREVIEW IMAGE ─────────────────────────────────────────
 export function showPreviewImage(signedUrl, bbox) {
   clearPreviewLayer();
-  const [w, s, e, n] = bbox;
-  previewLayer = L.imageOverlay(signedUrl, [[s, w], [n, e]], {
-    opacity: .8, interactive: false,
-  }).addTo(map);
+  previewLayer = previewImageLayer(signedUrl, bbox).addTo(map);
+}
+
+export function previewImageLayer(signedUrl, [w, s, e, n], options = {}) {
+  return L.imageOverlay(signedUrl, [[s, w], [n, e]], { opacity: .8, interactive: false, ...options });
 }
 
 // ── NDVI OVERLAY WITH HOVER ───────────────────────────────
-// ndviArray: Float32Array of NDVI values  [-1..1, or NaN]
-// pixelW/pixelH: dimensions of that array
-// bbox: [west, south, east, north] in WGS84
-export function setNDVIOverlay(dataUrl, bbox, ndviArray, pixelW, pixelH) {
+// raster: { values, grid, cmap, range, label, format, classes }
+//   values: Float32Array of index values on the SOURCE grid
+//   grid:   source grid (see grid.js)
+//   range:  [lo, hi] spanned by the colormap
+//   label:  index name shown in the hover tooltip
+//   format: optional value → tooltip text (default 4 decimals)
+//   classes: optional class list (see classes.js) — each pixel
+//            takes its class colour instead of the colormap
+// Rendered as map tiles drawn on demand from the source grid, so
+// any zoom level shows the raster at screen resolution without
+// building one huge image; hover projects the cursor into the
+// source CRS with proj4 to look up the pixel.
+export function setNDVIOverlay({
+  values, grid, cmap, range = [-1, 1], label = 'NDVI', format = (v) => v.toFixed(4), classes = null,
+}) {
   // Remove old layer
-  if (ndviLayer) { map.removeLayer(ndviLayer); ndviLayer = null; }
+  removeNDVILayer();
 
-  const [west, south, east, north] = bbox;
-  const bounds = L.latLngBounds([[south, west], [north, east]]);
-
-  // Standard image overlay for rendering
-  ndviLayer = L.imageOverlay(dataUrl, bounds, { opacity: 0.85, interactive: false });
+  ndviLayer = indexTileLayer({ values, grid, cmap, range, classes });
   ndviLayer.addTo(map);
 
   // Invisible interaction layer on top for mouse events
-  const hitLayer = L.rectangle(bounds, {
+  const hitLayer = L.rectangle(rasterBounds(grid), {
     fillOpacity: 0,
     opacity: 0,
     interactive: true,
   }).addTo(map);
 
+  const valueAt = rasterSampler({ values, grid });
+
   hitLayer.on('mousemove', (e) => {
-    const lat = e.latlng.lat;
-    const lng = e.latlng.lng;
-
-    // Map lat/lng → pixel index in the ndviArray
-    const col = Math.floor((lng - west)  / (east  - west)  * pixelW);
-    const row = Math.floor((north - lat) / (north - south) * pixelH);
-
-    if (col >= 0 && col < pixelW && row >= 0 && row < pixelH) {
-      const val = ndviArray[row * pixelW + col];
-      const tip = ndviTooltip;
-
-      if (!isNaN(val)) {
-        tip.textContent = `NDVI: ${val.toFixed(4)}`;
-        tip.style.display = 'block';
-
-        // Position relative to mapwrap
-        const mapEl  = document.getElementById('mapwrap');
-        const rect   = mapEl.getBoundingClientRect();
-        const point  = map.latLngToContainerPoint(e.latlng);
-        tip.style.left = (point.x + 14) + 'px';
-        tip.style.top  = (point.y - 28) + 'px';
-      } else {
-        tip.style.display = 'none';
-      }
+    const val = valueAt(e.latlng);
+    const tip = ndviTooltip;
+
+    if (!isNaN(val)) {
+      tip.textContent = `${label}: ${format(val)}`;
+      tip.style.display = 'block';
+
+      // Position relative to mapwrap
+      const point = map.latLngToContainerPoint(e.latlng);
+      tip.style.left = (point.x + 14) + 'px';
+      tip.style.top  = (point.y - 28) + 'px';
+    } else {
+      tip.style.display = 'none';
     }
   });
 
@@ -138,8 +241,140 @@ export function setNDVIOverlay(dataUrl, bbox, ndviArray, pixelW, pixelH) {
     ndviTooltip.style.display = 'none';
   });
 
+  hitLayer.on('click', (e) => onRasterClick(e.latlng));
+
   // Store hitLayer ref so it gets removed on clear
   ndviLayer._hitLayer = hitLayer;
+
+  // Field outlines stay clickable above the hit layer
+  fieldsLayer?.bringToFront();
+}
+
+const rasterBounds = (grid) => {
+  const [west, south, east, north] = gridBounds(grid);
+  return L.latLngBounds([[south, west], [north, east]]);
+};
+
+// Tiled layer of a raster ({ values, grid, cmap, range, classes },
+// as for setNDVIOverlay); options go to the GridLayer (e.g. pane)
+export function indexTileLayer({ values, grid, cmap, range = [-1, 1], classes = null }, options = {}) {
+  return new IndexTiles({
+    bounds: rasterBounds(grid), opacity: 0.85, interactive: false, ...options,
+    raster: {
+      values, grid, range,
+      lut:   colorLUT(cmap),
+      clear: !classes && cmap?.transparent?.length ? cmap : null,
+      classes: classes && { breaks: classes.slice(0, -1).map(c => c.max), rgb: classColors(classes) },
+      toSrc: proj4('EPSG:3857', crsName(grid.epsg)),
+    },
+  });
+}
+
+// latlng → value of the source pixel under it (NaN off the raster):
+// lon/lat → source CRS → pixel in the value array
+export function rasterSampler({ values, grid }) {
+  const toCRS = projectorTo(grid.epsg);
+  return ({ lat, lng }) => {
+    const [x, y] = toCRS([lng, lat]);
+    const col = Math.floor((x - grid.x0) / grid.dx);
+    const row = Math.floor((y - grid.y0) / grid.dy);
+    return col >= 0 && col < grid.width && row >= 0 && row < grid.height
+      ? values[row * grid.width + col] : NaN;
+  };
+}
+
+// Hides / restores the index and preview overlays (while the
+// compare view shows its own layers)
+export function setOverlaysVisible(show) {
+  for (const layer of [ndviLayer, ndviLayer?._hitLayer, previewLayer]) {
+    if (!layer) continue;
+    if (show) layer.addTo(map);
+    else map.removeLayer(layer);
+  }
+  fieldsLayer?.bringToFront();
+}
+
+// ── INDEX TILES ───────────────────────────────────────────
+// Each 256 px map tile samples the source raster directly: a
+// lattice of tile points (every 16 px) is projected from Web
+// Mercator into the source CRS and interpolated in between, then
+// each pixel takes the nearest source value.
+const MERC_HALF = Math.PI * 6378137;
+const LATTICE   = 16;
+
+const IndexTiles = L.GridLayer.extend({
+  createTile(coords) {
+    const size   = this.getTileSize();
+    const canvas = L.DomUtil.create('canvas', 'leaflet-tile');
+    canvas.width  = size.x;
+    canvas.height = size.y;
+    drawIndexTile(canvas, coords, this.options.raster);
+    return canvas;
+  },
+});
+
+function drawIndexTile(canvas, coords, { values, grid, range, lut, clear, classes, toSrc }) {
+  const W = canvas.width, H = canvas.height;
+  const world = W * Math.pow(2, coords.z);     // map size in px at this zoom
+  const [lo, hi] = range;
+
+  // Lattice of fractional source col/row
+  const nx = W / LATTICE + 1, ny = H / LATTICE + 1;
+  const fc = new Float64Array(nx * ny);
+  const fr = new Float64Array(nx * ny);
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const mx = ((coords.x * W + i * LATTICE) / world) * 2 * MERC_HALF - MERC_HALF;
+      const my = MERC_HALF - ((coords.y * H + j * LATTICE) / world) * 2 * MERC_HALF;
+      const [x, y] = toSrc.forward([mx, my]);
+      fc[j * nx + i] = (x - grid.x0) / grid.dx;
+      fr[j * nx + i] = (y - grid.y0) / grid.dy;
+    }
+  }
+
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(W, H);
+  const px  = img.data;
+  const n   = lut.length / 3 - 1;
+
+  for (let y = 0; y < H; y++) {
+    const j = Math.min(ny - 2, Math.floor(y / LATTICE));
+    const v = (y + 0.5 - j * LATTICE) / LATTICE;
+    for (let x = 0; x < W; x++) {
+      const i = Math.min(nx - 2, Math.floor(x / LATTICE));
+      const u = (x + 0.5 - i * LATTICE) / LATTICE;
+      const k = j * nx + i;
+      const c = Math.floor((fc[k] * (1 - u) + fc[k + 1] * u) * (1 - v) + (fc[k + nx] * (1 - u) + fc[k + nx + 1] * u) * v);
+      const r = Math.floor((fr[k] * (1 - u) + fr[k + 1] * u) * (1 - v) + (fr[k + nx] * (1 - u) + fr[k + nx + 1] * u) * v);
+      if (c < 0 || r < 0 || c >= grid.width || r >= grid.height) continue;
+
+      const val = values[r * grid.width + c];
+      if (isNaN(val) || (clear && isTransparent(clear, val))) continue;   // transparent for nodata pixels
+      let rgb = lut, t;
+      if (classes) {
+        let k = 0;
+        while (k < classes.breaks.length && val >= classes.breaks[k]) k++;
+        rgb = classes.rgb;
+        t   = k * 3;
+      } else {
+        t = Math.round(Math.max(0, Math.min(1, (val - lo) / (hi - lo))) * n) * 3;
+      }
+      const o = (y * W + x) * 4;
+      px[o]     = rgb[t];
+      px[o + 1] = rgb[t + 1];
+      px[o + 2] = rgb[t + 2];
+      px[o + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(img, 0, 0);
+}
+
+function removeNDVILayer() {
+  if (!ndviLayer) return;
+  if (ndviLayer._hitLayer) map.removeLayer(ndviLayer._hitLayer);
+  map.removeLayer(ndviLayer);
+  ndviLayer = null;
 }
 
 // ── CLEAR ─────────────────────────────────────────────────
@@ -150,10 +385,8 @@ function clearPreviewLayer() {
 export function clearMapLayers() {
   drawnItems.clearLayers();
   clearPreviewLayer();
-  if (ndviLayer) {
-    if (ndviLayer._hitLayer) map.removeLayer(ndviLayer._hitLayer);
-    map.removeLayer(ndviLayer);
-    ndviLayer = null;
-  }
+  removeNDVILayer();
+  clearFields();
+  pinsLayer.clearLayers();
   if (ndviTooltip) ndviTooltip.style.display = 'none';
 }
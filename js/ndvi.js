@@ -1,20 +1,122 @@
 // ══════════════════════════════════════════════════════════
-//  ndvi.js — COG reader (GeoTIFF.js) + NDVI computation
+//  ndvi.js — COG reader (GeoTIFF.js) + index computation
 //            + canvas rendering + colormaps
 // ══════════════════════════════════════════════════════════
 
-// ── COG WINDOW READER ─────────────────────────────────────
+import { sameGrid, warpToGrid, utmGrid } from './grid.js';
+import { crsFromGeoKeys, crsName } from './crs.js';
+import { request, abortable } from './requests.js';
+
+// ── COG ACCESS ────────────────────────────────────────────
+// A source is a COG URL, or a file opened from disk —
+// { file, key, sample } (see local.js), read with GeoTIFF.fromBlob;
+// `sample` picks the band of a multi-band file.
+// Opened files are kept per URL / key (and per thread), so reading
+// an AOI tile by tile fetches each header only once. A URL's entry
+// also keys on the request headers: after the source's auth header
+// changes, the file is opened again with the new one. A cancelled
+// caller stops waiting for the header; others may still share it.
+// URLs are read through the request queue (requests.js).
+const MAX_OPEN = 24;
+const openTiffs = new Map();   // key → Promise<{ tiff, image, overviews }>
+
+const headerKey = (headers = {}) =>
+  JSON.stringify(Object.entries(headers).sort(([a], [b]) => a.localeCompare(b)));
+
+function openTiff(src, headers) {
+  const key = typeof src === 'string' ? `${src} ${headerKey(headers)}` : src.key;
+  if (!openTiffs.has(key)) {
+    if (openTiffs.size >= MAX_OPEN) openTiffs.delete(openTiffs.keys().next().value);
+    const tiff = typeof src === 'string'
+      ? GeoTIFF.fromCustomClient(cogClient(src), { allowFullFile: false, headers })
+      : GeoTIFF.fromBlob(src.file);
+    openTiffs.set(key, tiff
+      .then(async t => ({ tiff: t, image: await t.getImage(), overviews: null }))
+      .catch(e => { openTiffs.delete(key); throw e; }));
+  }
+  return openTiffs.get(key);
+}
+
+async function openImage(src, headers, signal = null) {
+  return (await abortable(openTiff(src, headers), signal)).image;
+}
+
+// Reduced-resolution images of the file (COG overviews), finest
+// first; transparency masks are left out. Listed once per file.
+async function openOverviews(src, headers, signal = null) {
+  const open = await abortable(openTiff(src, headers), signal);
+  open.overviews = open.overviews || (async () => {
+    const list = [];
+    const count = await open.tiff.getImageCount();
+    for (let i = 1; i < count; i++) {
+      const ov = await open.tiff.getImage(i);
+      if (!(ov.fileDirectory.NewSubfileType & 4)) list.push(ov);
+    }
+    return list.sort((a, b) => b.getWidth() - a.getWidth());
+  })().catch(() => []);   // unreadable overviews → full resolution
+  return abortable(open.overviews, signal);
+}
+
+// GeoTIFF.js client (the BaseClient / BaseResponse interface) whose
+// range reads go through the shared queue — concurrency, 429
+// backoff and byte counts then cover COG reads too
+function cogClient(url) {
+  return {
+    url,
+    async request({ headers, signal } = {}) {
+      const res = await request(url, { headers, as: 'buffer' }, signal);
+      return {
+        status:    res.status,
+        ok:        res.ok,
+        getHeader: (name) => res.headers[name.toLowerCase()],
+        getData:   async () => res.data,
+      };
+    },
+  };
+}
+
+// Georeferencing and layout of a whole image: { grid, samples,
+// float, nodata, names, datetime } — grid as in grid.js, names the
+// band descriptions (GDAL metadata, or null), nodata the GDAL_NODATA
+// value (or null), datetime the TIFF DateTime tag as ISO (or null).
+// Throws when the file has no geotransform or no usable CRS.
+export async function imageInfo(src, { headers = {}, signal = null } = {}) {
+  const image = await openImage(src, headers, signal);
+  let origin, res;
+  try {
+    origin = image.getOrigin();
+    res    = image.getResolution();
+  } catch (_) {
+    throw new Error('not a georeferenced GeoTIFF');
+  }
+  const samples = image.getSamplesPerPixel();
+  const stamp   = /^(\d{4}):(\d\d):(\d\d) (\d\d:\d\d:\d\d)/.exec(image.fileDirectory.DateTime || '');
+  return {
+    grid: {
+      epsg: imageCRS(image), x0: origin[0], y0: origin[1], dx: res[0], dy: res[1],
+      width: image.getWidth(), height: image.getHeight(),
+    },
+    samples,
+    float:    image.getSampleFormat() === 3,
+    nodata:   image.getGDALNoData(),
+    names:    Array.from({ length: samples }, (_, k) => image.getGDALMetadata(k)?.DESCRIPTION || null),
+    datetime: stamp ? `${stamp[1]}-${stamp[2]}-${stamp[3]}T${stamp[4]}Z` : null,
+  };
+}
+
+// ── AOI WINDOW GRID ───────────────────────────────────────
 // Strategy:
 //   1. Open COG, read image metadata (geotransform + CRS)
 //   2. Reproject WGS84 AOI corners → image CRS (UTM) with proj4
 //   3. Convert UTM coords → pixel row/col using the geotransform
 //   4. Clamp pixel window to image bounds
-//   5. Read ONLY those pixels with readRasters({ window })
 //
-// This guarantees the raster data is exactly the AOI — nothing more.
-export async function readCOGWindow(url, bboxWGS84) {
-  const tiff  = await GeoTIFF.fromUrl(url, { allowFullFile: false });
-  const image = await tiff.getImage();
+// Returns the grid of that window (see grid.js) at native
+// resolution — or coarser so the long side stays ≤ maxSize —
+// or null when the AOI misses the image. Pixels are read later,
+// tile by tile, with readCOGOnGrid().
+export async function cogWindowGrid(src, bboxWGS84, { headers = {}, maxSize = null, signal = null } = {}) {
+  const image = await openImage(src, headers, signal);
 
   // ── Geotransform ──────────────────────────────────────────
   // getTiePoints / getResolution give us the affine transform:
@@ -24,7 +126,7 @@ export async function readCOGWindow(url, bboxWGS84) {
   const [xRes, yRes]       = image.getResolution();  // yRes < 0
   const fullW = image.getWidth();
   const fullH = image.getHeight();
-  const epsg  = getEPSG(image);
+  const epsg  = imageCRS(image);
 
   console.info(`[COG] EPSG:${epsg} | origin:(${originX.toFixed(0)},${originY.toFixed(0)}) | res:(${xRes.toFixed(1)},${yRes.toFixed(1)}) | size:${fullW}×${fullH}`);
 
@@ -37,7 +139,7 @@ export async function readCOGWindow(url, bboxWGS84) {
     utmCoords = { xmin: west, ymin: south, xmax: east, ymax: north };
   } else {
     const from = 'EPSG:4326';
-    const to   = `EPSG:${epsg}`;
+    const to   = crsName(epsg);
     // Project all 4 corners to handle non-rectangular distortion
     const pts = [
       proj4(from, to, [west,  south]),
@@ -53,150 +155,368 @@ export async function readCOGWindow(url, bboxWGS84) {
     };
   }
 
-  console.info(`[COG] AOI in EPSG:${epsg}: xmin=${utmCoords.xmin.toFixed(0)} ymin=${utmCoords.ymin.toFixed(0)} xmax=${utmCoords.xmax.toFixed(0)} ymax=${utmCoords.ymax.toFixed(0)}`);
-
-  // ── Convert UTM coords → pixel col/row ────────────────────
+  // ── Convert UTM coords → pixel col/row, clamp ─────────────
   // col = (X - originX) / xRes
   // row = (Y - originY) / yRes   (yRes negative → larger Y = smaller row)
-  let col0 = Math.floor((utmCoords.xmin - originX) / xRes);
-  let row0 = Math.floor((utmCoords.ymax - originY) / yRes);   // north → top row
-  let col1 = Math.ceil( (utmCoords.xmax - originX) / xRes);
-  let row1 = Math.ceil( (utmCoords.ymin - originY) / yRes);   // south → bottom row
-
-  console.info(`[COG] Raw pixel window: col ${col0}→${col1}  row ${row0}→${row1}`);
-
-  // ── Clamp to image bounds ─────────────────────────────────
-  col0 = Math.max(0, col0);
-  row0 = Math.max(0, row0);
-  col1 = Math.min(fullW, col1);
-  row1 = Math.min(fullH, row1);
+  const col0 = Math.max(0,     Math.floor((utmCoords.xmin - originX) / xRes));
+  const row0 = Math.max(0,     Math.floor((utmCoords.ymax - originY) / yRes));   // north → top row
+  const col1 = Math.min(fullW, Math.ceil( (utmCoords.xmax - originX) / xRes));
+  const row1 = Math.min(fullH, Math.ceil( (utmCoords.ymin - originY) / yRes));   // south → bottom row
 
   if (col1 <= col0 || row1 <= row0) {
     console.warn('[COG] AOI does not intersect this image tile.');
     return null;   // caller must handle null
   }
 
-  console.info(`[COG] Clamped pixel window: col ${col0}→${col1}  row ${row0}→${row1}  (${col1-col0}×${row1-row0} px)`);
+  // A CRS given as a proj4 string (user-defined, or geographic
+  // other than WGS84 — see crs.js) is only read from: the result
+  // goes on a UTM grid, which areas, exports and reports handle
+  if (typeof epsg !== 'number') {
+    const metres = /\+proj=longlat/.test(epsg) ? Math.abs(xRes) * 111320 : Math.abs(xRes);
+    return utmGrid(bboxWGS84, metres, maxSize);
+  }
 
-  // ── Compute output size (cap at 1024, preserve aspect) ────
+  // ── Output size (native, or capped at maxSize) ────────────
   const winW  = col1 - col0;
   const winH  = row1 - row0;
-  const scale = Math.min(1, 1024 / Math.max(winW, winH));
+  const scale = maxSize ? Math.min(1, maxSize / Math.max(winW, winH)) : 1;
   const outW  = Math.max(1, Math.round(winW * scale));
   const outH  = Math.max(1, Math.round(winH * scale));
 
-  console.info(`[COG] Output size: ${outW}×${outH}`);
+  console.info(`[COG] Window: col ${col0}→${col1}  row ${row0}→${row1}  (${winW}×${winH} px) → grid ${outW}×${outH}`);
+
+  return {
+    epsg,
+    x0: originX + col0 * xRes,
+    y0: originY + row0 * yRes,
+    dx: xRes * winW / outW,
+    dy: yRes * winH / outH,
+    width: outW, height: outH,
+  };
+}
+
+// ── READ ONTO A GRID ──────────────────────────────────────
+// Reads the part of a source (see COG ACCESS) that covers `grid`
+// (any CRS) and resamples it onto the grid. Only the pixel window under the
+// grid is requested, from the coarsest overview still at least as
+// fine as the grid's pixel size (full resolution when there is
+// none). Returns { data, width, height, grid, missing } —
+// `missing` (or null) flags grid pixels the image does not
+// cover; data is null when none is covered. An aborted `signal`
+// cancels the range requests (AbortError).
+export async function readCOGOnGrid(src, grid, { headers = {}, signal = null } = {}) {
+  const image = await openImage(src, headers, signal);
+  const [originX, originY] = image.getOrigin();
+  const [xRes, yRes]       = image.getResolution();
+  const epsg  = imageCRS(image);
+  const { width, height } = grid;
+
+  // Grid footprint in the image CRS (edges densified when reprojecting)
+  const [xmin, ymin, xmax, ymax] = gridExtent(grid, epsg);
+  const col0 = Math.max(0, Math.floor((xmin - originX) / xRes + 1e-6));
+  const row0 = Math.max(0, Math.floor((ymax - originY) / yRes + 1e-6));
+  const col1 = Math.min(image.getWidth(),  Math.ceil((xmax - originX) / xRes - 1e-6));
+  const row1 = Math.min(image.getHeight(), Math.ceil((ymin - originY) / yRes - 1e-6));
+
+  if (col1 <= col0 || row1 <= row0) {
+    return { data: null, width, height, grid, missing: new Uint8Array(width * height).fill(1) };
+  }
+
+  // Image pixels per grid pixel → overview to read from (rx, ry:
+  // full-resolution pixels per pixel of the image read)
+  const step = Math.min((xmax - xmin) / Math.abs(xRes) / width, (ymax - ymin) / Math.abs(yRes) / height);
+  let level = image, rx = 1, ry = 1;
+  if (step >= 2) {
+    for (const ov of await openOverviews(src, headers, signal)) {
+      const fx = image.getWidth() / ov.getWidth();
+      const fy = image.getHeight() / ov.getHeight();
+      if (Math.max(fx, fy) > step * (1 + 1e-6)) break;
+      level = ov; rx = fx; ry = fy;
+    }
+  }
+  const c0 = Math.floor(col0 / rx + 1e-6);
+  const r0 = Math.floor(row0 / ry + 1e-6);
+  const c1 = Math.min(level.getWidth(),  Math.ceil(col1 / rx - 1e-6));
+  const r1 = Math.min(level.getHeight(), Math.ceil(row1 / ry - 1e-6));
+
+  // Never read finer than the target grid needs
+  const winW  = c1 - c0;
+  const winH  = r1 - r0;
+  const scale = epsg === grid.epsg ? Math.min(1, Math.abs(xRes * rx / grid.dx)) : 1;
+  const outW  = Math.max(1, Math.round(winW * scale));
+  const outH  = Math.max(1, Math.round(winH * scale));
 
-  // ── Read ONLY the pixel window ────────────────────────────
   // `window` is [left, top, right, bottom] in pixel coordinates
-  const rasters = await image.readRasters({
-    window:      [col0, row0, col1, row1],
-    width:       outW,
-    height:      outH,
-    interleave:  false,
+  const rasters = await level.readRasters({
+    window: [c0, r0, c1, r1], width: outW, height: outH, interleave: false,
+    samples: [src.sample || 0], signal,
   });
+  const winGrid = {
+    epsg,
+    x0: originX + c0 * rx * xRes,
+    y0: originY + r0 * ry * yRes,
+    dx: xRes * rx * winW / outW,
+    dy: yRes * ry * winH / outH,
+    width: outW, height: outH,
+  };
 
-  return { data: rasters[0], width: outW, height: outH };
+  if (sameGrid(winGrid, grid)) return { data: rasters[0], width, height, grid, missing: null };
+  const { data, missing } = warpToGrid(rasters[0], winGrid, grid);
+  return { data, width, height, grid, missing };
 }
 
-// ── EXTRACT EPSG FROM GEOTIFF GEOKEYS ────────────────────
-function getEPSG(image) {
-  try {
-    const geoKeys = image.fileDirectory.GeoKeyDirectory || [];
-    for (let i = 4; i < geoKeys.length; i += 4) {
-      const keyId = geoKeys[i];
-      const val   = geoKeys[i + 3];
-      if (keyId === 3072 && val > 0) return val;  // ProjectedCSTypeGeoKey
-      if (keyId === 2048 && val > 0) return val;  // GeographicTypeGeoKey
+// [xmin, ymin, xmax, ymax] of a grid in another CRS
+function gridExtent(grid, epsg) {
+  const x1 = grid.x0 + grid.width * grid.dx;
+  const y1 = grid.y0 + grid.height * grid.dy;
+  if (epsg === grid.epsg) {
+    return [Math.min(grid.x0, x1), Math.min(grid.y0, y1), Math.max(grid.x0, x1), Math.max(grid.y0, y1)];
+  }
+  const conv = proj4(crsName(grid.epsg), crsName(epsg));
+  let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+  const STEPS = 8;
+  for (let k = 0; k <= STEPS; k++) {
+    const f = k / STEPS;
+    const xf = grid.x0 + (x1 - grid.x0) * f;
+    const yf = grid.y0 + (y1 - grid.y0) * f;
+    for (const p of [[xf, grid.y0], [xf, y1], [grid.x0, yf], [x1, yf]]) {
+      const [x, y] = conv.forward(p);
+      if (x < xmin) xmin = x;
+      if (x > xmax) xmax = x;
+      if (y < ymin) ymin = y;
+      if (y > ymax) ymax = y;
     }
-  } catch (_) {}
-  return 32601; // safe fallback (UTM zone 1N) — proj4 will handle it
+  }
+  return [xmin, ymin, xmax, ymax];
+}
+
+// ── CRS FROM GEOTIFF GEOKEYS ──────────────────────────────
+// EPSG code or proj4 string (see crs.js); throws when the file
+// has no CRS, rather than guessing one
+function imageCRS(image) {
+  return crsFromGeoKeys(image.getGeoKeys());
 }
 
-// ── NDVI COMPUTATION ──────────────────────────────────────
-// Applies Landsat C2L2 scale factor and computes NDVI
-// Returns Float32Array + statistics
-export function computeNDVIArray(redData, nirData) {
-  const width  = Math.min(redData.width,  nirData.width);
-  const height = Math.min(redData.height, nirData.height);
-  const red = redData.data;
-  const nir = nirData.data;
+// ── REFLECTANCE SCALING ───────────────────────────────────
+// scaling: { scale, offset, nodata } from sensors.js scalingFor()
+// Defaults to Landsat Collection 2 Level-2
+export const C2L2_SCALING = { scale: 0.0000275, offset: -0.2, nodata: 0 };
+
+// Surface reflectance (unclamped) of one band; nodata pixels and
+// pixels flagged in mask/outside become NaN — used for exporting
+// the index inputs
+export function scaleBand(bandData, mask = null, outside = null, scaling = C2L2_SCALING) {
+  const { scale, offset, nodata } = scaling;
+  const out = new Float32Array(bandData.width * bandData.height);
+  for (let i = 0; i < out.length; i++) {
+    const dn = bandData.data[i];
+    out[i] = (mask && mask[i]) || (outside && outside[i]) || dn === nodata ? NaN : dn * scale + offset;
+  }
+  return out;
+}
 
-  // Landsat Collection 2 Level-2 reflectance scale
-  const SCALE = 0.0000275;
-  const OFFSET = -0.2;
+// ── INDEX COMPUTATION ─────────────────────────────────────
+// Applies the sensor's reflectance scaling and evaluates a
+// compiled spectral index (see indices.js) pixel by pixel
+// bandData: { [commonName]: { data, width, height } } — must
+//           hold every band listed in index.bands
+// mask: optional Uint8Array (1 = masked) from buildQAMask —
+//       masked pixels become NaN and are left out of the stats
+// outside: optional Uint8Array (1 = outside the AOI polygon) —
+//       also NaN, and not counted in the valid-pixel percentage
+// scaling: { scale, offset, nodata } — a nodata DN in any input
+//       band makes the pixel NaN
+// Returns { values, width, height } — statistics come from
+// indexStats once the tiles are assembled
+export function computeIndexArray(bandData, index, mask = null, outside = null, scaling = C2L2_SCALING) {
+  const { scale, offset, nodata } = scaling;
+  const inputs = index.bands.map(b => bandData[b]);
+  const width  = Math.min(...inputs.map(d => d.width));
+  const height = Math.min(...inputs.map(d => d.height));
+  const arrays = inputs.map(d => d.data);
+  const nb     = arrays.length;
 
-  const ndvi = new Float32Array(width * height);
-  let sum = 0, cnt = 0, veg = 0;
-  let minV =  Infinity;
-  let maxV = -Infinity;
+  const values = new Float32Array(width * height);
+  const refl   = new Array(nb);
 
   for (let i = 0; i < width * height; i++) {
-    const r = Math.max(0, Math.min(1, red[i] * SCALE + OFFSET));
-    const n = Math.max(0, Math.min(1, nir[i] * SCALE + OFFSET));
-    const denom = n + r;
-    const v = denom > 0 ? (n - r) / denom : NaN;
-    ndvi[i] = v;
-
-    if (!isNaN(v)) {
-      sum += v; cnt++;
-      if (v < minV) minV = v;
-      if (v > maxV) maxV = v;
-      if (v > 0.3)  veg++;
+    if ((outside && outside[i]) || (mask && mask[i])) { values[i] = NaN; continue; }
+
+    let hasNodata = false;
+    for (let b = 0; b < nb; b++) {
+      const dn = arrays[b][i];
+      if (dn === nodata) hasNodata = true;
+      refl[b] = Math.max(0, Math.min(1, dn * scale + offset));
     }
+    if (hasNodata) { values[i] = NaN; continue; }
+    const raw = index.evaluate(refl);
+    values[i] = Number.isFinite(raw) ? raw : NaN;
+  }
+
+  return { values, width, height };
+}
+
+// ── INDEX STATISTICS ──────────────────────────────────────
+// min / mean / max / std and p10 / p50 / p90 of the valid pixels,
+// share above the index's cover threshold (vegPct) and share of
+// in-AOI pixels that are valid — computed once over the whole
+// raster, after the tiles have been assembled
+export function indexStats(values, outside = null, index = {}) {
+  const threshold = index.cover ? index.cover.threshold : null;
+  const valid = new Float32Array(values.length);
+  let sum = 0, cnt = 0, above = 0, inAOI = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    if (outside && outside[i]) continue;
+    inAOI++;
+    const v = values[i];
+    if (isNaN(v)) continue;
+    valid[cnt++] = v;
+    sum += v;
+    if (threshold !== null && v > threshold) above++;
   }
 
-  const mean   = cnt > 0 ? sum / cnt : 0;
-  const vegPct = cnt > 0 ? (veg / cnt * 100) : 0;
+  const sorted = valid.subarray(0, cnt).sort();
+  const mean   = cnt > 0 ? sum / cnt : NaN;
+  let sq = 0;
+  for (let i = 0; i < cnt; i++) sq += (sorted[i] - mean) ** 2;
 
   return {
-    ndvi, width, height,
-    stats: { min: minV, mean, max: maxV, vegPct },
+    count:    cnt,
+    min:      cnt > 0 ? sorted[0] : NaN,
+    mean,
+    max:      cnt > 0 ? sorted[cnt - 1] : NaN,
+    std:      cnt > 0 ? Math.sqrt(sq / cnt) : NaN,
+    p10:      percentile(sorted, 10),
+    p50:      percentile(sorted, 50),
+    p90:      percentile(sorted, 90),
+    vegPct:   cnt > 0 && threshold !== null ? (above / cnt * 100) : NaN,
+    validPct: inAOI > 0 ? (cnt / inAOI * 100) : 0,
   };
 }
 
+// ── DISTRIBUTION SUMMARY ──────────────────────────────────
+// Mean, std and percentiles of the valid (non-NaN) values
+export function summarize(values) {
+  const valid = new Float32Array(values.length);
+  let n = 0, sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (!isNaN(v)) { valid[n++] = v; sum += v; }
+  }
+  if (!n) {
+    return { count: 0, mean: NaN, std: NaN, min: NaN, max: NaN,
+             p10: NaN, p25: NaN, median: NaN, p75: NaN, p90: NaN };
+  }
+
+  const sorted = valid.subarray(0, n).sort();
+  const mean   = sum / n;
+  let sq = 0;
+  for (let i = 0; i < n; i++) sq += (sorted[i] - mean) ** 2;
+
+  return {
+    count:  n,
+    mean,
+    std:    Math.sqrt(sq / n),
+    min:    sorted[0],
+    max:    sorted[n - 1],
+    p10:    percentile(sorted, 10),
+    p25:    percentile(sorted, 25),
+    median: percentile(sorted, 50),
+    p75:    percentile(sorted, 75),
+    p90:    percentile(sorted, 90),
+  };
+}
+
+// Linear interpolation between closest ranks; `sorted` ascending
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * p / 100;
+  const lo  = Math.floor(pos);
+  const hi  = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
 // ── CANVAS RENDERER ───────────────────────────────────────
-// Paints NDVI Float32Array onto a <canvas> element
-export function renderNDVIToCanvas(canvasEl, ndvi, width, height, colormapName) {
+// Paints an index Float32Array onto a <canvas> element
+// cmap: colormap name or palette object (see applyColormap)
+// range: [lo, hi] value span stretched over the colormap
+// colorOf: optional value → [r, g, b] replacing the colormap
+// (classified rendering, see classes.js)
+export function renderNDVIToCanvas(canvasEl, ndvi, width, height, cmap, range = [-1, 1], colorOf = null) {
+  const [lo, hi] = range;
   canvasEl.width  = width;
   canvasEl.height = height;
   const ctx     = canvasEl.getContext('2d');
   const imgData = ctx.createImageData(width, height);
+  const lut     = colorOf ? null : colorLUT(cmap);
+  const n       = 255;
 
   for (let i = 0; i < width * height; i++) {
     const v = ndvi[i];
-    let r = 30, g = 30, b = 30, a = 255;
-    if (!isNaN(v)) {
-      // Normalize NDVI [-1, 1] → [0, 1]
-      const t = Math.max(0, Math.min(1, (v + 1) / 2));
-      [r, g, b] = applyColormap(t, colormapName);
+    // nodata pixels and the palette's transparent ranges stay clear
+    if (isNaN(v) || (!colorOf && isTransparent(cmap, v))) continue;
+    let r, g, b;
+    if (colorOf) {
+      [r, g, b] = colorOf(v);
     } else {
-      a = 0; // transparent for nodata pixels
+      // Normalize [lo, hi] → [0, 1]
+      const k = Math.round(Math.max(0, Math.min(1, (v - lo) / (hi - lo))) * n) * 3;
+      r = lut[k]; g = lut[k + 1]; b = lut[k + 2];
     }
     imgData.data[i * 4 + 0] = r;
     imgData.data[i * 4 + 1] = g;
     imgData.data[i * 4 + 2] = b;
-    imgData.data[i * 4 + 3] = a;
+    imgData.data[i * 4 + 3] = 255;
   }
 
   ctx.putImageData(imgData, 0, 0);
 }
 
+// ── COLOUR LOOKUP TABLE ───────────────────────────────────
+// n RGB triplets sampled evenly along a colormap — per-pixel
+// colouring without re-interpolating stops
+export function colorLUT(cmap, n = 256) {
+  const lut = new Uint8Array(n * 3);
+  for (let k = 0; k < n; k++) lut.set(applyColormap(k / (n - 1), cmap), k * 3);
+  return lut;
+}
+
 // ── COLORMAPS (exported for legend) ───────────────────────
-export function applyColormap(t, name) {
-  switch (name) {
-    case 'greens':
-      return interp(t, [[247,252,245],[0,109,44]]);
-    case 'viridis':
-      return interp(t, [[68,1,84],[59,82,139],[33,145,140],[94,201,98],[253,231,37]]);
-    case 'spectral':
-      return interp(t, [[158,1,66],[213,62,79],[253,174,97],[255,255,191],[171,221,164],[43,131,186],[94,79,162]]);
-    case 'ylgn':
-      return interp(t, [[255,255,229],[120,198,121],[0,104,55]]);
-    case 'rdylgn':
-    default:
-      return interp(t, [[165,0,38],[215,48,39],[244,109,67],[253,174,97],[254,224,139],[255,255,191],[217,239,139],[166,217,106],[102,189,99],[26,152,80],[0,104,55]]);
-  }
+// Built-in colormaps as evenly spaced RGB stops
+const COLORMAPS = {
+  rdylgn:   [[165,0,38],[215,48,39],[244,109,67],[253,174,97],[254,224,139],[255,255,191],[217,239,139],[166,217,106],[102,189,99],[26,152,80],[0,104,55]],
+  greens:   [[247,252,245],[0,109,44]],
+  viridis:  [[68,1,84],[59,82,139],[33,145,140],[94,201,98],[253,231,37]],
+  spectral: [[158,1,66],[213,62,79],[253,174,97],[255,255,191],[171,221,164],[43,131,186],[94,79,162]],
+  ylgn:     [[255,255,229],[120,198,121],[0,104,55]],
+  // Diverging — centred on the middle of the range (change maps)
+  brbg:     [[84,48,5],[140,81,10],[191,129,45],[223,194,125],[246,232,195],[245,245,245],[199,234,229],[128,205,193],[53,151,143],[1,102,94],[0,60,48]],
+  rdbu:     [[103,0,31],[178,24,43],[214,96,77],[244,165,130],[253,219,199],[247,247,247],[209,229,240],[146,197,222],[67,147,195],[33,102,172],[5,48,97]],
+};
+
+// Stops of a built-in colormap (rdylgn for unknown names)
+export function colormapStops(name) {
+  return COLORMAPS[name] || COLORMAPS.rdylgn;
+}
+
+// t: 0 → 1 along the colormap
+// cmap: built-in name, or a palette (see palettes.js) —
+//   { stops: [{ at, color: '#rrggbb' }], reverse, steps, transparent }
+//   steps ≥ 2 cuts the ramp into that many flat colours
+export function applyColormap(t, cmap) {
+  if (!cmap || typeof cmap === 'string') return interp(t, colormapStops(cmap));
+  if (cmap.steps > 1) t = Math.min(cmap.steps - 1, Math.floor(t * cmap.steps)) / (cmap.steps - 1);
+  if (cmap.reverse) t = 1 - t;
+  return interpStops(t, cmap.stops);
+}
+
+// True for values inside one of the palette's transparent ranges
+export function isTransparent(cmap, v) {
+  const ranges = cmap?.transparent;
+  if (!ranges?.length) return false;
+  for (const [lo, hi] of ranges) if (v >= lo && v <= hi) return true;
+  return false;
 }
 
 function interp(t, stops) {
@@ -212,3 +532,19 @@ function interp(t, stops) {
     Math.round(a[2] + (b[2] - a[2]) * f),
   ];
 }
+
+// Stops at arbitrary positions (ascending `at`)
+function interpStops(t, stops) {
+  let k = 0;
+  while (k < stops.length - 1 && t > stops[k + 1].at) k++;
+  const a = hexRGB(stops[k].color);
+  const b = stops[k + 1];
+  if (!b || t <= stops[k].at) return a;
+  const f = Math.min(1, (t - stops[k].at) / ((b.at - stops[k].at) || 1));
+  return interp(f, [a, hexRGB(b.color)]);
+}
+
+function hexRGB(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
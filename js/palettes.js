@@ -0,0 +1,180 @@
+// ══════════════════════════════════════════════════════════
+//  palettes.js — Custom colour palettes (stops, reverse, steps,
+//                transparent ranges) and data-driven stretches
+// ══════════════════════════════════════════════════════════
+
+import { applyColormap, colormapStops, isTransparent, percentile } from './ndvi.js';
+import { esc } from './ui.js';
+
+// A palette:
+//   { id, name, builtin?, stops: [{ at, color: '#rrggbb' }],
+//     reverse, steps, transparent: [[lo, hi]] }
+//   at:          0 → 1 along the colour bar, ascending
+//   steps:       0 for a smooth ramp, n ≥ 2 for n flat colours
+//   transparent: value ranges (index units) left off the map
+// Built-in palettes are the colormaps of ndvi.js (id = name) and
+// are never stored; custom ones persist in localStorage.
+
+const PALETTES_KEY = 'ndvi-explorer.palettes';
+const STRETCH_KEY  = 'ndvi-explorer.stretch';
+
+// ── STORAGE ───────────────────────────────────────────────
+export function listPalettes() {
+  try { return JSON.parse(localStorage.getItem(PALETTES_KEY)) || []; } catch (_) { return []; }
+}
+
+// Built-in colormap name or custom palette id → an editable copy
+export function paletteById(id) {
+  const custom = listPalettes().find(p => p.id === id);
+  if (custom) return structuredClone(custom);
+  const rgb = colormapStops(id);
+  return {
+    id: rgb === colormapStops(null) ? 'rdylgn' : id,   // unknown ids get the default
+    name: '', builtin: true,
+    stops: rgb.map((c, k) => ({ at: +(k / (rgb.length - 1)).toFixed(3), color: toHex(c) })),
+    reverse: false, steps: 0, transparent: [],
+  };
+}
+
+// Stored under its name — saving with an existing name replaces
+// that palette. Returns the stored palette.
+export function savePalette(palette) {
+  const name = palette.name.trim();
+  if (!name) throw new Error('Give the palette a name');
+  const list  = listPalettes();
+  const prev  = list.find(p => p.name === name);
+  const saved = {
+    id: prev?.id || 'p-' + Date.now().toString(36), name,
+    stops: palette.stops, reverse: palette.reverse, steps: palette.steps, transparent: palette.transparent,
+  };
+  localStorage.setItem(PALETTES_KEY, JSON.stringify(prev
+    ? list.map(p => p.id === prev.id ? saved : p)
+    : [...list, saved]));
+  return saved;
+}
+
+export function deletePalette(id) {
+  localStorage.setItem(PALETTES_KEY, JSON.stringify(listPalettes().filter(p => p.id !== id)));
+}
+
+// stretch: { mode, min, max } — see stretchRange
+export function loadStretch() {
+  try { return { mode: 'fixed', min: null, max: null, ...JSON.parse(localStorage.getItem(STRETCH_KEY)) }; }
+  catch (_) { return { mode: 'fixed', min: null, max: null }; }
+}
+
+export function saveStretch(stretch) {
+  localStorage.setItem(STRETCH_KEY, JSON.stringify(stretch));
+}
+
+// ── STRETCH ───────────────────────────────────────────────
+// [lo, hi] of the values spanned by the palette:
+//   'fixed'       min → max; a bound left empty is the layer's
+//                 own (domain, e.g. −1 → 1 for indices)
+//   'minmax'      smallest → largest valid value
+//   'percentile'  2nd → 98th percentile of the valid values
+// Falls back to the domain when the raster is flat or empty.
+export function stretchRange(values, { mode = 'fixed', min = null, max = null } = {}, domain = [-1, 1]) {
+  let lo = domain[0], hi = domain[1];
+  if (mode === 'fixed') {
+    if (min != null && isFinite(min)) lo = min;
+    if (max != null && isFinite(max)) hi = max;
+  } else {
+    const valid = new Float32Array(values.length);
+    let n = 0;
+    for (let i = 0; i < values.length; i++) if (!isNaN(values[i])) valid[n++] = values[i];
+    const sorted = valid.subarray(0, n).sort();
+    if (n) {
+      lo = mode === 'percentile' ? percentile(sorted, 2)  : sorted[0];
+      hi = mode === 'percentile' ? percentile(sorted, 98) : sorted[n - 1];
+    }
+  }
+  return hi > lo ? [lo, hi] : domain;
+}
+
+// ── PALETTE LIST ──────────────────────────────────────────
+// The built-in <option>s of the select stay; custom palettes go
+// in a "Custom" group after them
+export function renderPaletteOptions(select) {
+  const keep = select.value;
+  select.querySelector('optgroup')?.remove();
+  const list = listPalettes();
+  if (list.length) {
+    select.insertAdjacentHTML('beforeend', `<optgroup label="Custom">${
+      list.map(p => `<option value="${esc(p.id)}">${esc(p.name)}</option>`).join('')}</optgroup>`);
+  }
+  select.value = keep;
+}
+
+// ── EDITOR ────────────────────────────────────────────────
+// Stop rows (position + colour) and transparent ranges (from / to)
+// carry data-k; buttons data-act = del-stop | del-clear. Reverse
+// and steps are separate controls, read back with the rows.
+export function renderPaletteEditor(stopsEl, clearEl, palette) {
+  stopsEl.innerHTML = palette.stops.map((s, k) => `
+    <div class="pal-row" data-k="${k}">
+      <input type="color" data-f="color" value="${s.color}" />
+      <input type="number" data-f="at" min="0" max="1" step="0.05" value="${s.at}" title="Position along the bar (0 → 1)" />
+      <button class="cls-del" data-act="del-stop" title="Remove stop" ${palette.stops.length < 3 ? 'disabled' : ''}>✕</button>
+    </div>`).join('');
+
+  clearEl.innerHTML = palette.transparent.length ? palette.transparent.map(([lo, hi], k) => `
+    <div class="pal-row" data-k="${k}">
+      <input type="number" data-f="lo" step="0.05" value="${lo}" title="From" />
+      <span class="pal-to">→</span>
+      <input type="number" data-f="hi" step="0.05" value="${hi}" title="To" />
+      <button class="cls-del" data-act="del-clear" title="Remove range">✕</button>
+    </div>`).join('') : '<div class="pal-empty">No transparent values</div>';
+}
+
+// Stops sorted by position and clamped to 0 → 1; ranges with
+// their bounds in order
+export function readPaletteEditor(stopsEl, clearEl, { reverse, steps }) {
+  const num   = (row, f) => parseFloat(row.querySelector(`[data-f="${f}"]`).value);
+  const stops = [...stopsEl.querySelectorAll('.pal-row')].map(row => ({
+    at:    Math.max(0, Math.min(1, num(row, 'at') || 0)),
+    color: row.querySelector('[data-f="color"]').value,
+  })).sort((a, b) => a.at - b.at);
+  const transparent = [...clearEl.querySelectorAll('.pal-row')]
+    .map(row => [num(row, 'lo'), num(row, 'hi')])
+    .filter(([lo, hi]) => isFinite(lo) && isFinite(hi))
+    .map(([lo, hi]) => [Math.min(lo, hi), Math.max(lo, hi)]);
+  return { stops, reverse, steps, transparent };
+}
+
+// New stop in the middle of the widest gap, coloured as the
+// palette is there
+export function addStop(palette) {
+  const { stops } = palette;
+  let k = 0;
+  for (let i = 1; i < stops.length - 1; i++) if (stops[i + 1].at - stops[i].at > stops[k + 1].at - stops[k].at) k = i;
+  const at = +((stops[k].at + stops[k + 1].at) / 2).toFixed(3);
+  const color = toHex(applyColormap(at, { stops }));
+  return { ...palette, stops: [...stops.slice(0, k + 1), { at, color }, ...stops.slice(k + 1)] };
+}
+
+// ── PREVIEW ───────────────────────────────────────────────
+// Colour bar of a palette over range; transparent values show
+// as a checkerboard
+export function drawPaletteBar(canvas, palette, range = [0, 1]) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const [lo, hi] = range;
+  for (let x = 0; x < W; x++) {
+    const t = x / (W - 1);
+    if (isTransparent(palette, lo + (hi - lo) * t)) {
+      for (let y = 0; y < H; y += 4) {
+        ctx.fillStyle = ((x >> 2) + (y >> 2)) % 2 ? '#d8d8d8' : '#ffffff';
+        ctx.fillRect(x, y, 1, 4);
+      }
+      continue;
+    }
+    const [r, g, b] = applyColormap(t, palette);
+    ctx.fillStyle = `rgb(${r},${g},${b})`;
+    ctx.fillRect(x, 0, 1, H);
+  }
+}
+
+function toHex([r, g, b]) {
+  return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
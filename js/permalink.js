@@ -0,0 +1,212 @@
+// ══════════════════════════════════════════════════════════
+//  permalink.js — App state ⇄ URL query string, so a view
+//                 (AOI, search, scene, index) can be shared
+// ══════════════════════════════════════════════════════════
+
+// state (every field optional when decoding):
+//   geometry     GeoJSON Polygon / MultiPolygon AOI (WGS84)
+//   source       provider id, or the URL of a user-added source
+//   collection, dateStart, dateEnd, cloudCover, sort
+//   filters      see filters.js; `season` is the selector value
+//                ('djf' … or 'custom' with doy [from, to])
+//   index, expr  index id (+ formula when 'custom'), cmap
+//   maskClasses  QA class ids, maxSize (null = native)
+//   scene        selected STAC item id
+//
+// Short parameter names keep links usable in chat and e-mail;
+// auth headers are never written to the URL.
+
+const MAX_AOI_CHARS = 1500;    // escaped length — longer outlines are simplified
+
+// ── ENCODE ────────────────────────────────────────────────
+// Returns '?aoi=…&c=…' (or '' for an empty state)
+export function encodeState(s) {
+  const p = [];
+  const put = (key, value) => {
+    if (value == null || value === '') return;
+    p.push(`${key}=${encodeURIComponent(value).replace(/%2C/g, ',').replace(/%3B/g, ';')}`);
+  };
+
+  if (s.geometry) {
+    const box = rectangleBBox(s.geometry);
+    if (box) put('bbox', box.map(v => +v.toFixed(5)).join(','));
+    else put('aoi', encodeGeometry(s.geometry));
+  }
+  put('src',  s.source);
+  put('c',    s.collection);
+  put('d0',   s.dateStart);
+  put('d1',   s.dateEnd);
+  put('cc',   s.cloudCover);
+
+  const f = s.filters || {};
+  put('plat', (f.platforms || []).join(','));
+  put('path', f.path);
+  put('row',  f.row);
+  if (f.minSunElevation) put('sun', f.minSunElevation);
+  put('season', f.season);
+  if (f.season === 'custom' && f.doy) put('doy', f.doy.join(','));
+
+  put('sort', s.sort);
+  put('idx',  s.index);
+  if (s.index === 'custom') put('expr', s.expr);
+  put('cmap', s.cmap);
+  if (s.maskClasses) put('mask', s.maskClasses.join(',') || 'none');
+  put('res',  s.maxSize);
+  put('scene', s.scene);
+
+  return p.length ? `?${p.join('&')}` : '';
+}
+
+// ── DECODE ────────────────────────────────────────────────
+// query: location.search. Unknown or malformed parameters are
+// ignored, so a hand-edited link restores whatever still parses.
+export function decodeState(query) {
+  const q   = new URLSearchParams(query);
+  const s   = {};
+  const num = (key) => q.has(key) && q.get(key) !== '' && isFinite(q.get(key)) ? +q.get(key) : null;
+  const list = (key) => q.get(key) ? q.get(key).split(',').filter(Boolean) : [];
+
+  try {
+    if (q.get('bbox')) {
+      const [w, south, e, n] = list('bbox').map(Number);
+      if ([w, south, e, n].every(isFinite) && w < e && south < n) {
+        s.geometry = { type: 'Polygon', coordinates: [[[w, south], [e, south], [e, n], [w, n], [w, south]]] };
+      }
+    } else if (q.get('aoi')) {
+      s.geometry = decodeGeometry(q.get('aoi'));
+    }
+  } catch (e) {
+    console.warn('[LINK] Ignoring malformed AOI:', e.message);
+  }
+
+  for (const [key, field] of [['src', 'source'], ['c', 'collection'], ['d0', 'dateStart'], ['d1', 'dateEnd'],
+                              ['sort', 'sort'], ['idx', 'index'], ['expr', 'expr'], ['cmap', 'cmap'],
+                              ['scene', 'scene']]) {
+    if (q.get(key)) s[field] = q.get(key);
+  }
+  if (num('cc') != null)  s.cloudCover = num('cc');
+  if (num('res') != null) s.maxSize    = num('res') || null;
+  if (q.has('mask'))      s.maskClasses = q.get('mask') === 'none' ? [] : list('mask');
+
+  const filters = {
+    platforms: list('plat'),
+    path: num('path'),
+    row:  num('row'),
+    minSunElevation: num('sun') || 0,
+    season: q.get('season') || '',
+  };
+  const doy = list('doy').map(Number);
+  if (filters.season === 'custom' && doy.length === 2 && doy.every(isFinite)) filters.doy = doy;
+  s.filters = filters;
+
+  return s;
+}
+
+// ── AOI ───────────────────────────────────────────────────
+// Axis-aligned rectangles go as a plain bbox; other outlines as
+// encoded polylines (precision 1e-5°, lat/lon order as in the
+// Google format) — rings joined by ',' and polygons by ';'
+
+function rectangleBBox(geometry) {
+  if (geometry.type !== 'Polygon' || geometry.coordinates.length !== 1) return null;
+  const ring = geometry.coordinates[0];
+  if (ring.length !== 5) return null;
+  const xs = new Set(ring.map(p => p[0]));
+  const ys = new Set(ring.map(p => p[1]));
+  if (xs.size !== 2 || ys.size !== 2) return null;
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function encodeGeometry(geometry) {
+  const polys = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  // Coarsen the outline until the link stays a sensible length
+  let text = '';
+  for (let tol = 0; ; tol = tol ? tol * 2 : 1e-5) {
+    text = polys.map(poly => poly.map(ring => encodePolyline(simplifyRing(ring, tol))).join(',')).join(';');
+    if (encodeURIComponent(text).length <= MAX_AOI_CHARS || tol > 1) break;
+  }
+  return text;
+}
+
+function decodeGeometry(text) {
+  const polys = text.split(';').map(poly => poly.split(',').map(decodePolyline));
+  if (polys.some(poly => poly.some(ring => ring.length < 4))) throw new Error('ring with fewer than 4 points');
+  return polys.length === 1
+    ? { type: 'Polygon', coordinates: polys[0] }
+    : { type: 'MultiPolygon', coordinates: polys };
+}
+
+function encodePolyline(ring) {
+  let out = '', plat = 0, plon = 0;
+  for (const [lon, lat] of ring) {
+    const y = Math.round(lat * 1e5), x = Math.round(lon * 1e5);
+    out += encodeSigned(y - plat) + encodeSigned(x - plon);
+    plat = y; plon = x;
+  }
+  return out;
+}
+
+function encodeSigned(v) {
+  let n = v < 0 ? ~(v << 1) : v << 1;
+  let out = '';
+  while (n >= 0x20) {
+    out += String.fromCharCode((0x20 | (n & 0x1f)) + 63);
+    n >>= 5;
+  }
+  return out + String.fromCharCode(n + 63);
+}
+
+function decodePolyline(text) {
+  const pts = [];
+  let i = 0, lat = 0, lon = 0;
+  const next = () => {
+    let shift = 0, n = 0, b;
+    do {
+      if (i >= text.length) throw new Error('truncated polyline');
+      b = text.charCodeAt(i++) - 63;
+      n |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+    return n & 1 ? ~(n >> 1) : n >> 1;
+  };
+  while (i < text.length) {
+    lat += next();
+    lon += next();
+    pts.push([lon / 1e5, lat / 1e5]);
+  }
+  return pts;
+}
+
+// Douglas–Peucker on a closed ring (tolerance in degrees); the
+// ring keeps at least its first, farthest and closing vertices
+function simplifyRing(ring, tol) {
+  if (!tol || ring.length <= 5) return ring;
+  const keep = new Uint8Array(ring.length);
+  keep[0] = keep[ring.length - 1] = 1;
+
+  let far = 0, farD = -1;
+  ring.forEach(([x, y], k) => {
+    const d = (x - ring[0][0]) ** 2 + (y - ring[0][1]) ** 2;
+    if (d > farD) { farD = d; far = k; }
+  });
+  keep[far] = 1;
+
+  const stack = [[0, far], [far, ring.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const [ax, ay] = ring[a], [bx, by] = ring[b];
+    const len = Math.hypot(bx - ax, by - ay) || 1e-12;
+    let idx = -1, max = tol;
+    for (let k = a + 1; k < b; k++) {
+      const d = Math.abs((bx - ax) * (ay - ring[k][1]) - (ax - ring[k][0]) * (by - ay)) / len;
+      if (d > max) { max = d; idx = k; }
+    }
+    if (idx > 0) {
+      keep[idx] = 1;
+      stack.push([a, idx], [idx, b]);
+    }
+  }
+
+  const out = ring.filter((_, k) => keep[k]);
+  return out.length >= 4 ? out : ring;
+}
@@ -0,0 +1,125 @@
+// ══════════════════════════════════════════════════════════
+//  pins.js — Pinned inspection points: pixel sampling of each
+//            result, the pin list and CSV export
+// ══════════════════════════════════════════════════════════
+
+import { projectorTo } from './grid.js';
+import { esc, cell } from './ui.js';
+
+// A pin:
+//   { id, name, lon, lat, readings: [reading] }
+// A reading is one result sampled at the pin:
+//   { key, scene, date, label, value, masked, row, col, x, y, epsg,
+//     bands: [{ name, raw, scaled }] }
+// key (scene + index) identifies the result, so re-processing the
+// same scene replaces its reading instead of adding another one.
+
+// ── SAMPLING ──────────────────────────────────────────────
+// raster: { name, label, date?, values, grid, inputs? }
+//   inputs: { names, bandData, mask, outside, scaling } — raw DN
+//   per band; without it (change, composite) bands stay empty.
+// Returns null when the point is off the raster.
+export function samplePin(raster, lon, lat) {
+  const { grid } = raster;
+  const [x, y] = projectorTo(grid.epsg)([lon, lat]);
+  const col = Math.floor((x - grid.x0) / grid.dx);
+  const row = Math.floor((y - grid.y0) / grid.dy);
+  if (col < 0 || row < 0 || col >= grid.width || row >= grid.height) return null;
+
+  const i = row * grid.width + col;
+  const reading = {
+    key:   `${raster.name}|${raster.label}`,
+    scene: raster.name,
+    date:  raster.date || '',
+    label: raster.label,
+    value: raster.values[i],
+    masked: false,
+    row, col, x, y, epsg: grid.epsg,
+    bands: [],
+  };
+
+  const inputs = raster.inputs;
+  if (inputs?.bandData) {
+    const { scale, offset, nodata } = inputs.scaling;
+    reading.masked = !!(inputs.mask?.[i] || inputs.outside?.[i]);
+    reading.bands  = inputs.names.map(name => {
+      const raw = inputs.bandData[name].data[i];
+      return { name, raw, scaled: raw === nodata ? NaN : raw * scale + offset };
+    });
+  }
+  return reading;
+}
+
+// Adds (or replaces) the pin's reading of this raster
+export function updatePin(pin, raster) {
+  const reading = samplePin(raster, pin.lon, pin.lat);
+  if (!reading) return null;
+  const k = pin.readings.findIndex(r => r.key === reading.key);
+  if (k >= 0) pin.readings[k] = reading;
+  else pin.readings.push(reading);
+  return reading;
+}
+
+// ── LIST ──────────────────────────────────────────────────
+// One card per pin: editable name, the reading of the current
+// result (value, pixel, projected coordinates, bands) and the
+// pin's history across the results seen so far.
+// currentKey: key of the result on the map; selected: pin id
+export function renderPinList(container, pins, { currentKey = null, selected = null } = {}) {
+  const fmt = (v, d = 4) => v == null || isNaN(v) ? '—' : (+v).toFixed(d);
+
+  if (!pins.length) {
+    container.innerHTML = '<div class="pin-empty">Click the index overlay on the map to pin a point</div>';
+    return;
+  }
+
+  container.innerHTML = pins.map(pin => {
+    const cur = pin.readings.find(r => r.key === currentKey);
+    const current = !cur ? '<div class="pin-off">Outside the current result</div>' : `
+      <div class="pin-val">${esc(cur.label)} <b>${fmt(cur.value)}</b>${cur.masked ? ' <span class="pin-flag">masked</span>' : ''}</div>
+      <div class="pin-pos">row ${cur.row} · col ${cur.col}<br/>${cur.x.toFixed(1)} E · ${cur.y.toFixed(1)} N · EPSG:${cur.epsg}</div>
+      ${cur.bands.length ? `
+      <table class="pin-table">
+        <thead><tr><th>BAND</th><th>DN</th><th>REFLECTANCE</th></tr></thead>
+        <tbody>${cur.bands.map(b => `
+          <tr><td>${esc(b.name)}</td><td class="num">${b.raw}</td><td class="num">${fmt(b.scaled)}</td></tr>`).join('')}
+        </tbody>
+      </table>` : ''}`;
+
+    const history = pin.readings.length < 2 ? '' : `
+      <table class="pin-table pin-hist">
+        <thead><tr><th>DATE</th><th>INDEX</th><th>VALUE</th></tr></thead>
+        <tbody>${pin.readings.map(r => `
+          <tr class="${r.key === currentKey ? 'cur' : ''}" title="${esc(r.scene)}">
+            <td>${esc(r.date || r.scene)}</td><td>${esc(r.label)}</td><td class="num">${fmt(r.value)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+
+    return `
+      <div class="pin-card${pin.id === selected ? ' sel' : ''}" data-id="${pin.id}">
+        <div class="pin-head">
+          <input type="text" data-f="name" value="${esc(pin.name)}" />
+          <button class="cls-del" data-del="${pin.id}" title="Remove pin">✕</button>
+        </div>
+        <div class="pin-pos">${pin.lat.toFixed(5)}, ${pin.lon.toFixed(5)}</div>
+        ${current}
+        ${history}
+      </div>`;
+  }).join('');
+}
+
+// ── EXPORT ────────────────────────────────────────────────
+// One row per pin and reading; <band>_dn / <band>_sr columns for
+// every band seen in any reading
+export function pinsToCSV(pins) {
+  const bands = [...new Set(pins.flatMap(p => p.readings.flatMap(r => r.bands.map(b => b.name))))];
+  const header = ['pin', 'lat', 'lon', 'scene_id', 'date', 'index', 'value', 'masked', 'row', 'col', 'x', 'y', 'epsg',
+                  ...bands.flatMap(b => [`${b}_dn`, `${b}_sr`])];
+  const rows = pins.flatMap(p => p.readings.map(r => {
+    const byName = Object.fromEntries(r.bands.map(b => [b.name, b]));
+    return [p.name, p.lat, p.lon, r.scene, r.date, r.label, r.value, r.masked ? 1 : 0, r.row, r.col, r.x, r.y, r.epsg,
+            ...bands.flatMap(b => [byName[b]?.raw, byName[b]?.scaled])].map(cell).join(',');
+  }));
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
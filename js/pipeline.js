@@ -0,0 +1,182 @@
+// ══════════════════════════════════════════════════════════
+//  pipeline.js — One scene → index raster: sign assets, then
+//                read + mask + compute tile by tile in workers
+// ══════════════════════════════════════════════════════════
+
+import { assetUrl, requestHeaders, resolveBandKeys } from './stac.js';
+import { indexStats } from './ndvi.js';
+import { splitGrid } from './grid.js';
+import { scalingFor } from './sensors.js';
+import { runTask, poolSize } from './workers.js';
+import { pruneCache } from './cache.js';
+import { transferred } from './requests.js';
+
+const TILE_SIZE  = 512;         // px per side of a processing tile
+const MAX_PIXELS = 64e6;        // refuse target grids larger than this
+const TICK       = 250;         // ms between byte-progress updates
+
+// ── PROCESS SCENE ─────────────────────────────────────────
+// feature:     STAC item — its `collection` picks the sensor profile
+//              (asset keys, scaling, QA scheme) from sensors.js;
+//              scenes opened from disk may override keys and
+//              scaling (see local.js)
+// index:       compiled index from getIndex()
+// aoi:         { bbox, geometry }
+// maskClasses: QA class ids to mask (may be empty) — see qa.js
+// grid:        optional target grid (see grid.js) — every band is
+//              resampled onto it, so two scenes can be compared
+//              pixel by pixel. Defaults to the first band's window.
+// maxSize:     cap on the long side of the default grid (px);
+//              null = native resolution
+// keepInputs:  also return the raw bands (for exporting inputs)
+// onStep(text, pct): optional progress callback (pct 0–100) — while
+//              tiles are read, pct follows the bytes downloaded
+// signal:      optional AbortSignal — cancels signing and reads;
+//              the call then rejects with an AbortError
+//
+// Returns { values, width, height, stats, grid, bandData,
+//           mask, outside, usedQA, scaling } — throws on any failure
+export async function processScene(feature, {
+  index, aoi, maskClasses = [], grid = null, maxSize = null, keepInputs = true, onStep = () => {},
+  signal = null,
+}) {
+  const assets = feature.assets;
+  const { keys, qaKey, qaScheme, missing } = resolveBandKeys(assets, index.bands, feature.collection, feature.local?.bandKeys);
+  const scaling = scalingFor(feature);
+
+  if (missing.length) {
+    throw new Error(
+      `Could not find ${missing.join(', ')} asset(s) for ${index.label}.\nAvailable: ${Object.keys(assets).join(', ')}`
+    );
+  }
+
+  const usedQA = maskClasses.length > 0 && !!qaKey;
+
+  // Sign band URLs sequentially — parallel requests trigger 429 rate limit
+  const urls = {};
+  for (const band of index.bands) {
+    onStep(`SIGNING ${band.toUpperCase()} BAND URL…`, 0);
+    urls[band] = await assetSource(assets[keys[band]], signal);
+  }
+
+  let qaUrl = null;
+  if (usedQA) {
+    onStep(`SIGNING ${qaKey.toUpperCase()} URL…`, 0);
+    qaUrl = await assetSource(assets[qaKey], signal);
+  }
+
+  // Auth headers per URL — only the backend's own host gets them
+  const headers = {};
+  for (const url of [...Object.values(urls), qaUrl]) {
+    if (typeof url === 'string') headers[url] = requestHeaders(url);
+  }
+
+  // Target grid — the first band's AOI window
+  if (!grid) {
+    onStep('READING COG HEADER…', 5);
+    const url = urls[index.bands[0]];
+    grid = await runTask('window-grid', { url, bbox: aoi.bbox, headers: headers[url], maxSize }, signal);
+    if (!grid) throw new Error('AOI does not intersect the selected scene. Try a different scene or AOI.');
+  }
+  const { width, height } = grid;
+  if (width * height > MAX_PIXELS) {
+    throw new Error(`AOI is ${width}×${height} px at this resolution — pick a preview resolution or a smaller AOI.`);
+  }
+
+  // Tiles run in parallel on the worker pool; each is pasted into
+  // the full-size arrays as it arrives
+  const tiles    = splitGrid(grid, TILE_SIZE);
+  const values   = new Float32Array(width * height);
+  const mask     = new Uint8Array(width * height);
+  const outside  = new Uint8Array(width * height);
+  const bandData = {};
+  const counts   = {};
+  let done = 0, empty = 0;
+
+  console.info(`[INDEX] ${width}×${height} px grid → ${tiles.length} tile(s)`);
+  onStep(`PROCESSING ${tiles.length} TILE(S)…`, 10);
+
+  const common = {
+    urls, qaUrl, qaScheme, maskClasses, headers, keepInputs, scaling,
+    index: { id: index.id, expr: index.expr }, geometry: aoi.geometry,
+  };
+
+  // The tiles run under their own signal, aborted with the
+  // caller's or as soon as one tile fails — the others are of no
+  // use then and would keep the pool and the network busy
+  const tilesJob = new AbortController();
+  const stop     = () => tilesJob.abort();
+  if (signal?.aborted) stop();
+  signal?.addEventListener('abort', stop, { once: true });
+
+  // Share of the tile phase done: bytes received over an estimate
+  // of the total — bytes per finished tile (before any finished,
+  // the sizes of the responses under way) times the tile count.
+  // Tiles found in the cache download nothing and count by number.
+  // Never moves backwards as the estimate settles.
+  const start = transferred(tilesJob.signal);
+  let share = 0;
+  const progress = () => {
+    const now = transferred(tilesJob.signal);
+    const got = now.loaded - start.loaded;
+    const per = done ? got / done : (now.expected - start.expected) / Math.min(poolSize(), tiles.length);
+    share = Math.max(share, Math.min(1, Math.max(done / tiles.length, per > 0 ? got / (per * tiles.length) : 0)));
+    const mb  = got ? ` · ${(got / 1048576).toFixed(1)} MB` : '';
+    onStep(`PROCESSING TILES ${done}/${tiles.length}${mb}…`, 10 + Math.round(share * 85));
+  };
+  const ticker = signal && setInterval(progress, TICK);
+
+  try {
+    await Promise.all(tiles.map(async (tile) => {
+      let r;
+      try {
+        r = await runTask('index-tile', { ...common, grid: tile.grid }, tilesJob.signal);
+      } catch (e) {
+        stop();
+        throw e;
+      }
+      paste(values,  r.values,  tile, width);
+      paste(mask,    r.mask,    tile, width);
+      paste(outside, r.outside, tile, width);
+      for (const [band, data] of Object.entries(r.bands || {})) {
+        bandData[band] = bandData[band] || { data: new data.constructor(width * height), width, height, grid };
+        paste(bandData[band].data, data, tile, width);
+      }
+      for (const [id, n] of Object.entries(r.counts)) counts[id] = (counts[id] || 0) + n;
+      if (r.empty) empty++;
+
+      done++;
+      progress();
+    }));
+  } finally {
+    clearInterval(ticker);
+    signal?.removeEventListener('abort', stop);
+  }
+
+  if (empty === tiles.length) {
+    throw new Error('AOI does not intersect the selected scene. Try a different scene or AOI.');
+  }
+  if (usedQA) console.info('[INDEX] QA masked pixels per class:', counts);
+  pruneCache();   // tiles just added their windows to the cache
+
+  const stats = indexStats(values, outside, index);
+  return {
+    values, width, height, stats, grid,
+    bandData: keepInputs ? bandData : null,
+    mask, outside, usedQA, scaling,
+  };
+}
+
+// Assets opened from disk (local.js) are read from their File,
+// the others from their signed URL — see ndvi.js openImage
+async function assetSource(asset, signal) {
+  return asset.file ? { file: asset.file, key: asset.href, sample: asset.sample || 0 } : assetUrl(asset, signal);
+}
+
+// Copies a tile's array into the full grid array at its offset
+function paste(dst, src, tile, width) {
+  const { col, row, grid: { width: w, height: h } } = tile;
+  for (let r = 0; r < h; r++) {
+    dst.set(src.subarray(r * w, (r + 1) * w), (row + r) * width + col);
+  }
+}
@@ -0,0 +1,367 @@
+// ══════════════════════════════════════════════════════════
+//  providers.js — STAC backends: Planetary Computer, any STAC
+//                 API endpoint, static catalogs (catalog.json)
+// ══════════════════════════════════════════════════════════
+
+import { geometryBBox } from './aoi.js';
+import { SENSORS } from './sensors.js';
+import { matchesFilters, sortScenes, parseDate, cql2Filter, queryExtension, SORTS } from './filters.js';
+import { cached } from './cache.js';
+import { request, abortable } from './requests.js';
+
+// Every provider implements the same interface:
+//   id, label, type, url
+//   search(params, next, signal) → one page { features, next } — pass
+//                      the returned `next` back in for the following
+//                      page (null when there are no more results)
+//   resolve(asset)   → absolute href of a STAC asset
+//   sign(href, signal) → URL the browser can read (SAS token added, or as is)
+//   headers(href)    → extra HTTP headers for a request to href (for
+//                      the backend's own requests when href is omitted)
+//   collections()    → collection ids offered, or null if unknown
+//   item(collection, id, signal) → one STAC item by id, or null if not found
+// `signal` (optional AbortSignal) cancels the call. Requests go
+// through the shared queue of requests.js, which also retries
+// rate-limited (429) ones.
+//
+// config: { type, id, label, url, auth, platformCase }
+//   type  'planetary-computer' | 'stac-api' | 'static'
+//   auth  optional "Header-Name: value" (a bare value is sent
+//         as "Authorization: value", e.g. "Bearer eyJ…")
+//   platformCase  how the backend spells `platform` values:
+//         'lower' (Earth Search: "sentinel-2a"), 'as-is' (the
+//         sensor profile's spelling, e.g. PC's "Sentinel-2A");
+//         unset sends both, for backends not known either way
+export function createProvider(config) {
+  switch (config.type) {
+    case 'planetary-computer': return planetaryComputer(config);
+    case 'stac-api':           return stacApi(config);
+    case 'static':             return staticCatalog(config);
+    default: throw new Error(`Unknown STAC provider type "${config.type}"`);
+  }
+}
+
+// ── PLANETARY COMPUTER ────────────────────────────────────
+const PC_STAC_URL = 'https://planetarycomputer.microsoft.com/api/stac/v1';
+const PC_TOKEN_URL = 'https://planetarycomputer.microsoft.com/api/sas/v1/token';
+const TOKEN_MARGIN = 5 * 60 * 1000;   // renew tokens this long before expiry
+
+function planetaryComputer(config) {
+  const api = stacApi({ platformCase: 'as-is', ...config, url: config.url || PC_STAC_URL });
+  return {
+    ...api,
+    type: 'planetary-computer',
+    sign: signPlanetaryComputer,
+    // Known sensor profiles only — PC offers 100+ collections
+    collections: async () => null,
+  };
+}
+
+// PC assets live in Azure Blob containers (one or a few per
+// collection); a SAS token for the container signs every href in
+// it, so one token request serves all bands of all scenes until
+// it expires. Tokens are kept in memory and in the IndexedDB cache.
+// Never silently returns an unsigned blob URL — those return 409.
+// A cancelled caller stops waiting; the token request itself goes
+// on for the others sharing it.
+async function signPlanetaryComputer(href, signal = null) {
+  const m = href.match(/^https:\/\/([\w-]+)\.blob\.core\.windows\.net\/([\w-]+)\//);
+  if (!m || /[?&]sig=/.test(href)) return href;   // not on Azure Blob, or already signed
+  const token = await abortable(containerToken(m[1], m[2]), signal);
+  return `${href}${href.includes('?') ? '&' : '?'}${token}`;
+}
+
+const tokens = new Map();   // 'account/container' → Promise<{ token, expires }>
+
+async function containerToken(account, container) {
+  const key   = `${account}/${container}`;
+  const valid = (t) => t.expires - TOKEN_MARGIN > Date.now();
+  const load  = () => {
+    const p = cached('tokens', key, async () => {
+      const { token, 'msft:expiry': expiry } = await fetchToken(account, container);
+      return { token, expires: Date.parse(expiry) };
+    }, { ttl: (t) => t.expires - TOKEN_MARGIN - Date.now() });
+    tokens.set(key, p);
+    p.catch(() => { if (tokens.get(key) === p) tokens.delete(key); });
+    return p;
+  };
+
+  const pending = tokens.get(key) || load();
+  let t = await pending;
+  if (!valid(t)) {
+    // Renew once per container; offline this is the expired token,
+    // which still finds cached windows (keys ignore the token)
+    if (tokens.get(key) === pending) load();
+    t = await tokens.get(key);
+  }
+  return t.token;
+}
+
+// Rate limits (429) are retried with backoff by the request queue;
+// a 429 here means every retry was refused
+async function fetchToken(account, container) {
+  const res = await request(`${PC_TOKEN_URL}/${account}/${container}`);
+  if (res.status === 429) {
+    throw new Error('SAS token request still rate limited after several attempts. Wait a moment and try again.');
+  }
+  if (!res.ok || !res.data) throw new Error(`SAS token request failed: HTTP ${res.status}`);
+  return res.data;
+}
+
+// ── GENERIC STAC API ──────────────────────────────────────
+// POST /search, following `next` links for further pages. Filters
+// go in a CQL2 `filter` when the API conforms to the Filter
+// extension, else in the older `query` extension. A search the
+// server rejects with them (HTTP 400) is retried plain — for that
+// search only, its later pages included — and its pages are then
+// sorted client-side, each on its own: the order holds within a
+// page, the scene list re-sorts across the pages it has loaded.
+// Every page is filtered client-side as well.
+function stacApi(config) {
+  const url     = config.url.replace(/\/+$/, '');
+  const headers = authHeaders(config, url);
+  let conformance = null;   // promise of the landing page conformsTo
+
+  async function send({ href, method = 'POST', body }, signal) {
+    return request(href, {
+      method,
+      headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers() },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    }, signal);
+  }
+
+  // Platform filter values in the backend's spelling — `in`
+  // compares them case-sensitively
+  function platformValues(platforms = []) {
+    if (config.platformCase === 'as-is') return platforms;
+    const lower = platforms.map(p => p.toLowerCase());
+    return config.platformCase === 'lower' ? lower : [...new Set([...platforms, ...lower])];
+  }
+
+  async function supportsCQL2() {
+    conformance = conformance || request(`${url}/`, { headers: headers() })
+      .then(res => (res.ok && res.data?.conformsTo) || [])
+      .catch(() => []);
+    return (await conformance).some(c => /item-search#filter|cql2-json/.test(c));
+  }
+
+  // plain: without the filter / query / sort extensions
+  async function searchBody(params, plain = false) {
+    const { geometry, bbox, dateStart, dateEnd, collection, limit = 20, sort = 'cloud' } = params;
+    const body = {
+      collections: [collection],
+      ...(geometry ? { intersects: geometry } : { bbox }),
+      datetime: `${dateStart}T00:00:00Z/${dateEnd}T23:59:59Z`,
+      limit,
+    };
+    if (plain) return body;
+
+    const queryables = SENSORS[collection]?.queryables || [];
+    const filtered   = { ...params, filters: { ...params.filters, platforms: platformValues(params.filters?.platforms) } };
+    if (await supportsCQL2()) {
+      body['filter-lang'] = 'cql2-json';
+      body.filter = cql2Filter(filtered, queryables);
+    } else {
+      body.query = queryExtension(filtered, queryables);
+    }
+    body.sortby = (SORTS[sort] || SORTS.cloud).sortby;
+    return body;
+  }
+
+  return {
+    id: config.id, label: config.label, type: 'stac-api', url,
+    headers,
+    resolve: (asset) => new URL(asset.href, `${url}/`).href,
+    sign: async (href) => href,
+
+    async search(params, next = null, signal = null) {
+      let req = next || { href: `${url}/search`, body: await searchBody(params) };
+      let res = await send(req, signal);
+
+      if (res.status === 400 && !next) {
+        console.warn('[STAC] Search extensions rejected — filtering and sorting client-side');
+        req = { href: `${url}/search`, body: await searchBody(params, true), plain: true };
+        res = await send(req, signal);
+      }
+      if (!res.ok) throw new Error(`STAC search failed — HTTP ${res.status}`);
+      if (!res.data) throw new Error('STAC search failed — response is not JSON');
+
+      const data     = res.data;
+      const features = (data.features || []).filter(f => matchesFilters(f, params));
+      return {
+        features: req.plain ? sortScenes(features, params.sort) : features,
+        next: nextRequest(data, req),
+      };
+    },
+
+    async collections() {
+      const res = await request(`${url}/collections`, { headers: headers() });
+      if (!res.ok || !res.data) return null;
+      return (res.data.collections || []).map(c => c.id);
+    },
+
+    async item(collection, id, signal = null) {
+      const res = await request(
+        `${url}/collections/${encodeURIComponent(collection)}/items/${encodeURIComponent(id)}`,
+        { headers: headers() }, signal);
+      if (res.status === 404) return null;
+      if (!res.ok || !res.data) throw new Error(`STAC item request failed — HTTP ${res.status}`);
+      return res.data;
+    },
+  };
+}
+
+// STAC `next` link → request for the following page. POST links
+// carry a body (e.g. a paging token); with `merge` it only
+// overrides fields of the previous request body. A plain search
+// stays plain.
+function nextRequest(data, prev) {
+  const link = (data.links || []).find(l => l.rel === 'next');
+  if (!link) return null;
+  const plain = prev.plain ? { plain: true } : {};
+  if ((link.method || 'GET').toUpperCase() !== 'POST') return { href: link.href, method: 'GET', ...plain };
+  return {
+    href:   link.href,
+    method: 'POST',
+    body:   link.merge ? { ...prev.body, ...link.body } : (link.body || prev.body),
+    ...plain,
+  };
+}
+
+// ── STATIC CATALOG ────────────────────────────────────────
+// Walks catalog.json → child catalogs/collections → items once,
+// then searches in memory. Relative asset hrefs are resolved
+// against each item's own URL, so a folder of STAC files served
+// from localhost works as a stand-in catalog. Searches started
+// together share one walk; a child link that fails to load is
+// skipped (and logged), only an unreadable root fails the load.
+function staticCatalog(config) {
+  const headers = authHeaders(config, config.url);
+  let loading = null;   // promise of the items
+
+  async function getJSON(url) {
+    const res = await request(url, { headers: headers() });
+    if (!res.ok) throw new Error(`Static catalog: HTTP ${res.status} for ${url}`);
+    if (!res.data) throw new Error(`Static catalog: ${url} is not JSON`);
+    return res.data;
+  }
+
+  function load() {
+    if (!loading) {
+      loading = crawl();
+      loading.catch(() => { loading = null; });   // root failed — the next search retries
+    }
+    return loading;
+  }
+
+  async function crawl() {
+    const found  = [];
+    const seen   = new Set();
+    const failed = [];
+
+    async function walk(url, collection, depth) {
+      if (seen.has(url) || depth > 8) return;
+      seen.add(url);
+      let doc;
+      try {
+        doc = await getJSON(url);
+      } catch (e) {
+        if (!depth) throw e;
+        failed.push(url);
+        console.warn(`[STAC] ${e.message} — skipped`);
+        return;
+      }
+
+      if (doc.type === 'Feature') {
+        found.push(absolutize(doc, url, collection));
+        return;
+      }
+      if (doc.type === 'FeatureCollection') {
+        doc.features.forEach(f => found.push(absolutize(f, url, collection)));
+        return;
+      }
+      const coll = doc.type === 'Collection' ? doc.id : collection;
+      for (const link of doc.links || []) {
+        if (link.rel === 'child' || link.rel === 'item') {
+          await walk(new URL(link.href, url).href, coll, depth + 1);
+        }
+      }
+    }
+
+    await walk(new URL(config.url, globalThis.location?.href).href, null, 0);
+    console.info(`[STAC] Static catalog loaded: ${found.length} items` +
+      (failed.length ? `, ${failed.length} link(s) skipped` : ''));
+    return found;
+  }
+
+  return {
+    id: config.id, label: config.label, type: 'static', url: config.url,
+    headers,
+    resolve: (asset) => asset.href,   // made absolute while loading
+    sign: async (href) => href,
+    // Filtered + sorted in memory, paged by offset
+    async search(params, next = null, signal = null) {
+      const all    = filterAll(await abortable(load(), signal), params);
+      const offset = next?.offset || 0;
+      const limit  = params.limit || 20;
+      return {
+        features: all.slice(offset, offset + limit),
+        next: offset + limit < all.length ? { offset: offset + limit } : null,
+      };
+    },
+    async collections() {
+      const ids = [...new Set((await load()).map(f => f.collection).filter(Boolean))];
+      return ids.length ? ids : null;
+    },
+    async item(collection, id, signal = null) {
+      return (await abortable(load(), signal)).find(f => f.id === id && (!f.collection || f.collection === collection)) || null;
+    },
+  };
+}
+
+function absolutize(item, itemUrl, collection) {
+  const assets = {};
+  for (const [key, asset] of Object.entries(item.assets || {})) {
+    assets[key] = { ...asset, href: new URL(asset.href, itemUrl).href };
+  }
+  return { ...item, collection: item.collection || collection, assets };
+}
+
+// ── CLIENT-SIDE SEARCH ────────────────────────────────────
+// Same semantics as the API search: collection, bbox overlap,
+// datetime range (undated items pass), then the filters of
+// filters.js and the sort
+function filterAll(features, params) {
+  const { geometry, bbox, dateStart, dateEnd, collection, sort } = params;
+  const [w, s, e, n] = geometry ? geometryBBox(geometry) : bbox;
+  const t0 = `${dateStart}T00:00:00Z`;
+  const t1 = `${dateEnd}T23:59:59Z`;
+
+  return sortScenes(features.filter(f => {
+    if (collection && f.collection && f.collection !== collection) return false;
+    if (f.bbox) {
+      const [fw, fs, fe, fn] = f.bbox;
+      if (fw > e || fe < w || fs > n || fn < s) return false;
+    }
+    const dt = parseDate(f.properties?.datetime)?.toISOString();
+    if (dt && (dt < t0 || dt > t1)) return false;
+    return matchesFilters(f, params);
+  }), sort);
+}
+
+// ── AUTH HEADER ───────────────────────────────────────────
+// The auth header goes to the backend's own origin only: asset
+// hosts elsewhere (S3, Azure Blob, …) would receive the token, and
+// pre-signed URLs fail or need a CORS preflight with it
+function authHeaders(config, base) {
+  const origin = (href) => {
+    try { return new URL(href, globalThis.location?.href).origin; } catch (_) { return null; }
+  };
+  return (href = null) => href == null || origin(href) === origin(base) ? parseAuth(config.auth) : {};
+}
+
+function parseAuth(auth) {
+  if (!auth || !auth.trim()) return {};
+  const m = auth.match(/^\s*([\w-]+)\s*:\s*(.+)$/);
+  return m ? { [m[1]]: m[2].trim() } : { Authorization: auth.trim() };
+}
@@ -0,0 +1,83 @@
+// ══════════════════════════════════════════════════════════
+//  qa.js — Pixel quality band decoding + masking
+//          (Landsat QA_PIXEL, HLS Fmask, Sentinel-2 SCL)
+// ══════════════════════════════════════════════════════════
+
+// ── MASK CLASSES ──────────────────────────────────────────
+// Sensor-neutral classes the user can tick in the panel
+export const QA_CLASSES = [
+  { id: 'fill',    label: 'Fill'          },
+  { id: 'dilated', label: 'Dilated cloud' },
+  { id: 'cirrus',  label: 'Cirrus'        },
+  { id: 'cloud',   label: 'Cloud'         },
+  { id: 'shadow',  label: 'Cloud shadow'  },
+  { id: 'snow',    label: 'Snow'          },
+  { id: 'water',   label: 'Water'         },
+];
+
+// ── QA SCHEMES ────────────────────────────────────────────
+// bits:   class is flagged when any of its bits is set
+// values: class is flagged when the pixel equals one of its codes
+// fill:   extra codes treated as fill (outside the swath)
+const SCHEMES = {
+  // Landsat Collection 2 Level-2 QA_PIXEL (16-bit bit-packed)
+  //   bit 0 fill · 1 dilated cloud · 2 cirrus · 3 cloud
+  //   bit 4 cloud shadow · 5 snow · 6 clear · 7 water
+  landsat: {
+    bits: { fill: [0], dilated: [1], cirrus: [2], cloud: [3], shadow: [4], snow: [5], water: [7] },
+  },
+  // HLS v2 Fmask (8-bit): bit 0 cirrus · 1 cloud · 2 adjacent to
+  // cloud/shadow · 3 cloud shadow · 4 snow/ice · 5 water; 255 = fill
+  fmask: {
+    bits: { cirrus: [0], cloud: [1], dilated: [2], shadow: [3], snow: [4], water: [5] },
+    fill: [255],
+  },
+  // Sentinel-2 L2A Scene Classification (SCL) codes
+  //   0 no data · 1 saturated/defective · 3 cloud shadow · 6 water
+  //   8/9 cloud medium/high probability · 10 thin cirrus · 11 snow
+  scl: {
+    values: { fill: [0, 1], shadow: [3], water: [6], cloud: [8, 9], cirrus: [10], snow: [11] },
+  },
+};
+
+// ── BUILD MASK ────────────────────────────────────────────
+// Returns a Uint8Array where 1 = masked, 0 = keep, plus the
+// number of pixels flagged by each selected class.
+// classIds: array of QA_CLASSES ids the user wants removed
+// scheme:   'landsat' | 'fmask' | 'scl' (see sensors.js)
+export function buildQAMask(qaData, classIds, scheme = 'landsat') {
+  const qa   = qaData.data;
+  const size = qaData.width * qaData.height;
+  const mask = new Uint8Array(size);
+  const def  = SCHEMES[scheme];
+  if (!def) throw new Error(`Unknown QA scheme "${scheme}"`);
+
+  // Per selected class: a predicate on the raw QA value
+  const tests = [];
+  for (const id of classIds) {
+    if (def.bits?.[id]) {
+      const bits = def.bits[id].reduce((acc, b) => acc | (1 << b), 0);
+      tests.push([id, (v) => (v & bits) !== 0]);
+    }
+    const codes = def.values?.[id];
+    if (codes) tests.push([id, (v) => codes.includes(v)]);
+  }
+  // Fmask fill (255) has every bit set — never decode it as flags
+  const fillCodes = def.fill || [];
+
+  const counts = Object.fromEntries(classIds.map(id => [id, 0]));
+  if (!tests.length && !fillCodes.length) return { mask, counts };
+
+  for (let i = 0; i < size; i++) {
+    const v = qa[i];
+    if (fillCodes.includes(v)) {
+      if (classIds.includes('fill')) { mask[i] = 1; counts.fill++; }
+      continue;
+    }
+    for (const [id, test] of tests) {
+      if (test(v)) { mask[i] = 1; counts[id]++; }
+    }
+  }
+
+  return { mask, counts };
+}
@@ -0,0 +1,426 @@
+// ══════════════════════════════════════════════════════════
+//  report.js — Printable map sheet (PNG / multi-page PDF):
+//              basemap + index + AOI, legend, statistics,
+//              scene metadata, north arrow and scale bar
+// ══════════════════════════════════════════════════════════
+
+import { indexTileLayer, BASEMAP, AOI_COLOR } from './map.js';
+import { applyColormap, isTransparent } from './ndvi.js';
+
+// sheet: {
+//   title, subtitle,
+//   page:        key of PAGE_SIZES, orientation: 'landscape' | 'portrait'
+//   overlay:     { values, grid, cmap, range, classes } as for setNDVIOverlay
+//   bounds:      [w, s, e, n] lon/lat extent the map frame must show
+//   geometry:    AOI outline (GeoJSON, WGS84) or null
+//   legend:      { title, cmap, range, ticks: [text], colorOf?, classes? }
+//                colorOf: value → [r, g, b] replacing the colormap,
+//                classes: [{ name, color }] listed under the bar
+//   stats:       [[label, value text]]
+//   scenes:      [{ id, date, cloud, platform }]
+//   footer:      text under the map
+//   details:     [{ title, head: [text], rows: [[text]] }] — tables on
+//                the following PDF pages
+// }
+//
+// Page 1 is drawn on a canvas at DPI (the PNG, or the first PDF
+// page); the map is assembled from Web Mercator tiles at the zoom
+// that fits `bounds`, with the index drawn by the same tile
+// renderer as the live map.
+
+export const PAGE_SIZES = {
+  a4:     { label: 'A4',     mm: [297, 210] },
+  a3:     { label: 'A3',     mm: [420, 297] },
+  letter: { label: 'Letter', mm: [279.4, 215.9] },
+};
+
+const DPI       = 200;
+const TILE      = 256;
+const MAX_TILES = 300;     // per layer — lower zoom beyond this
+const R_EARTH   = 6378137;
+const FONT      = 'Helvetica, Arial, sans-serif';
+
+const mm = (v) => Math.round(v / 25.4 * DPI);
+const pt = (v) => Math.round(v / 72 * DPI);
+
+// ── PAGE 1 ────────────────────────────────────────────────
+// Returns { canvas, missingTiles } — basemap tiles that failed to
+// load are left blank
+export async function renderReportPage(sheet, onStep = () => {}) {
+  const [pw, ph] = pageMM(sheet);
+  const canvas = document.createElement('canvas');
+  canvas.width  = mm(pw);
+  canvas.height = mm(ph);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const M = mm(10);
+  const landscape = pw > ph;
+
+  // Header
+  ctx.fillStyle = '#1b1b1b';
+  ctx.textBaseline = 'top';
+  ctx.font = `bold ${pt(18)}px ${FONT}`;
+  ctx.fillText(sheet.title, M, M, canvas.width - 2 * M);
+  ctx.fillStyle = '#666';
+  ctx.font = `${pt(9)}px ${FONT}`;
+  ctx.fillText(sheet.subtitle || '', M, M + pt(24), canvas.width - 2 * M);
+
+  // Map frame and the panel beside (landscape) or below (portrait) it
+  const top    = M + mm(16);
+  const footer = mm(6);
+  const frame  = landscape
+    ? { x: M, y: top, w: canvas.width - 2 * M - mm(72), h: canvas.height - top - M - footer }
+    : { x: M, y: top, w: canvas.width - 2 * M, h: Math.round((canvas.height - top) * 0.58) };
+  const panel = landscape
+    ? { x: frame.x + frame.w + mm(6), y: top, w: mm(66) }
+    : { x: M, y: frame.y + frame.h + footer + mm(4), w: canvas.width - 2 * M };
+
+  const view = fitView(sheet.bounds, frame.w, frame.h);
+  const missingTiles = await drawMap(ctx, frame, view, sheet, onStep);
+  drawNorthArrow(ctx, frame);
+  drawScaleBar(ctx, frame, view);
+
+  ctx.fillStyle = '#888';
+  ctx.textBaseline = 'top';
+  ctx.font = `${pt(7)}px ${FONT}`;
+  ctx.fillText(sheet.footer || '', frame.x, frame.y + frame.h + mm(1.5), frame.w);
+
+  // Legend, statistics, scenes — stacked, or in three columns
+  if (landscape) {
+    let y = drawLegend(ctx, panel.x, panel.y, panel.w, sheet.legend);
+    y = drawKeyValues(ctx, panel.x, y + mm(6), panel.w, 'STATISTICS', sheet.stats);
+    drawScenes(ctx, panel.x, y + mm(6), panel.w, sheet.scenes);
+  } else {
+    const col = (panel.w - mm(8)) / 3;
+    drawLegend(ctx, panel.x, panel.y, col, sheet.legend);
+    drawKeyValues(ctx, panel.x + col + mm(4), panel.y, col, 'STATISTICS', sheet.stats);
+    drawScenes(ctx, panel.x + 2 * (col + mm(4)), panel.y, col, sheet.scenes);
+  }
+
+  return { canvas, missingTiles };
+}
+
+function pageMM({ page = 'a4', orientation = 'landscape' }) {
+  const [a, b] = (PAGE_SIZES[page] || PAGE_SIZES.a4).mm;
+  return orientation === 'portrait' ? [b, a] : [a, b];
+}
+
+// ── MAP FRAME ─────────────────────────────────────────────
+// Web Mercator in pixels of a 256 px world at zoom 0
+const mercX = (lon) => (lon + 180) / 360 * TILE;
+const mercY = (lat) => {
+  const s = Math.sin(Math.max(-85.05, Math.min(85.05, lat)) * Math.PI / 180);
+  return (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * TILE;
+};
+
+// Tile zoom z and `scale` (page px per tile px) showing bounds in
+// a w × h frame; ox / oy: frame origin in tile px at zoom z
+function fitView([w, s, e, n], fw, fh) {
+  const x0 = mercX(w), x1 = mercX(e), y0 = mercY(n), y1 = mercY(s);
+  const pad  = 1.08;
+  const fitZ = Math.min(18, Math.log2(Math.min(fw / ((x1 - x0) * pad || 1e-9), fh / ((y1 - y0) * pad || 1e-9))));
+  let z = Math.max(0, Math.round(fitZ));
+  const tiles = (zz) => {
+    const k = Math.pow(2, fitZ - zz);
+    return (Math.ceil(fw / k / TILE) + 1) * (Math.ceil(fh / k / TILE) + 1);
+  };
+  while (z > 0 && tiles(z) > MAX_TILES) z--;
+
+  const scale = Math.pow(2, fitZ - z);
+  const cx = (x0 + x1) / 2 * Math.pow(2, z), cy = (y0 + y1) / 2 * Math.pow(2, z);
+  const lat = (s + n) / 2;
+  return {
+    z, scale, fitZ,
+    ox: cx - fw / 2 / scale,
+    oy: cy - fh / 2 / scale,
+    // Ground metres per page pixel at the centre latitude
+    mpp: 2 * Math.PI * R_EARTH * Math.cos(lat * Math.PI / 180) / (TILE * Math.pow(2, fitZ)),
+  };
+}
+
+async function drawMap(ctx, frame, view, sheet, onStep) {
+  const { z, scale, ox, oy } = view;
+  const n   = Math.pow(2, z);
+  const tx0 = Math.floor(ox / TILE), tx1 = Math.floor((ox + frame.w / scale) / TILE);
+  const ty0 = Math.max(0, Math.floor(oy / TILE)), ty1 = Math.min(n - 1, Math.floor((oy + frame.h / scale) / TILE));
+  // Tile edges rounded to whole pixels, so neighbours neither
+  // overlap nor leave hairline gaps
+  const edgeX = (tx) => Math.round(frame.x + (tx * TILE - ox) * scale);
+  const edgeY = (ty) => Math.round(frame.y + (ty * TILE - oy) * scale);
+  const jobs = [];
+  for (let ty = ty0; ty <= ty1; ty++) {
+    for (let tx = tx0; tx <= tx1; tx++) {
+      jobs.push({
+        ty, wrapped: ((tx % n) + n) % n,
+        x: edgeX(tx), y: edgeY(ty), w: edgeX(tx + 1) - edgeX(tx), h: edgeY(ty + 1) - edgeY(ty),
+      });
+    }
+  }
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(frame.x, frame.y, frame.w, frame.h);
+  ctx.clip();
+  ctx.fillStyle = '#262626';
+  ctx.fillRect(frame.x, frame.y, frame.w, frame.h);
+
+  // Basemap — retina tiles for print sharpness
+  let done = 0, missing = 0;
+  await Promise.all(jobs.map(async (j) => {
+    const img = await loadImage(L.Util.template(BASEMAP.url, {
+      s: BASEMAP.subdomains[(j.wrapped + j.ty) % BASEMAP.subdomains.length],
+      x: j.wrapped, y: j.ty, z, r: '@2x',
+    }));
+    if (img) ctx.drawImage(img, j.x, j.y, j.w, j.h);
+    else missing++;
+    onStep(`REPORT · BASEMAP ${++done}/${jobs.length}`, done / jobs.length * 80);
+  }));
+
+  // Index overlay, nearest-neighbour like the map
+  const layer = indexTileLayer(sheet.overlay);
+  ctx.imageSmoothingEnabled = false;
+  ctx.globalAlpha = 0.85;
+  for (const j of jobs) {
+    ctx.drawImage(layer.createTile({ x: j.wrapped, y: j.ty, z }), j.x, j.y, j.w, j.h);
+  }
+  ctx.globalAlpha = 1;
+  ctx.imageSmoothingEnabled = true;
+  onStep('REPORT · LAYOUT', 90);
+
+  // AOI outline
+  if (sheet.geometry) {
+    const k  = Math.pow(2, z);
+    const px = ([lon, lat]) => [frame.x + (mercX(lon) * k - ox) * scale, frame.y + (mercY(lat) * k - oy) * scale];
+    const polys = sheet.geometry.type === 'Polygon' ? [sheet.geometry.coordinates] : sheet.geometry.coordinates;
+    ctx.strokeStyle = AOI_COLOR;
+    ctx.lineWidth   = pt(1.5);
+    ctx.setLineDash([pt(4.5), pt(3)]);
+    ctx.beginPath();
+    for (const poly of polys) {
+      for (const ring of poly) {
+        ring.forEach((p, i) => {
+          const [x, y] = px(p);
+          if (i) ctx.lineTo(x, y);
+          else ctx.moveTo(x, y);
+        });
+        ctx.closePath();
+      }
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  ctx.restore();
+
+  ctx.strokeStyle = '#1b1b1b';
+  ctx.lineWidth   = pt(0.75);
+  ctx.strokeRect(frame.x, frame.y, frame.w, frame.h);
+  return missing;
+}
+
+function loadImage(url) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';   // keeps the canvas exportable
+    img.onload  = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+}
+
+// ── MAP FURNITURE ─────────────────────────────────────────
+function drawNorthArrow(ctx, frame) {
+  const s = mm(5);
+  const x = frame.x + frame.w - mm(9), y = frame.y + mm(6);
+  ctx.fillStyle = 'rgba(255,255,255,.9)';
+  ctx.beginPath();
+  ctx.arc(x, y + s * 0.6, s * 1.25, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.fillStyle = '#1b1b1b';
+  ctx.beginPath();
+  ctx.moveTo(x, y - s * 0.3);
+  ctx.lineTo(x + s * 0.5, y + s * 1.1);
+  ctx.lineTo(x, y + s * 0.75);
+  ctx.lineTo(x - s * 0.5, y + s * 1.1);
+  ctx.closePath();
+  ctx.fill();
+  ctx.font = `bold ${pt(8)}px ${FONT}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText('N', x, y - s * 0.3);
+  ctx.textAlign = 'left';
+}
+
+// Four alternating segments, ~1/5 of the frame, rounded to 1-2-5
+function drawScaleBar(ctx, frame, { mpp }) {
+  const target = frame.w / 5 * mpp;
+  const pow  = Math.pow(10, Math.floor(Math.log10(target)));
+  const step = [1, 2, 5, 10].find(f => f * pow >= target / 1.6) * pow;
+  const len  = step / mpp;
+  const h    = mm(1.6);
+  const x    = frame.x + mm(5), y = frame.y + frame.h - mm(8);
+
+  ctx.fillStyle = 'rgba(255,255,255,.9)';
+  ctx.fillRect(x - mm(2), y - mm(5), len + mm(16), h + mm(7));
+  for (let k = 0; k < 4; k++) {
+    ctx.fillStyle = k % 2 ? '#fff' : '#1b1b1b';
+    ctx.fillRect(x + k * len / 4, y, len / 4, h);
+  }
+  ctx.strokeStyle = '#1b1b1b';
+  ctx.lineWidth   = pt(0.5);
+  ctx.strokeRect(x, y, len, h);
+
+  ctx.fillStyle = '#1b1b1b';
+  ctx.font = `${pt(7)}px ${FONT}`;
+  ctx.textBaseline = 'bottom';
+  const label = (m) => m >= 1000 ? `${+(m / 1000).toFixed(2)} km` : `${+m.toFixed(1)} m`;
+  ctx.fillText('0', x - pt(2), y - mm(0.6));
+  ctx.fillText(label(step), x + len - pt(4), y - mm(0.6));
+}
+
+// ── SIDE PANEL ────────────────────────────────────────────
+// Each block returns the y below it
+function heading(ctx, x, y, text) {
+  ctx.fillStyle = '#2e7d32';
+  ctx.font = `bold ${pt(8)}px ${FONT}`;
+  ctx.textBaseline = 'top';
+  ctx.fillText(text, x, y);
+  return y + pt(12);
+}
+
+function drawLegend(ctx, x, y, w, legend) {
+  y = heading(ctx, x, y, legend.title.toUpperCase());
+  const [lo, hi] = legend.range;
+  const h = mm(5);
+  for (let i = 0; i < w; i++) {
+    const t = i / (w - 1);
+    if (!legend.colorOf && isTransparent(legend.cmap, lo + (hi - lo) * t)) continue;   // left blank
+    const [r, g, b] = legend.colorOf ? legend.colorOf(lo + (hi - lo) * t) : applyColormap(t, legend.cmap);
+    ctx.fillStyle = `rgb(${r},${g},${b})`;
+    ctx.fillRect(x + i, y, 1, h);
+  }
+  ctx.strokeStyle = '#999';
+  ctx.lineWidth   = pt(0.5);
+  ctx.strokeRect(x, y, w, h);
+
+  ctx.fillStyle = '#444';
+  ctx.font = `${pt(7)}px ${FONT}`;
+  legend.ticks.forEach((text, k) => {
+    ctx.textAlign = k === 0 ? 'left' : k === legend.ticks.length - 1 ? 'right' : 'center';
+    ctx.fillText(text, x + w * k / (legend.ticks.length - 1), y + h + mm(1));
+  });
+  ctx.textAlign = 'left';
+  y += h + mm(1) + pt(10);
+
+  for (const c of legend.classes || []) {
+    ctx.fillStyle = c.color;
+    ctx.fillRect(x, y + pt(1), pt(8), pt(8));
+    ctx.fillStyle = '#333';
+    ctx.fillText(c.name, x + pt(12), y + pt(1), w - pt(12));
+    y += pt(11);
+  }
+  return y;
+}
+
+function drawKeyValues(ctx, x, y, w, title, rows) {
+  y = heading(ctx, x, y, title);
+  ctx.font = `${pt(8)}px ${FONT}`;
+  for (const [label, value] of rows) {
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, x, y, w * 0.55);
+    ctx.fillStyle = '#1b1b1b';
+    ctx.textAlign = 'right';
+    ctx.fillText(value, x + w, y, w * 0.45);
+    y += pt(11);
+  }
+  ctx.textAlign = 'left';
+  return y;
+}
+
+// At most four scenes; the PDF detail pages list all of them
+function drawScenes(ctx, x, y, w, scenes) {
+  y = heading(ctx, x, y, scenes.length > 1 ? `SCENES (${scenes.length})` : 'SCENE');
+  for (const s of scenes.slice(0, 4)) {
+    ctx.fillStyle = '#1b1b1b';
+    ctx.font = `${pt(7)}px ${FONT}`;
+    ctx.fillText(s.id, x, y, w);
+    ctx.fillStyle = '#666';
+    const cloud = s.cloud != null ? `${(+s.cloud).toFixed(1)}% cloud` : 'cloud n/a';
+    ctx.fillText(`${s.date} · ${cloud} · ${s.platform || 'platform n/a'}`, x, y + pt(9), w);
+    y += pt(22);
+  }
+  if (scenes.length > 4) {
+    ctx.fillStyle = '#666';
+    ctx.fillText(`+ ${scenes.length - 4} more`, x, y);
+    y += pt(11);
+  }
+  return y;
+}
+
+// ── EXPORT ────────────────────────────────────────────────
+// format: 'png' | 'pdf' — PDF needs jsPDF (global `jspdf`)
+// Returns { blob, missingTiles }
+export async function exportReport(sheet, format = 'pdf', onStep = () => {}) {
+  const { canvas, missingTiles } = await renderReportPage(sheet, onStep);
+
+  if (format === 'png') {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return { blob, missingTiles };
+  }
+
+  if (!globalThis.jspdf) throw new Error('PDF library (jsPDF) did not load — try PNG');
+  const [pw, ph] = pageMM(sheet);
+  const doc = new jspdf.jsPDF({ orientation: pw > ph ? 'landscape' : 'portrait', unit: 'mm', format: [pw, ph] });
+  doc.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, pw, ph);
+  writeDetails(doc, sheet, pw, ph);
+  onStep('REPORT · PDF', 100);
+  return { blob: doc.output('blob'), missingTiles };
+}
+
+// The standard PDF fonts only cover Latin-1 (+ a few marks)
+const pdfText = (s) => String(s ?? '')
+  .replace(/Δ/g, 'd').replace(/→/g, '->').replace(/−/g, '-').replace(/≥/g, '>=').replace(/≤/g, '<=')
+  .replace(/[^\x00-\xff—–·…]/g, '?');
+
+// Detail tables as PDF text, continued over as many pages as needed
+function writeDetails(doc, sheet, pw, ph) {
+  const M = 15, line = 5;
+  let y = ph;
+  const need = (h) => {
+    if (y + h <= ph - M) return;
+    doc.addPage([pw, ph], pw > ph ? 'landscape' : 'portrait');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(27);
+    doc.text(pdfText(`${sheet.title} — details`), M, M);
+    y = M + 10;
+  };
+
+  for (const table of sheet.details || []) {
+    need(line * 3);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.setTextColor(46, 125, 50);
+    doc.text(pdfText(table.title), M, y);
+    y += line + 1;
+
+    const cols = table.head.length;
+    const colW = (pw - 2 * M) / cols;
+    const row = (cells, bold) => {
+      need(line);
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.setFontSize(8);
+      doc.setTextColor(bold ? 110 : 27);
+      cells.forEach((c, k) => {
+        const text = doc.splitTextToSize(pdfText(c), colW - 2)[0] || '';
+        doc.text(text, M + k * colW, y);
+      });
+      y += line;
+    };
+    row(table.head, true);
+    table.rows.forEach(r => row(r, false));
+    y += line;
+  }
+}
@@ -0,0 +1,233 @@
+// ══════════════════════════════════════════════════════════
+//  requests.js — Shared HTTP queue: per-host concurrency,
+//                rate-limit backoff, cancellation, byte counts
+// ══════════════════════════════════════════════════════════
+
+// Every network read goes through request() — STAC searches, SAS
+// tokens and COG byte ranges alike:
+//   · at most MAX_PER_HOST requests run per host, the rest wait
+//     in order
+//   · a 429 / 503 pauses the whole host (Retry-After, else
+//     exponential backoff) and the request is retried — so one
+//     caller's rate limit slows every caller down, not just it
+//   · a network error is retried once, without pausing the host;
+//     a CORS rejection (the server answers, but not to this page)
+//     and errors while offline fail at once
+//   · a request whose signal aborts leaves the queue, or is
+//     cancelled in flight, and rejects with an AbortError
+//   · bytes received are counted per signal (see transferred)
+// Workers hand their requests to the page (see worker.js and
+// workers.js), so the limits hold across threads.
+
+const MAX_PER_HOST = 6;
+const MAX_RETRIES  = 4;       // attempts on a retryable status
+const NET_RETRIES  = 1;       // extra attempts after a network error
+const BASE_DELAY   = 800;     // ms, doubled per retry: 800 → 1600 → 3200
+const RETRY_STATUS = new Set([429, 503]);
+
+const hosts  = new Map();     // host → { active, waiting, pausedUntil, timer }
+const meters = new WeakMap(); // signal → { loaded, expected }
+let transport = null;         // worker side: (url, init, signal) → response
+
+// ── REQUEST ───────────────────────────────────────────────
+// init: { method, headers, body (string), as: 'json' | 'buffer' | 'text' }
+// Resolves with { ok, status, headers, data } — headers a plain
+// object with lower-case names, data the body read `as` asked
+// (null when a JSON body does not parse). HTTP errors resolve
+// like any response; network errors reject after the retry.
+export async function request(url, init = {}, signal = null) {
+  if (transport) return transport(url, init, signal);
+  const host  = hostOf(url);
+  let delay = BASE_DELAY;
+  let netRetries = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    let res = null, error = null;
+    const release = await acquire(host, signal);
+    try {
+      res = await send(url, init, signal);
+    } catch (e) {
+      error = e;
+    } finally {
+      release();
+    }
+
+    if (error) {
+      if (isAbort(error) || globalThis.navigator?.onLine === false || netRetries >= NET_RETRIES) throw error;
+      if (await corsBlocked(url, signal)) {
+        throw new TypeError(`${host} refused the request from this page (CORS) — the server must allow this origin`);
+      }
+      netRetries++;
+      console.warn(`[NET] ${error.message} from ${host} — retrying in ${delay} ms`);
+      await new Promise(r => setTimeout(r, delay));   // this request only: not a rate limit
+      continue;
+    }
+    if (!RETRY_STATUS.has(res.status) || attempt >= MAX_RETRIES) return res;
+
+    const wait = retryAfter(res.headers['retry-after']) || delay;
+    console.warn(`[NET] HTTP ${res.status} from ${host} — retrying in ${wait} ms (attempt ${attempt}/${MAX_RETRIES})`);
+    pause(host, wait);
+    delay *= 2;
+  }
+}
+
+// fetch() rejects a CORS refusal like a network failure. An opaque
+// (no-cors) probe that gets an answer tells them apart: the server
+// is up and only refuses this origin, so retrying cannot help.
+// Outside a browser page there is no CORS.
+async function corsBlocked(url, signal) {
+  const page = globalThis.location;
+  if (!page || new URL(url, page.href).origin === page.origin) return false;
+  try {
+    await fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: signal || undefined });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function send(url, { method = 'GET', headers = {}, body, as = 'json' }, signal) {
+  const res   = await fetch(url, { method, headers, body, signal: signal || undefined });
+  const head  = Object.fromEntries(res.headers);
+  const meter = signal && meterOf(signal);
+  if (meter) meter.expected += +head['content-length'] || 0;
+  const bytes = await readBody(res, (n) => { if (meter) meter.loaded += n; });
+
+  let data;
+  if (as === 'buffer') {
+    data = bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+      ? bytes.buffer
+      : bytes.slice().buffer;
+  } else {
+    const text = new TextDecoder().decode(bytes);
+    if (as === 'text') data = text;
+    else try { data = JSON.parse(text); } catch (_) { data = null; }
+  }
+  return { ok: res.ok, status: res.status, headers: head, data };
+}
+
+// Body chunk by chunk, so progress follows the download
+async function readBody(res, count) {
+  if (!res.body?.getReader) {
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    count(bytes.length);
+    return bytes;
+  }
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+    count(value.length);
+  }
+  if (chunks.length === 1) return chunks[0];
+  const out = new Uint8Array(size);
+  let offset = 0;
+  for (const c of chunks) { out.set(c, offset); offset += c.length; }
+  return out;
+}
+
+// Retry-After in seconds or as an HTTP date → ms (or null)
+function retryAfter(value) {
+  if (!value) return null;
+  const ms = /^\d+$/.test(value.trim()) ? +value * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, 60000) : null;
+}
+
+// ── HOST QUEUES ───────────────────────────────────────────
+function hostOf(url) {
+  try { return new URL(url, globalThis.location?.href).host; } catch (_) { return ''; }
+}
+
+// Resolves with a release() once a slot on the host is free
+function acquire(name, signal) {
+  if (!hosts.has(name)) hosts.set(name, { active: 0, waiting: [], pausedUntil: 0, timer: null });
+  const host = hosts.get(name);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(abortError()); return; }
+    const onAbort = () => {
+      host.waiting.splice(host.waiting.indexOf(entry), 1);
+      reject(abortError());
+    };
+    const entry = () => {
+      signal?.removeEventListener('abort', onAbort);
+      host.active++;
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        host.active--;
+        drain(host);
+      });
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    host.waiting.push(entry);
+    drain(host);
+  });
+}
+
+function drain(host) {
+  const wait = host.pausedUntil - Date.now();
+  if (wait > 0) {
+    host.timer = host.timer || setTimeout(() => { host.timer = null; drain(host); }, wait);
+    return;
+  }
+  while (host.active < MAX_PER_HOST && host.waiting.length) host.waiting.shift()();
+}
+
+function pause(name, ms) {
+  const host = hosts.get(name);
+  host.pausedUntil = Math.max(host.pausedUntil, Date.now() + ms);
+}
+
+// ── CANCELLATION ──────────────────────────────────────────
+export function abortError() {
+  return new DOMException('Cancelled', 'AbortError');
+}
+
+// True for the errors a cancelled operation rejects with
+export function isAbort(e) {
+  return e?.name === 'AbortError';
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
+// Rejects as soon as the signal aborts, else settles with the
+// promise — for work shared between callers (one SAS token, one
+// open COG) that one caller's cancel must not stop
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// ── BYTE COUNTS ───────────────────────────────────────────
+// Bytes received so far by the requests made with `signal`, and
+// the Content-Length total of the responses started — progress
+// of an operation is read from the operation's own signal
+export function transferred(signal) {
+  const m = signal && meters.get(signal);
+  return { loaded: m?.loaded || 0, expected: m?.expected || 0 };
+}
+
+function meterOf(signal) {
+  if (!meters.has(signal)) meters.set(signal, { loaded: 0, expected: 0 });
+  return meters.get(signal);
+}
+
+// ── WORKERS ───────────────────────────────────────────────
+// In a worker, request() hands every call to `fn` instead — which
+// posts it to the page (see worker.js)
+export function setTransport(fn) {
+  transport = fn;
+}
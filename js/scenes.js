@@ -2,14 +2,24 @@
 //  scenes.js — Scene list rendering and selection
 // ══════════════════════════════════════════════════════════
 
-import { toast } from './ui.js';
+import { toast, esc } from './ui.js';
 import { highlightSceneBBox, showPreviewImage } from './map.js';
-import { signUrl } from './stac.js';
+import { assetUrl } from './stac.js';
+import { sceneInfo } from './filters.js';
 
 // ── RENDER LIST ───────────────────────────────────────────
-export function renderScenes(scenes, onSelect) {
+// onMark(role, feature): role is 'before' | 'after' — fired by the
+// change-detection buttons on each card
+// opts: { selectedId, marked: { before, after } (scene ids) — kept
+//         across re-renders; hasMore + onMore() — "load more" row,
+//         also triggered when it scrolls into view }
+let moreObserver = null;
+
+export function renderScenes(scenes, onSelect, onMark, opts = {}) {
+  const { selectedId = null, marked = {}, hasMore = false, onMore = null } = opts;
   const wrap = document.getElementById('scenes-wrap');
-  document.getElementById('scount').textContent = `(${scenes.length})`;
+  document.getElementById('scount').textContent = `(${scenes.length}${hasMore ? '+' : ''})`;
+  moreObserver?.disconnect();
 
   if (!scenes.length) {
     wrap.innerHTML = `
@@ -21,29 +31,49 @@ export function renderScenes(scenes, onSelect) {
   }
 
   wrap.innerHTML = '';
+  // Ids and properties come from any catalog or dropped item JSON
 
   scenes.forEach((feature, i) => {
-    const p      = feature.properties;
-    const date   = (p.datetime || '').split('T')[0];
-    const cloud  = +(p['eo:cloud_cover'] || 0).toFixed(1);
-    const platf  = (p.platform || '').toUpperCase();
-    const shortId = feature.id.length > 36
-      ? feature.id.slice(0, 36) + '…'
-      : feature.id;
+    const info   = sceneInfo(feature);
+    const cloud  = +(+info.cloud || 0).toFixed(1);
+    const platf  = String(info.platform).toUpperCase();
+    const id     = String(feature.id);
+    const extra  = [
+      info.path != null ? `P${info.path}/R${info.row}` : '',
+      info.sunElevation != null ? `☀ ${info.sunElevation.toFixed(0)}°` : '',
+      info.doy != null ? `DOY ${info.doy}` : '',
+    ].filter(Boolean).join(' · ');
+    const shortId = id.length > 36 ? id.slice(0, 36) + '…' : id;
 
     const card = document.createElement('div');
-    card.className = 'card';
+    card.className = 'card' + (feature.id === selectedId ? ' sel' : '');
     card.dataset.idx = i;
+    card.dataset.id  = feature.id;
     card.innerHTML = `
-      <div class="cid" title="${feature.id}">${shortId}</div>
+      <div class="cid" title="${esc(id)}">${esc(shortId)}</div>
       <div class="cmeta">
-        <span>📅 ${date}</span>
+        <span>📅 ${esc(info.date)}</span>
         <span class="ccloud ${cloud < 15 ? 'ok' : ''}">☁ ${cloud}%</span>
       </div>
+      ${extra ? `<div class="cmeta cextra">${esc(extra)}</div>` : ''}
       <div class="cmeta" style="margin-top:3px">
-        <span>${platf}</span>
+        <span>${esc(platf)}</span>
+        <span class="cmarks">
+          <button class="cmark${marked.before === feature.id ? ' on' : ''}" data-role="before" title="Use as BEFORE scene for change detection">BEFORE</button>
+          <button class="cmark${marked.after  === feature.id ? ' on' : ''}" data-role="after"  title="Use as AFTER scene for change detection">AFTER</button>
+        </span>
       </div>`;
 
+    card.querySelectorAll('.cmark').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const role = btn.dataset.role;
+        document.querySelectorAll(`.cmark[data-role="${role}"]`).forEach(b => b.classList.remove('on'));
+        btn.classList.add('on');
+        onMark(role, feature);
+      });
+    });
+
     card.addEventListener('click', () => {
       document.querySelectorAll('.card').forEach(c => c.classList.remove('sel'));
       card.classList.add('sel');
@@ -52,10 +82,36 @@ export function renderScenes(scenes, onSelect) {
 
     wrap.appendChild(card);
   });
+
+  if (hasMore && onMore) {
+    const more = document.createElement('button');
+    more.className = 'btn btn-ghost load-more';
+    more.textContent = '↓ Load more scenes';
+    more.addEventListener('click', () => onMore());
+    wrap.appendChild(more);
+
+    moreObserver = new IntersectionObserver((entries) => {
+      if (entries.some(e => e.isIntersecting)) onMore();
+    }, { root: wrap, rootMargin: '80px' });
+    moreObserver.observe(more);
+  }
+}
+
+// ── MARK CARD ─────────────────────────────────────────────
+// Highlights a scene card when the selection comes from elsewhere
+// (e.g. a time-series chart point) and scrolls it into view
+export function markSceneCard(id) {
+  document.querySelectorAll('.card').forEach(c => {
+    const on = c.dataset.id === id;
+    c.classList.toggle('sel', on);
+    if (on) c.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  });
 }
 
 // ── HANDLE SELECTION ──────────────────────────────────────
-export async function handleSceneSelect(feature) {
+// Returns the preview shown — { url, bbox } — or null. Once
+// `signal` aborts (another scene was picked) nothing is shown.
+export async function handleSceneSelect(feature, signal = null) {
   // Debug info
   console.info('[Scene] ID:', feature.id);
   console.info('[Scene] Platform:', feature.properties.platform);
@@ -66,12 +122,16 @@ export async function handleSceneSelect(feature) {
 
   // Try to show signed preview tile
   const prevAsset = feature.assets?.rendered_preview;
+  let preview = null;
   if (prevAsset) {
     try {
-      const signedUrl = await signUrl(prevAsset.href);
+      const signedUrl = await assetUrl(prevAsset, signal);
+      if (signal?.aborted) return null;
       showPreviewImage(signedUrl, feature.bbox);
+      preview = { url: signedUrl, bbox: feature.bbox };
     } catch (_) { /* preview is optional */ }
   }
 
   toast(`Selected: ${feature.id.slice(0, 22)}…`, 'info');
+  return preview;
 }
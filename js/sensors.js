@@ -0,0 +1,114 @@
+// ══════════════════════════════════════════════════════════
+//  sensors.js — Per-collection sensor profiles: asset keys,
+//               reflectance scaling, nodata, QA scheme
+// ══════════════════════════════════════════════════════════
+
+// Each profile maps the common band names used by indices.js
+// (blue, green, red, nir08, swir16, swir22) to candidate asset
+// keys, most likely first. Alternate keys cover other STAC APIs
+// (e.g. Earth Search uses "red", "nir", "scl").
+//
+//   scale / offset  reflectance = DN * scale + offset
+//   nodata          DN value of pixels outside the swath
+//   resolution      native pixel size (m) of the finest band
+//   qa              { keys, scheme } — scheme decoded by qa.js
+//   platforms       `platform` values offered as search filters
+//   queryables      properties the STAC API can filter on
+//                   server-side (see filters.js)
+export const SENSORS = {
+  'landsat-c2-l2': {
+    label: 'Landsat 4–9 C2 L2', badge: 'LANDSAT C2L2',
+    bands: {
+      blue:   ['blue', 'SR_B2', 'sr_b2', 'SR_B1', 'sr_b1', 'B2', 'B1'],
+      green:  ['green', 'SR_B3', 'sr_b3', 'SR_B2', 'sr_b2', 'B3', 'B2'],
+      red:    ['red', 'SR_B4', 'sr_b4', 'SR_B3', 'sr_b3', 'B4', 'B3'],
+      nir08:  ['nir08', 'nir', 'SR_B5', 'sr_b5', 'SR_B4', 'sr_b4', 'B5', 'B4'],
+      swir16: ['swir16', 'SR_B6', 'sr_b6', 'SR_B5', 'sr_b5', 'B6', 'B5'],
+      swir22: ['swir22', 'SR_B7', 'sr_b7', 'B7'],
+    },
+    qa: { keys: ['qa_pixel', 'QA_PIXEL'], scheme: 'landsat' },
+    scale: 0.0000275, offset: -0.2, nodata: 0, resolution: 30,
+    platforms: ['landsat-4', 'landsat-5', 'landsat-7', 'landsat-8', 'landsat-9'],
+    queryables: ['platform', 'landsat:wrs_path', 'landsat:wrs_row', 'view:sun_elevation'],
+  },
+
+  'sentinel-2-l2a': {
+    label: 'Sentinel-2 L2A', badge: 'SENTINEL-2 L2A',
+    bands: {
+      blue:   ['B02', 'blue'],
+      green:  ['B03', 'green'],
+      red:    ['B04', 'red'],
+      nir08:  ['B08', 'nir'],        // 10 m broad NIR
+      swir16: ['B11', 'swir16'],     // 20 m
+      swir22: ['B12', 'swir22'],     // 20 m
+    },
+    qa: { keys: ['SCL', 'scl'], scheme: 'scl' },
+    scale: 0.0001, offset: 0, nodata: 0, resolution: 10,
+    platforms: ['Sentinel-2A', 'Sentinel-2B'],
+    queryables: ['platform'],
+    // Processing baseline 04.00 (Jan 2022 onwards) stores DN with
+    // BOA_ADD_OFFSET = -1000, i.e. reflectance = DN / 10000 - 0.1
+    offsetFor: (feature) => {
+      const pb = parseFloat(feature.properties['s2:processing_baseline']);
+      return pb >= 4 ? -0.1 : 0;
+    },
+  },
+
+  'hls2-l30': {
+    label: 'HLS Landsat (L30)', badge: 'HLS L30',
+    bands: {
+      blue:   ['B02'],
+      green:  ['B03'],
+      red:    ['B04'],
+      nir08:  ['B05'],
+      swir16: ['B06'],
+      swir22: ['B07'],
+    },
+    qa: { keys: ['Fmask', 'fmask'], scheme: 'fmask' },
+    scale: 0.0001, offset: 0, nodata: -9999, resolution: 30,
+    platforms: [], queryables: [],
+  },
+
+  'hls2-s30': {
+    label: 'HLS Sentinel-2 (S30)', badge: 'HLS S30',
+    bands: {
+      blue:   ['B02'],
+      green:  ['B03'],
+      red:    ['B04'],
+      nir08:  ['B8A'],               // narrow NIR, matches Landsat B5
+      swir16: ['B11'],
+      swir22: ['B12'],
+    },
+    qa: { keys: ['Fmask', 'fmask'], scheme: 'fmask' },
+    scale: 0.0001, offset: 0, nodata: -9999, resolution: 30,
+    platforms: [], queryables: [],
+  },
+};
+
+export const DEFAULT_SENSOR = 'landsat-c2-l2';
+
+// ── LOOKUP ────────────────────────────────────────────────
+// Profile for a collection id; unknown collections fall back to
+// Landsat so existing behaviour is unchanged
+export function getSensor(collection) {
+  return SENSORS[collection] || SENSORS[DEFAULT_SENSOR];
+}
+
+// Profile for a STAC item (its `collection` field)
+export function sensorFor(feature) {
+  return getSensor(feature.collection);
+}
+
+// ── SCALING ───────────────────────────────────────────────
+// { scale, offset, nodata } for one item — applies per-item
+// corrections such as the Sentinel-2 processing-baseline offset.
+// Scenes opened from disk carry their own (see local.js)
+export function scalingFor(feature) {
+  if (feature.local) return feature.local.scaling;
+  const s = sensorFor(feature);
+  return {
+    scale:  s.scale,
+    offset: s.offsetFor ? s.offsetFor(feature) : s.offset,
+    nodata: s.nodata,
+  };
+}
@@ -1,81 +1,117 @@
 // ══════════════════════════════════════════════════════════
-//  stac.js — Planetary Computer STAC search + URL signing
+//  stac.js — STAC provider registry, search, asset URLs
+//            and band key resolution
 // ══════════════════════════════════════════════════════════
 
-const STAC_URL = 'https://planetarycomputer.microsoft.com/api/stac/v1';
-const SIGN_URL = 'https://planetarycomputer.microsoft.com/api/sas/v1/sign';
-const COLLECTION = 'landsat-c2-l2';
+import { getSensor, DEFAULT_SENSOR } from './sensors.js';
+import { createProvider } from './providers.js';
+import { cached } from './cache.js';
+
+const SEARCH_TTL = 60 * 60 * 1000;   // ms a cached search page stays fresh
+
+// ── PROVIDER REGISTRY ─────────────────────────────────────
+// Built-in backends; user-added ones are registered by app.js.
+// Search, asset resolution, signing and auth headers all go
+// through the active provider (see providers.js).
+export const BUILTIN_PROVIDERS = [
+  { type: 'planetary-computer', id: 'planetary-computer', label: 'Planetary Computer', builtin: true },
+  { type: 'stac-api', id: 'earth-search', label: 'Earth Search (Element84)',
+    url: 'https://earth-search.aws.element84.com/v1', platformCase: 'lower', builtin: true },
+];
+
+const providers = new Map();
+let active = null;
+
+export function registerProvider(config) {
+  const provider = { ...createProvider(config), config };
+  providers.set(provider.id, provider);
+  if (!active) active = provider;
+  return provider;
+}
 
-// ── SEARCH ────────────────────────────────────────────────
-export async function searchScenes({ bbox, dateStart, dateEnd, cloudCover, limit = 20 }) {
-  const body = {
-    collections: [COLLECTION],
-    bbox,
-    datetime: `${dateStart}T00:00:00Z/${dateEnd}T23:59:59Z`,
-    query: { 'eo:cloud_cover': { lt: cloudCover } },
-    limit,
-    sortby: [{ field: 'eo:cloud_cover', direction: 'asc' }],
-  };
-
-  const res = await fetch(`${STAC_URL}/search`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
-
-  if (!res.ok) throw new Error(`STAC search failed — HTTP ${res.status}`);
-  const data = await res.json();
-  return data.features || [];
+export function removeProvider(id) {
+  if (providers.get(id)?.config.builtin) return;
+  providers.delete(id);
+  if (active?.id === id) active = providers.values().next().value;
 }
 
-// ── SIGN URL ──────────────────────────────────────────────
-// Retries up to 4 times with backoff on 429 (rate limit).
-// Throws on failure — never silently returns an unsigned URL,
-// because unsigned Azure Blob Storage URLs return 409.
-export async function signUrl(href) {
-  const MAX_RETRIES = 4;
-  let delay = 800; // ms
-
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      const res = await fetch(
-        `${SIGN_URL}?href=${encodeURIComponent(href)}`
-      );
-
-      if (res.ok) {
-        const data = await res.json();
-        return data.href;
-      }
+export function setActiveProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) throw new Error(`Unknown STAC provider "${id}"`);
+  active = provider;
+  return provider;
+}
 
-      if (res.status === 429) {
-        // Rate limited — wait and retry
-        console.warn(`[STAC] Sign rate limited (429), retrying in ${delay}ms… (attempt ${attempt}/${MAX_RETRIES})`);
-        await sleep(delay);
-        delay *= 2; // exponential backoff: 800 → 1600 → 3200 → 6400ms
-        continue;
-      }
+export function getActiveProvider() {
+  return active;
+}
 
-      // Any other HTTP error — not worth retrying
-      throw new Error(`URL signing failed: HTTP ${res.status}`);
+export function listProviders() {
+  return [...providers.values()];
+}
 
-    } catch (e) {
-      if (attempt === MAX_RETRIES) throw e;
-      console.warn(`[STAC] Sign error (attempt ${attempt}): ${e.message}`);
-      await sleep(delay);
-      delay *= 2;
-    }
+BUILTIN_PROVIDERS.forEach(registerProvider);
+
+// ── SEARCH ────────────────────────────────────────────────
+// geometry: GeoJSON (Multi)Polygon AOI — sent as `intersects`
+// so scenes that only touch the bbox corners are not returned
+// collection: STAC collection id with a profile in sensors.js
+// filters / sort: see filters.js
+// Returns one page { features, next }; call again with `next`
+// for the following page (null when exhausted). Pages are cached
+// per provider + parameters (see cache.js): reused for an hour,
+// and past that whenever the backend cannot be reached.
+// signal: optional AbortSignal — cancels the search (AbortError)
+export async function searchScenes({
+  geometry, bbox, dateStart, dateEnd, cloudCover, collection = DEFAULT_SENSOR, limit = 20,
+  filters = {}, sort = 'cloud',
+}, next = null, signal = null) {
+  const params   = { geometry, bbox, dateStart, dateEnd, cloudCover, collection, limit, filters, sort };
+  const provider = active;
+  return cached('stac', `search|${provider.id}|${JSON.stringify([params, next])}`,
+    () => provider.search(params, next, signal), { ttl: SEARCH_TTL });
+}
+
+// One page like searchScenes, but pages emptied entirely by
+// client-side filters (e.g. season) are skipped, a few at a time
+export async function searchPage(params, next = null, signal = null) {
+  let page = await searchScenes(params, next, signal);
+  for (let i = 0; i < 4 && !page.features.length && page.next; i++) {
+    page = await searchScenes(params, page.next, signal);
   }
+  return page;
+}
+
+// Single item by id (e.g. from a shared link) — null if the
+// active provider does not have it
+export async function fetchScene(collection, id, signal = null) {
+  const provider = active;
+  return cached('stac', `item|${provider.id}|${collection}|${id}`,
+    () => provider.item(collection, id, signal), { ttl: SEARCH_TTL });
+}
+
+// ── ASSET URLS ────────────────────────────────────────────
+// signUrl: provider signing (PC SAS token; identity elsewhere)
+// assetUrl: absolute, signed URL for a STAC asset object
+// requestHeaders: auth headers to send with a COG read of `href`
+//   (none for hosts other than the backend's — see providers.js)
+// signal: optional AbortSignal — stops waiting for the token
+export async function signUrl(href, signal = null) {
+  return active.sign(href, signal);
+}
 
-  throw new Error(`URL signing failed after ${MAX_RETRIES} attempts (rate limited). Wait a moment and try again.`);
+export async function assetUrl(asset, signal = null) {
+  return active.sign(active.resolve(asset), signal);
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function requestHeaders(href) {
+  return active.headers(href);
 }
 
 // ── RESOLVE BAND KEYS ─────────────────────────────────────
-// Planetary Computer uses common-name keys: "red", "nir08"
-// Fallbacks cover older catalog versions or alternate naming
+// Candidate asset keys per common band name come from the item's
+// sensor profile (sensors.js) — e.g. "nir08" is "nir08" on Landsat,
+// "B08" on Sentinel-2 and "B8A" on HLS S30
 function findKey(assets, candidates) {
   for (const key of candidates) {
     if (assets[key]) return key;
@@ -83,24 +119,37 @@ function findKey(assets, candidates) {
   return null;
 }
 
-export function resolveBandKeys(assets) {
+// bands: common names (see indices.js BANDS) the index needs
+// assigned: band → asset key chosen by the user (local scenes) —
+//           used as is instead of the profile's candidates
+// Returns { keys: { band → asset key | null }, qaKey, qaScheme, missing }
+export function resolveBandKeys(assets, bands = ['red', 'nir08'], collection = DEFAULT_SENSOR, assigned = null) {
   console.info('[STAC] Available asset keys:', Object.keys(assets));
 
-  const redKey = findKey(assets, ['red', 'SR_B4', 'sr_b4', 'SR_B3', 'sr_b3', 'B4', 'B3']);
-
-  let nirKey = findKey(assets, ['nir08', 'nir', 'SR_B5', 'sr_b5', 'SR_B4', 'sr_b4', 'B5', 'B4']);
+  const sensor = getSensor(collection);
+  const keys = {};
+  for (const band of bands) {
+    keys[band] = assigned
+      ? (assets[assigned[band]] ? assigned[band] : null)
+      : findKey(assets, sensor.bands[band] || [band]);
+  }
 
-  // Guard: both must differ
-  if (nirKey && nirKey === redKey) {
-    nirKey = findKey(assets,
-      Object.keys(assets).filter(k => k !== redKey && (
-        k.toLowerCase().includes('nir') ||
-        k.toLowerCase().includes('b5') ||
-        k.toLowerCase().includes('b4')
-      ))
-    );
+  // Guard: numbered fallbacks (B4, SR_B5…) mean different bands on
+  // different platforms — never let two common names share one asset
+  if (!assigned) {
+    const used = new Set();
+    for (const band of bands) {
+      if (keys[band] && used.has(keys[band])) {
+        keys[band] = findKey(assets,
+          (sensor.bands[band] || []).filter(k => assets[k] && !used.has(k)));
+      }
+      if (keys[band]) used.add(keys[band]);
+    }
   }
 
-  console.info(`[STAC] RED="${redKey}"  NIR="${nirKey}"`);
-  return { redKey, nirKey };
+  const qaKey   = findKey(assets, sensor.qa.keys);
+  const missing = bands.filter(b => !keys[b]);
+
+  console.info('[STAC] Band keys:', keys, ` QA="${qaKey}" (${sensor.qa.scheme})`);
+  return { keys, qaKey, qaScheme: sensor.qa.scheme, missing };
 }
@@ -0,0 +1,96 @@
+// ══════════════════════════════════════════════════════════
+//  tasks.js — Work units run off the main thread (worker.js)
+//             or inline where workers are unavailable
+// ══════════════════════════════════════════════════════════
+
+import { cogWindowGrid, readCOGOnGrid, computeIndexArray } from './ndvi.js';
+import { buildQAMask } from './qa.js';
+import { polygonMask, mergeMasks } from './grid.js';
+import { getIndex } from './indices.js';
+import { cached } from './cache.js';
+
+// Every task takes plain (structured-cloneable) arguments and
+// returns { result, transfer } — transfer lists the buffers handed
+// back to the caller without copying. `signal` (optional) cancels
+// the task's reads.
+const TASKS = {
+  // { url, bbox, headers, maxSize } → target grid | null
+  'window-grid': async ({ url, bbox, headers, maxSize }, signal) => ({
+    result: await cachedWindow(url, (asset) => `grid|${asset}|${bbox}|${maxSize}`,
+      () => cogWindowGrid(url, bbox, { headers, maxSize, signal })),
+    transfer: [],
+  }),
+
+  'index-tile': indexTile,
+};
+
+export async function runTask(task, args, signal = null) {
+  if (!TASKS[task]) throw new Error(`Unknown task "${task}"`);
+  return TASKS[task](args, signal);
+}
+
+// ── WINDOW CACHE ──────────────────────────────────────────
+// Decoded windows go to the IndexedDB cache keyed by asset (href
+// without its SAS token — scene + band) and target grid, so a
+// revisited AOI reads nothing from the network. Local files (see
+// ndvi.js openImage) are read from disk every time, uncached.
+// key(asset) builds the cache key from the href
+function cachedWindow(src, key, load) {
+  return typeof src === 'string' ? cached('windows', key(src.split('?')[0]), load) : load();
+}
+
+function readWindow(src, grid, headers, signal) {
+  const { epsg, x0, y0, dx, dy, width, height } = grid;
+  return cachedWindow(src, (asset) => `${asset}|${[epsg, x0, y0, dx, dy, width, height]}`,
+    () => readCOGOnGrid(src, grid, { headers, signal }));
+}
+
+// ── INDEX TILE ────────────────────────────────────────────
+// One block of the target grid: read every band (+ QA) onto it,
+// build the masks, evaluate the index.
+// args: { urls: { band → url or local source }, qaUrl, qaScheme, maskClasses,
+//         index: { id, expr }, scaling, grid, geometry, headers,
+//         keepInputs } — headers: { url → HTTP headers }
+// result: { values, mask, outside, bands, counts, empty }
+//   bands:  raw DN per band (keepInputs) — for exporting inputs
+//   empty:  the scene does not cover this tile at all
+async function indexTile({ urls, qaUrl, qaScheme, maskClasses, index: spec, scaling, grid, geometry, headers, keepInputs }, signal) {
+  const index = getIndex(spec.id, spec.expr);
+  const size  = grid.width * grid.height;
+  const outside = polygonMask(geometry, grid);
+
+  const bandData = {};
+  let uncovered = null;   // tile pixels no band window covers
+  for (const band of index.bands) {
+    const win = await readWindow(urls[band], grid, headers[urls[band]], signal);
+    if (!win.data) {
+      const values = new Float32Array(size).fill(NaN);
+      const mask   = new Uint8Array(size).fill(1);
+      return {
+        result: { values, mask, outside, bands: null, counts: {}, empty: true },
+        transfer: [values.buffer, mask.buffer, outside.buffer],
+      };
+    }
+    bandData[band] = win;
+    uncovered = mergeMasks(uncovered, win.missing);
+  }
+
+  // QA band → mask of the classes ticked in the panel
+  let mask = null, counts = {};
+  if (qaUrl) {
+    const qa = await readWindow(qaUrl, grid, headers[qaUrl], signal);
+    if (qa.data) ({ mask, counts } = buildQAMask(qa, maskClasses, qaScheme));
+    uncovered = mergeMasks(uncovered, qa.missing);
+  }
+  mask = mergeMasks(mask, uncovered) || new Uint8Array(size);
+
+  const { values } = computeIndexArray(bandData, index, mask, outside, scaling);
+  const bands = keepInputs
+    ? Object.fromEntries(index.bands.map(b => [b, bandData[b].data]))
+    : null;
+
+  return {
+    result: { values, mask, outside, bands, counts, empty: false },
+    transfer: [values.buffer, mask.buffer, outside.buffer, ...(bands ? Object.values(bands).map(a => a.buffer) : [])],
+  };
+}
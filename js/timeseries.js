@@ -0,0 +1,146 @@
+// ══════════════════════════════════════════════════════════
+//  timeseries.js — Index statistics across every scene in
+//                  the search results + SVG chart + CSV
+// ══════════════════════════════════════════════════════════
+
+import { processScene } from './pipeline.js';
+import { summarize } from './ndvi.js';
+import { isAbort } from './requests.js';
+import { sceneInfo, parseDate } from './filters.js';
+import { esc, cell } from './ui.js';
+
+// ── COMPUTE ───────────────────────────────────────────────
+// Scenes are processed one at a time (oldest first) so signing
+// stays sequential and inside the rate limit handled by signUrl.
+// A failing scene is kept in the series with its error message;
+// an aborted `signal` stops the whole series (AbortError).
+// Scenes without a valid datetime (STAC allows start/end instead)
+// cannot be placed on the time axis: they are kept, unprocessed, with an
+// error, after the dated ones.
+// Returns { index, points: [{ feature, id, date, platform, cloud,
+//           validPct, count, mean, std, min, max, p10…p90, error }] }
+export async function computeTimeSeries(scenes, {
+  index, aoi, maskClasses = [], maxSize = null, onStep = () => {}, signal = null,
+}) {
+  const dated   = (f) => parseDate(f.properties.datetime)?.toISOString() || '';
+  const ordered = [...scenes].sort((a, b) =>
+    !dated(a) - !dated(b) || dated(a).localeCompare(dated(b)));
+
+  const points = [];
+  for (const [i, feature] of ordered.entries()) {
+    const info = sceneInfo(feature);
+    const point = {
+      feature,
+      id:       feature.id,
+      date:     info.date,
+      platform: info.platform,
+      cloud:    info.cloud,
+      validPct: 0,
+      ...summarize([]),
+      error:    null,
+    };
+
+    try {
+      if (!info.date) throw new Error('no acquisition date');
+      const res = await processScene(feature, {
+        index, aoi, maskClasses, maxSize, keepInputs: false, signal,
+        onStep: (txt, pct) => onStep(`SCENE ${i + 1}/${ordered.length} · ${txt}`,
+          Math.round((i + pct / 100) / ordered.length * 100)),
+      });
+      Object.assign(point, summarize(res.values), { validPct: res.stats.validPct });
+    } catch (e) {
+      if (isAbort(e)) throw e;
+      console.warn(`[SERIES] ${feature.id}: ${e.message}`);
+      point.error = e.message;
+    }
+
+    points.push(point);
+  }
+
+  onStep('TIME SERIES READY', 100);
+  return { index: index.label, points };
+}
+
+// ── CHART ─────────────────────────────────────────────────
+// SVG chart: p10–p90 and p25–p75 bands, mean line, dashed
+// median line. onSelect(point) fires when a point is clicked.
+export function renderTimeSeriesChart(container, series, onSelect) {
+  const pts = series.points.filter(p => !isNaN(p.mean));
+  // Dates and platforms come from the catalog's items
+  const W = container.clientWidth || 440;
+  const H = 220;
+  const M = { l: 42, r: 12, t: 10, b: 30 };
+
+  const t0 = Date.parse(pts[0].date);
+  const t1 = Date.parse(pts[pts.length - 1].date);
+  const tPad = t1 > t0 ? 0 : 86400000;   // single date → ±1 day
+  let   yMin = Math.min(...pts.map(p => p.p10));
+  let   yMax = Math.max(...pts.map(p => p.p90));
+  const yPad = (yMax - yMin) * 0.08 || 0.05;
+  yMin -= yPad; yMax += yPad;
+
+  const x = (d) => M.l + (Date.parse(d) - t0 + tPad) / (t1 - t0 + 2 * tPad) * (W - M.l - M.r);
+  const y = (v) => M.t + (yMax - v) / (yMax - yMin) * (H - M.t - M.b);
+
+  const line = (key) => pts.map((p, i) => `${i ? 'L' : 'M'}${x(p.date).toFixed(1)},${y(p[key]).toFixed(1)}`).join('');
+  const band = (lo, hi) =>
+    line(hi) + pts.slice().reverse().map(p => `L${x(p.date).toFixed(1)},${y(p[lo]).toFixed(1)}`).join('') + 'Z';
+
+  // Axis ticks
+  const yTicks = niceTicks(yMin, yMax, 5);
+  const xCount = Math.min(pts.length, 5);
+  const xTicks = pts.length === 1 ? [pts[0].date] :
+    Array.from({ length: xCount }, (_, i) =>
+      new Date(t0 + (t1 - t0) * i / (xCount - 1)).toISOString().slice(0, 10));
+
+  container.innerHTML = `
+    <svg width="${W}" height="${H}" class="ts-svg">
+      ${yTicks.map(v => `
+        <line class="ts-grid" x1="${M.l}" x2="${W - M.r}" y1="${y(v)}" y2="${y(v)}"/>
+        <text class="ts-tick" x="${M.l - 5}" y="${y(v) + 3}" text-anchor="end">${v.toFixed(2)}</text>`).join('')}
+      ${xTicks.map(d => `
+        <text class="ts-tick" x="${x(d)}" y="${H - M.b + 14}" text-anchor="middle">${esc(d)}</text>`).join('')}
+      <path class="ts-band-outer" d="${band('p10', 'p90')}"/>
+      <path class="ts-band-inner" d="${band('p25', 'p75')}"/>
+      <path class="ts-median" d="${line('median')}"/>
+      <path class="ts-mean" d="${line('mean')}"/>
+      ${pts.map((p, i) => `
+        <circle class="ts-pt" data-i="${i}" cx="${x(p.date)}" cy="${y(p.mean)}" r="4">
+          <title>${esc(p.date)} · ${esc(p.platform)}\nmean ${p.mean.toFixed(3)} · median ${p.median.toFixed(3)}\np10–p90 ${p.p10.toFixed(3)} – ${p.p90.toFixed(3)}\nvalid ${p.validPct.toFixed(1)}% · cloud ${(+p.cloud || 0).toFixed(1)}%</title>
+        </circle>`).join('')}
+    </svg>
+    <div class="ts-key">
+      <span><i class="k-mean"></i>mean</span>
+      <span><i class="k-median"></i>median</span>
+      <span><i class="k-inner"></i>p25–p75</span>
+      <span><i class="k-outer"></i>p10–p90</span>
+    </div>`;
+
+  container.querySelectorAll('.ts-pt').forEach(c => {
+    c.addEventListener('click', () => {
+      container.querySelectorAll('.ts-pt').forEach(o => o.classList.remove('sel'));
+      c.classList.add('sel');
+      onSelect(pts[+c.dataset.i]);
+    });
+  });
+}
+
+// Round tick values (1/2/5 × 10^n steps) covering [lo, hi]
+function niceTicks(lo, hi, count) {
+  const raw  = (hi - lo) / count;
+  const mag  = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw);
+  const out  = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + 1e-9; v += step) out.push(+v.toFixed(10));
+  return out;
+}
+
+// ── CSV EXPORT ────────────────────────────────────────────
+const CSV_COLUMNS = ['date', 'id', 'platform', 'cloud', 'validPct', 'count',
+  'mean', 'median', 'std', 'min', 'max', 'p10', 'p25', 'p75', 'p90', 'error'];
+
+export function seriesToCSV(series) {
+  const header = ['index', ...CSV_COLUMNS.map(c => c === 'id' ? 'scene_id' : c === 'validPct' ? 'valid_pct' : c)];
+  const rows   = series.points.map(p => [series.index, ...CSV_COLUMNS.map(c => cell(p[c]))].join(','));
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
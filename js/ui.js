@@ -1,5 +1,6 @@
 // ══════════════════════════════════════════════════════════
-//  ui.js — Toast, Loader, Status bar, Progress bar
+//  ui.js — Toast, Loader, Status bar, Progress bar,
+//          HTML / CSV escaping
 // ══════════════════════════════════════════════════════════
 
 export function setStatus(txt, state) {
@@ -30,9 +31,45 @@ export function toast(msg, type = 'info') {
   _toastTimer = setTimeout(() => { el.className = ''; }, 3500);
 }
 
-export function updateNDVIStats({ min, mean, max, vegPct }) {
-  document.getElementById('s-min').textContent  = min.toFixed(3);
-  document.getElementById('s-mean').textContent = mean.toFixed(3);
-  document.getElementById('s-max').textContent  = max.toFixed(3);
-  document.getElementById('s-veg').textContent  = vegPct.toFixed(1) + '%';
+// ── FILE DOWNLOAD ─────────────────────────────────────────
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a   = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ── ESCAPING ──────────────────────────────────────────────
+// Text for HTML content and attribute values
+export function esc(s) {
+  return String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+// CSV field: empty for null / NaN, numbers to 6 decimals, text
+// quoted when it holds a quote, comma or line break
+export function cell(v) {
+  if (v === null || v === undefined || (typeof v === 'number' && isNaN(v))) return '';
+  if (typeof v === 'number') return String(+v.toFixed(6));
+  const text = String(v);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// coverLabel: label of the "% above threshold" stat (VEG, WATER…)
+export function updateNDVIStats({ min, mean, max, std, p10, p50, p90, vegPct, validPct }, coverLabel = 'VEG') {
+  const fmt = (v, d = 3) => isNaN(v) ? '—' : v.toFixed(d);
+  const pct = (v) => isNaN(v) ? '—' : v.toFixed(1) + '%';
+  document.getElementById('s-min').textContent   = fmt(min);
+  document.getElementById('s-mean').textContent  = fmt(mean);
+  document.getElementById('s-max').textContent   = fmt(max);
+  document.getElementById('s-p10').textContent   = fmt(p10);
+  document.getElementById('s-p50').textContent   = fmt(p50);
+  document.getElementById('s-p90').textContent   = fmt(p90);
+  document.getElementById('s-std').textContent   = fmt(std);
+  document.getElementById('s-veg').textContent   = pct(vegPct);
+  document.getElementById('s-valid').textContent = pct(validPct);
+  document.getElementById('s-veg-label').innerHTML = `${coverLabel || 'COVER'}&nbsp;%`;
 }
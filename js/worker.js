@@ -0,0 +1,57 @@
+// ══════════════════════════════════════════════════════════
+//  worker.js — Module worker: loads GeoTIFF.js + proj4 and
+//              runs tasks.js jobs posted by workers.js
+// ══════════════════════════════════════════════════════════
+
+import * as GeoTIFF from 'https://cdn.jsdelivr.net/npm/geotiff@2.1.3/+esm';
+import proj4 from 'https://cdn.jsdelivr.net/npm/proj4@2.9.0/+esm';
+import { registerCRSs } from './crs.js';
+import { runTask } from './tasks.js';
+import { setTransport, abortError } from './requests.js';
+
+// ndvi.js / grid.js use the same globals as on the page
+globalThis.GeoTIFF = GeoTIFF;
+globalThis.proj4   = proj4;
+registerCRSs(proj4);
+
+// HTTP requests are made by the page's queue (see requests.js and
+// workers.js), so concurrency and backoff are shared with it
+const pending = new Map();   // request id → { resolve, reject }
+let nextId = 0;
+let job    = null;           // AbortController of the running task
+
+setTransport((url, init, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) { reject(abortError()); return; }
+  const id = ++nextId;
+  pending.set(id, { resolve, reject });
+  signal?.addEventListener('abort', () => { if (pending.delete(id)) reject(abortError()); }, { once: true });
+  self.postMessage({ fetch: { id, url, init } });
+}));
+
+// Messages: { task, args } runs a task, { cancel } aborts the
+// running one, { fetched } answers a request
+self.onmessage = async ({ data }) => {
+  if (data.fetched) {
+    const p = pending.get(data.fetched);
+    if (!pending.delete(data.fetched)) return;
+    if (data.response) p.resolve(data.response);
+    else p.reject(Object.assign(new Error(data.error), { name: data.name }));
+    return;
+  }
+  if (data.cancel) {
+    job?.abort();
+    return;
+  }
+
+  job = new AbortController();
+  try {
+    const { result, transfer } = await runTask(data.task, data.args, job.signal);
+    self.postMessage({ result }, transfer);
+  } catch (e) {
+    self.postMessage({ error: e.message, name: e.name });
+  } finally {
+    job = null;
+  }
+};
+
+self.postMessage({ ready: true });
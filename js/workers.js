@@ -0,0 +1,131 @@
+// ══════════════════════════════════════════════════════════
+//  workers.js — Worker pool for COG reads + index tiles
+// ══════════════════════════════════════════════════════════
+
+import { request, abortError } from './requests.js';
+
+// Jobs queue up and go to the first idle worker. Where module
+// workers are not available (Node, or the worker script fails to
+// load) the same tasks run inline, two at a time, so callers never
+// need to know which path was taken.
+const INLINE_SLOTS = 2;
+
+let slots    = null;    // [{ run(job), cancel(), job }]
+let inline   = typeof Worker === 'undefined';
+const queue  = [];      // pending { task, args, signal, resolve, reject }
+
+// ── RUN ───────────────────────────────────────────────────
+// Resolves with the task's result (see tasks.js). An aborted
+// `signal` rejects at once with an AbortError: a queued job is
+// dropped, a running one is told to stop its reads.
+export function runTask(task, args, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(abortError()); return; }
+    const job = { task, args, signal, resolve, reject };
+    signal?.addEventListener('abort', () => cancel(job), { once: true });
+    queue.push(job);
+    pump();
+  });
+}
+
+// Number of jobs that can run at once
+export function poolSize() {
+  return (slots || createSlots()).length;
+}
+
+// ── SCHEDULING ────────────────────────────────────────────
+function pump() {
+  slots = slots || createSlots();
+  for (const slot of slots) {
+    if (slot.job || !queue.length) continue;
+    slot.job = queue.shift();
+    slot.run(slot.job);
+  }
+}
+
+// The slot stays busy until the task has wound down
+function cancel(job) {
+  const at = queue.indexOf(job);
+  if (at >= 0) queue.splice(at, 1);
+  else slots?.find(s => s.job === job)?.cancel();
+  job.reject(abortError());
+}
+
+function finish(slot, error, result) {
+  const job = slot.job;
+  slot.job = null;
+  if (error) job.reject(error);
+  else job.resolve(result);
+  pump();
+}
+
+function createSlots() {
+  if (inline) return Array.from({ length: INLINE_SLOTS }, inlineSlot);
+  const n = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+  console.info(`[POOL] Starting ${n} worker(s)`);
+  return Array.from({ length: n }, workerSlot);
+}
+
+function inlineSlot() {
+  const slot = {
+    job: null,
+    run: async ({ task, args, signal }) => {
+      try {
+        const { runTask: run } = await import('./tasks.js');
+        finish(slot, null, (await run(task, args, signal)).result);
+      } catch (e) {
+        finish(slot, e);
+      }
+    },
+    cancel: () => {},   // the task has the job's signal itself
+  };
+  return slot;
+}
+
+function workerSlot() {
+  const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+  let ready = false;
+  const slot = {
+    job: null,
+    run:    ({ task, args }) => worker.postMessage({ task, args }),
+    cancel: () => worker.postMessage({ cancel: true }),
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.ready) { ready = true; return; }
+    if (data.fetch) { forward(data.fetch); return; }
+    finish(slot, data.error ? Object.assign(new Error(data.error), { name: data.name }) : null, data.result);
+  };
+
+  // The worker's HTTP requests join the page's queue, cancelled
+  // with the job they belong to
+  const forward = async ({ id, url, init }) => {
+    try {
+      const response = await request(url, init, slot.job?.signal);
+      worker.postMessage({ fetched: id, response }, response.data instanceof ArrayBuffer ? [response.data] : []);
+    } catch (e) {
+      worker.postMessage({ fetched: id, error: e.message, name: e.name });
+    }
+  };
+
+  // A worker that never loaded (e.g. CDN blocked, no module worker
+  // support) → switch the whole pool to inline and retry its job
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    if (inline) return;
+    if (ready) {
+      if (slot.job) finish(slot, new Error(e.message || 'Worker error'));   // idle: nothing to fail
+      return;
+    }
+    console.warn('[POOL] Worker failed to load — processing on the main thread');
+    for (const s of slots) {
+      if (s.job) queue.unshift(s.job);
+      s.terminate();
+    }
+    inline = true;
+    slots  = null;
+    pump();
+  };
+  slot.terminate = () => worker.terminate();
+  return slot;
+}
@@ -0,0 +1,196 @@
+// ══════════════════════════════════════════════════════════
+//  workspace.js — Named AOIs and a history of index runs kept
+//                 in the browser, with JSON export / import
+// ══════════════════════════════════════════════════════════
+
+import { renderNDVIToCanvas } from './ndvi.js';
+import { esc } from './ui.js';
+
+// Workspace (localStorage, survives reloads and "Clear"):
+//   aois: [{ id, name, created, geometry }]
+//   runs: [{ id, name, created, scene, date, index, label, stats,
+//            thumb, state }]
+//     state: the app state of the run (as encoded in permalinks,
+//            see permalink.js) — reopening a run restores it
+//     thumb: small PNG data URL of the result
+// Newest first. Only the latest MAX_RUNS runs are kept.
+
+const WORKSPACE_KEY = 'ndvi-explorer.workspace';
+const FORMAT        = 'ndvi-explorer-workspace';
+const MAX_RUNS      = 100;
+const THUMB_SIZE    = 96;     // px, long side
+
+let ws = null;
+
+function workspace() {
+  if (!ws) {
+    try { ws = JSON.parse(localStorage.getItem(WORKSPACE_KEY)); } catch (_) { ws = null; }
+    ws = { aois: ws?.aois || [], runs: ws?.runs || [] };
+  }
+  return ws;
+}
+
+// When the browser quota is reached the oldest runs are dropped
+// until the workspace fits
+function save() {
+  for (;;) {
+    try {
+      localStorage.setItem(WORKSPACE_KEY, JSON.stringify(ws));
+      return;
+    } catch (e) {
+      if (!ws.runs.length) throw new Error('Browser storage is full — export the workspace and delete some AOIs');
+      ws.runs.pop();
+    }
+  }
+}
+
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+// ── ENTRIES ───────────────────────────────────────────────
+export function listAOIs() {
+  return workspace().aois;
+}
+
+export function listRuns() {
+  return workspace().runs;
+}
+
+export function saveAOI(name, geometry) {
+  const aoi = { id: newId(), name, created: new Date().toISOString(), geometry };
+  workspace().aois.unshift(aoi);
+  save();
+  return aoi;
+}
+
+export function recordRun(run) {
+  const entry = { id: newId(), created: new Date().toISOString(), ...run };
+  const runs  = workspace().runs;
+  runs.unshift(entry);
+  runs.length = Math.min(runs.length, MAX_RUNS);
+  save();
+  return entry;
+}
+
+// kind: 'aois' | 'runs'
+export function findEntry(kind, id) {
+  return workspace()[kind].find(e => e.id === id) || null;
+}
+
+export function renameEntry(kind, id, name) {
+  const entry = findEntry(kind, id);
+  if (!entry || !name.trim()) return;
+  entry.name = name.trim();
+  save();
+}
+
+export function deleteEntry(kind, id) {
+  workspace()[kind] = workspace()[kind].filter(e => e.id !== id);
+  save();
+}
+
+// ── THUMBNAIL ─────────────────────────────────────────────
+// Nearest-neighbour reduction of the result to THUMB_SIZE px
+export function thumbnail(values, width, height, cmap, range = [-1, 1]) {
+  const k = Math.max(1, Math.max(width, height) / THUMB_SIZE);
+  const w = Math.max(1, Math.round(width / k)), h = Math.max(1, Math.round(height / k));
+  const small = new Float32Array(w * h);
+  for (let r = 0; r < h; r++) {
+    const src = Math.min(height - 1, Math.floor((r + 0.5) * k)) * width;
+    for (let c = 0; c < w; c++) small[r * w + c] = values[src + Math.min(width - 1, Math.floor((c + 0.5) * k))];
+  }
+  const canvas = document.createElement('canvas');
+  renderNDVIToCanvas(canvas, small, w, h, cmap, range);
+  return canvas.toDataURL('image/png');
+}
+
+// ── EXPORT / IMPORT ───────────────────────────────────────
+export function exportWorkspace() {
+  const { aois, runs } = workspace();
+  return JSON.stringify({ format: FORMAT, version: 1, exported: new Date().toISOString(), aois, runs }, null, 1);
+}
+
+// Merges a shared workspace into this one — entries with the same
+// id are replaced. Returns { aois, runs } counts.
+export function importWorkspace(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (_) { throw new Error('Not a JSON file'); }
+  if (data?.format !== FORMAT) throw new Error('Not an NDVI Explorer workspace file');
+
+  const list = (v) => Array.isArray(v) ? v : [];
+  const aois = list(data.aois).map(importedAOI).filter(Boolean);
+  const runs = list(data.runs).map(importedRun).filter(Boolean);
+  const merge = (mine, theirs) => {
+    const ids = new Set(theirs.map(e => e.id));
+    return [...theirs, ...mine.filter(e => !ids.has(e.id))]
+      .sort((a, b) => (b.created || '').localeCompare(a.created || ''));
+  };
+  const w = workspace();
+  w.aois = merge(w.aois, aois);
+  w.runs = merge(w.runs, runs).slice(0, MAX_RUNS);
+  save();
+  return { aois: aois.length, runs: runs.length };
+}
+
+// A shared file is untrusted: entries are rebuilt from the known
+// fields with the expected types (null when an entry is unusable),
+// and only PNG data URLs are kept as thumbnails
+const text = (v, fallback = '') => typeof v === 'string' ? v : fallback;
+const POLYGONS = ['Polygon', 'MultiPolygon'];
+const PNG      = /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/;
+
+function importedAOI(a) {
+  if (typeof a?.id !== 'string' || !a.id || !POLYGONS.includes(a.geometry?.type) || !Array.isArray(a.geometry.coordinates)) {
+    return null;
+  }
+  return {
+    id: a.id, name: text(a.name, 'AOI'), created: text(a.created),
+    geometry: { type: a.geometry.type, coordinates: a.geometry.coordinates },
+  };
+}
+
+function importedRun(r) {
+  if (typeof r?.id !== 'string' || !r.id || !r.state || typeof r.state !== 'object' || Array.isArray(r.state)) {
+    return null;
+  }
+  const stats = {};
+  for (const [k, v] of Object.entries(r.stats && typeof r.stats === 'object' ? r.stats : {})) {
+    if (typeof v === 'number' || v === null) stats[k] = v ?? NaN;   // JSON writes NaN as null
+  }
+  return {
+    id: r.id, name: text(r.name, 'Run'), created: text(r.created), scene: text(r.scene),
+    date: text(r.date), index: text(r.index), label: text(r.label), stats,
+    thumb: PNG.test(text(r.thumb)) ? r.thumb : null,
+    state: r.state,
+  };
+}
+
+// ── LISTS ─────────────────────────────────────────────────
+// Rows carry data-kind / data-id; buttons data-act = open | del,
+// names are editable inputs (data-f="name")
+export function renderWorkspace(aoiList, runList) {
+  const fmt  = (v) => typeof v !== 'number' || isNaN(v) ? '—' : v.toFixed(3);
+  const day  = (iso) => String(iso || '').slice(0, 10);
+  const { aois, runs } = workspace();
+
+  aoiList.innerHTML = aois.length ? aois.map(a => `
+    <div class="ws-item" data-kind="aois" data-id="${esc(a.id)}">
+      <div class="ws-body">
+        <input type="text" data-f="name" value="${esc(a.name)}" />
+        <div class="ws-meta">${esc(a.geometry?.type)} · saved ${esc(day(a.created))}</div>
+      </div>
+      <button class="mp-btn" data-act="open" title="Use as AOI">Open</button>
+      <button class="cls-del" data-act="del" title="Delete">✕</button>
+    </div>`).join('') : '<div class="ws-empty">No saved AOIs</div>';
+
+  runList.innerHTML = runs.length ? runs.map(r => `
+    <div class="ws-item" data-kind="runs" data-id="${esc(r.id)}">
+      ${r.thumb ? `<img class="ws-thumb" src="${esc(r.thumb)}" alt="" />` : '<div class="ws-thumb"></div>'}
+      <div class="ws-body">
+        <input type="text" data-f="name" value="${esc(r.name)}" />
+        <div class="ws-meta">${esc(r.label)} · ${esc(r.date)} · mean ${fmt(r.stats?.mean)}</div>
+        <div class="ws-meta" title="${esc(r.scene)}">${esc(r.scene)}</div>
+      </div>
+      <button class="mp-btn" data-act="open" title="Reopen: AOI, search, scene and index">Open</button>
+      <button class="cls-del" data-act="del" title="Delete">✕</button>
+    </div>`).join('') : '<div class="ws-empty">Runs appear here after "Generate Index"</div>';
+}
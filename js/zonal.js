@@ -0,0 +1,184 @@
+// ══════════════════════════════════════════════════════════
+//  zonal.js — Per-field statistics over one index raster, the
+//             sortable field table and CSV / GeoJSON export
+// ══════════════════════════════════════════════════════════
+
+import { polygonMask, projectorTo, pixelAreaHa } from './grid.js';
+import { summarize } from './ndvi.js';
+import { classIndex } from './classes.js';
+import { esc, cell } from './ui.js';
+
+// A field row:
+//   { k, name, feature, pixels, count, validPct, mean, median,
+//     std, min, max, areaHa, classHa: [ha per class] | null }
+// pixels counts every pixel centre inside the field, count only
+// the valid (unmasked) ones; areaHa is the field's pixel area.
+
+// ── FIELD NAMES ───────────────────────────────────────────
+// First of NAME_KEYS the feature has, else its id, else "Field k"
+const NAME_KEYS = ['name', 'Name', 'NAME', 'field', 'field_id', 'FIELD_ID', 'id', 'ID', 'parcel', 'label'];
+
+export function fieldName(feature, k) {
+  const p   = feature.properties || {};
+  const key = NAME_KEYS.find(key => p[key] != null && p[key] !== '');
+  return key ? String(p[key]) : feature.id != null ? String(feature.id) : `Field ${k + 1}`;
+}
+
+// Fields as one MultiPolygon — the AOI covering all of them
+export function fieldsGeometry(features) {
+  const coordinates = [];
+  for (const f of features) {
+    if (f.geometry.type === 'Polygon') coordinates.push(f.geometry.coordinates);
+    else coordinates.push(...f.geometry.coordinates);
+  }
+  return coordinates.length === 1
+    ? { type: 'Polygon', coordinates: coordinates[0] }
+    : { type: 'MultiPolygon', coordinates };
+}
+
+// ── STATISTICS ────────────────────────────────────────────
+// raster: { values, grid } — values NaN where masked or outside
+// the AOI. Each field is rasterised on the window of the grid its
+// outline covers, so hundreds of small fields stay cheap on a
+// large raster. classes (see classes.js) adds hectares per class.
+export function zonalStats(raster, features, classes = null) {
+  const { values, grid } = raster;
+  const toCRS  = projectorTo(grid.epsg);
+  const haEach = pixelAreaHa(grid);
+
+  return features.map((feature, k) => {
+    const row = { k, name: fieldName(feature, k), feature, pixels: 0 };
+    const win = fieldWindow(feature.geometry, grid, toCRS);
+    let inside = new Float32Array(0);
+
+    if (win) {
+      const mask = polygonMask(feature.geometry, win.grid);
+      inside = new Float32Array(win.grid.width * win.grid.height);
+      for (let r = 0; r < win.grid.height; r++) {
+        for (let c = 0; c < win.grid.width; c++) {
+          if (mask[r * win.grid.width + c]) continue;
+          inside[row.pixels++] = values[(r + win.row) * grid.width + c + win.col];
+        }
+      }
+      inside = inside.subarray(0, row.pixels);
+    }
+
+    const s = summarize(inside);
+    Object.assign(row, {
+      count: s.count, mean: s.mean, median: s.median, std: s.std, min: s.min, max: s.max,
+      validPct: row.pixels ? s.count / row.pixels * 100 : 0,
+      areaHa:   row.pixels * haEach,
+      classHa:  null,
+    });
+
+    if (classes) {
+      row.classHa = classes.map(() => 0);
+      for (const v of inside) if (!isNaN(v)) row.classHa[classIndex(classes, v)] += haEach;
+    }
+    return row;
+  });
+}
+
+// Sub-grid (and its offset) covering the field's outer rings,
+// or null when the field lies off the raster
+function fieldWindow(geometry, grid, toCRS) {
+  const polys = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  let c0 = Infinity, c1 = -Infinity, r0 = Infinity, r1 = -Infinity;
+  for (const poly of polys) {
+    for (const pt of poly[0]) {
+      const [x, y] = toCRS(pt);
+      const c = (x - grid.x0) / grid.dx, r = (y - grid.y0) / grid.dy;
+      if (c < c0) c0 = c;
+      if (c > c1) c1 = c;
+      if (r < r0) r0 = r;
+      if (r > r1) r1 = r;
+    }
+  }
+  const col = Math.max(0, Math.floor(c0)), row = Math.max(0, Math.floor(r0));
+  const width  = Math.min(grid.width,  Math.ceil(c1)) - col;
+  const height = Math.min(grid.height, Math.ceil(r1)) - row;
+  if (!(width > 0 && height > 0)) return null;
+
+  return {
+    col, row,
+    grid: { ...grid, x0: grid.x0 + col * grid.dx, y0: grid.y0 + row * grid.dy, width, height },
+  };
+}
+
+// ── SORT ──────────────────────────────────────────────────
+// key: a row field, or 'class:<k>' for a class area.
+// NaN (fields without valid pixels) always sorts last.
+export function sortFields(rows, key, dir = 1) {
+  const get = key.startsWith('class:')
+    ? (r) => r.classHa?.[+key.slice(6)] ?? NaN
+    : (r) => r[key];
+  return [...rows].sort((a, b) => {
+    const va = get(a), vb = get(b);
+    if (typeof va === 'string') return dir * va.localeCompare(vb, undefined, { numeric: true });
+    if (isNaN(va)) return isNaN(vb) ? 0 : 1;
+    if (isNaN(vb)) return -1;
+    return dir * (va - vb);
+  });
+}
+
+// ── TABLE ─────────────────────────────────────────────────
+const COLUMNS = [
+  ['name', 'FIELD'], ['mean', 'MEAN'], ['median', 'MEDIAN'], ['std', 'STD'],
+  ['min', 'MIN'], ['max', 'MAX'], ['validPct', 'VALID %'], ['areaHa', 'HA'],
+];
+
+// Header cells carry data-sort, rows data-k (the field's index in
+// the loaded file); `selected` is the highlighted field's k
+export function renderFieldTable(table, rows, { classes = null, sort = null, selected = null } = {}) {
+  const fmt   = (v, d) => isNaN(v) ? '—' : v.toFixed(d);
+  const arrow = (key) => sort?.key === key ? (sort.dir > 0 ? ' ▲' : ' ▼') : '';
+  const cols  = [...COLUMNS, ...(classes || []).map((c, k) => [`class:${k}`, c.name, c.color])];
+
+  table.querySelector('thead').innerHTML = `<tr>${cols.map(([key, label, color]) =>
+    `<th data-sort="${key}" title="Sort by ${esc(label)}">${color ? `<i style="background:${color}"></i>` : ''}${esc(label)}${arrow(key)}</th>`
+  ).join('')}</tr>`;
+
+  table.querySelector('tbody').innerHTML = rows.map(r => `
+    <tr data-k="${r.k}" class="${r.k === selected ? 'sel' : ''}${r.count ? '' : ' empty'}">
+      <td class="fname" title="${esc(r.name)}">${esc(r.name)}</td>
+      <td class="num">${fmt(r.mean, 3)}</td>
+      <td class="num">${fmt(r.median, 3)}</td>
+      <td class="num">${fmt(r.std, 3)}</td>
+      <td class="num">${fmt(r.min, 3)}</td>
+      <td class="num">${fmt(r.max, 3)}</td>
+      <td class="num">${r.validPct.toFixed(0)}</td>
+      <td class="num">${r.areaHa.toFixed(2)}</td>
+      ${(r.classHa || []).map(ha => `<td class="num">${ha.toFixed(2)}</td>`).join('')}
+    </tr>`).join('');
+}
+
+// ── EXPORT ────────────────────────────────────────────────
+// prefix: index label, e.g. 'NDVI' → ndvi_mean, ndvi_median…
+const STAT_KEYS = [['mean', 'mean'], ['median', 'median'], ['std', 'std'], ['min', 'min'], ['max', 'max']];
+
+function statProperties(r, prefix, classes) {
+  const p   = prefix.toLowerCase().replace(/[^\w]+/g, '_');
+  const num = (v, d = 6) => isNaN(v) ? null : +v.toFixed(d);
+  const out = {};
+  for (const [key, name] of STAT_KEYS) out[`${p}_${name}`] = num(r[key]);
+  out.valid_pct = num(r.validPct, 2);
+  out.pixels    = r.pixels;
+  out.area_ha   = num(r.areaHa, 4);
+  (classes || []).forEach((c, k) => { out[`ha_${c.name.toLowerCase().replace(/[^\w]+/g, '_')}`] = num(r.classHa[k], 4); });
+  return out;
+}
+
+export function fieldsToCSV(rows, prefix, classes = null) {
+  const lines = rows.map(r => ({ field: r.name, ...statProperties(r, prefix, classes) }));
+  const header = Object.keys(lines[0] || { field: '' });
+  return [header.join(','), ...lines.map(l => header.map(h => cell(l[h])).join(','))].join('\n') + '\n';
+}
+
+// The loaded features with the statistics added to their properties
+export function fieldsToGeoJSON(rows, prefix, classes = null) {
+  const features = [...rows].sort((a, b) => a.k - b.k).map(r => ({
+    ...r.feature,
+    properties: { ...r.feature.properties, ...statProperties(r, prefix, classes) },
+  }));
+  return JSON.stringify({ type: 'FeatureCollection', features });
+}